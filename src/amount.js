@@ -0,0 +1,267 @@
+const CURRENCY_EXPONENTS = {
+  BIF: 0,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  ISK: 0,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  PYG: 0,
+  RWF: 0,
+  UGX: 0,
+  UYI: 0,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XOF: 0,
+  XPF: 0,
+  BHD: 3,
+  IQD: 3,
+  JOD: 3,
+  KWD: 3,
+  LYD: 3,
+  OMR: 3,
+  TND: 3,
+  CLF: 4,
+  UYW: 4
+};
+
+const DECIMAL_COMMA_CURRENCIES = new Set([
+  "ARS",
+  "BGN",
+  "BRL",
+  "COP",
+  "CZK",
+  "DKK",
+  "HUF",
+  "IDR",
+  "ISK",
+  "NOK",
+  "PLN",
+  "RON",
+  "RSD",
+  "RUB",
+  "SEK",
+  "TRY",
+  "UAH",
+  "VND"
+]);
+
+const MIXED_DECIMAL_CURRENCIES = new Set(["EUR"]);
+
+const CURRENCY_SYMBOLS = [
+  ["US$", "USD"],
+  ["A$", "AUD"],
+  ["C$", "CAD"],
+  ["NZ$", "NZD"],
+  ["HK$", "HKD"],
+  ["S$", "SGD"],
+  ["R$", "BRL"],
+  ["zł", "PLN"],
+  ["€", "EUR"],
+  ["£", "GBP"],
+  ["¥", "JPY"],
+  ["₹", "INR"],
+  ["₩", "KRW"],
+  ["₺", "TRY"],
+  ["₪", "ILS"],
+  ["₫", "VND"],
+  ["₽", "RUB"],
+  ["$", "USD"]
+];
+
+export function currencyExponent(currency) {
+  const code = String(currency || "").trim().toUpperCase();
+  if (!code) return undefined;
+  return CURRENCY_EXPONENTS[code] ?? 2;
+}
+
+function decimalSeparators(currency) {
+  if (MIXED_DECIMAL_CURRENCIES.has(currency)) return [",", "."];
+  return DECIMAL_COMMA_CURRENCIES.has(currency) ? [","] : ["."];
+}
+
+function normalizeCurrencyCode(value) {
+  const code = String(value || "").trim().toUpperCase();
+  if (!code) return "";
+  if (!/^[A-Z]{3}$/.test(code)) {
+    throw new Error(`invalid currency code: ${value}`);
+  }
+  return code;
+}
+
+function splitCurrency(text) {
+  let rest = text;
+  let currency = "";
+
+  const codeMatch = /^([A-Za-z]{3})\s*(?=[-+0-9.,\s])|\s*([A-Za-z]{3})$/.exec(rest);
+  if (codeMatch) {
+    currency = (codeMatch[1] ?? codeMatch[2]).toUpperCase();
+    rest = rest.replace(codeMatch[0], "");
+  }
+
+  for (const [symbol, code] of CURRENCY_SYMBOLS) {
+    const index = rest.indexOf(symbol);
+    if (index < 0) continue;
+    if (currency && currency !== code) {
+      throw new Error(`conflicting currency markers: ${currency} and ${symbol}`);
+    }
+    currency = code;
+    rest = rest.slice(0, index) + rest.slice(index + symbol.length);
+    break;
+  }
+
+  return { currency, rest: rest.trim() };
+}
+
+function isGrouped(parts) {
+  return parts
+    .slice(1)
+    .every((part, index, groups) => (index === groups.length - 1 ? /^[0-9]{3}$/ : /^[0-9]{2,3}$/).test(part));
+}
+
+function splitDecimal(digits, currency, source) {
+  const lastComma = digits.lastIndexOf(",");
+  const lastDot = digits.lastIndexOf(".");
+
+  if (lastComma >= 0 && lastDot >= 0) {
+    const decimal = lastComma > lastDot ? "," : ".";
+    const group = decimal === "," ? "." : ",";
+    const parts = digits.split(group).join("").split(decimal);
+    return { whole: parts[0], fraction: parts[1] ?? "", extra: parts.length > 2 };
+  }
+
+  const separator = lastComma >= 0 ? "," : lastDot >= 0 ? "." : "";
+  if (!separator) return { whole: digits, fraction: "" };
+  const parts = digits.split(separator);
+  if (parts.length > 2) {
+    return isGrouped(parts) ? { whole: parts.join(""), fraction: "" } : { whole: "", fraction: "", extra: true };
+  }
+  if (parts[1].length !== 3 || parts[0].startsWith("0")) {
+    return { whole: parts[0], fraction: parts[1] };
+  }
+  const decimals = currency ? decimalSeparators(currency) : [",", "."];
+  if (!decimals.includes(separator)) return { whole: parts.join(""), fraction: "" };
+  if (decimals.length === 1) return { whole: parts[0], fraction: parts[1] };
+  throw new Error(
+    `ambiguous amount, "${separator}" may group thousands or mark decimals${currency ? ` in ${currency}` : " without a currency"}: ${source}`
+  );
+}
+
+function parseDecimalText(text, currencyHint, { decimalPoint = false } = {}) {
+  const stripped = text.replace(/<[^>]*>/g, " ").replace(/[\u00a0\u202f]/g, " ").trim();
+  const { currency: markedCurrency, rest } = splitCurrency(stripped);
+  const currency = normalizeCurrencyCode(markedCurrency || currencyHint);
+  if (markedCurrency && currencyHint && normalizeCurrencyCode(currencyHint) !== markedCurrency) {
+    throw new Error(`currency mismatch in amount: ${markedCurrency} vs ${normalizeCurrencyCode(currencyHint)}`);
+  }
+
+  const signMatch = /^([-+])?\s*(.*)$/.exec(rest);
+  const sign = signMatch[1] === "-" ? "-" : "";
+  const digits = signMatch[2].replace(/[\s']/g, "");
+  if (!/^[0-9][0-9.,]*$/.test(digits) || /[.,]$/.test(digits)) {
+    throw new Error(`unparseable amount: ${text}`);
+  }
+
+  const { whole, fraction, extra } = decimalPoint
+    ? { whole: digits.split(".")[0], fraction: digits.split(".")[1] ?? "" }
+    : splitDecimal(digits, currency, text);
+  if (extra || !/^[0-9]+$/.test(whole) || !/^[0-9]*$/.test(fraction)) {
+    throw new Error(`unparseable amount: ${text}`);
+  }
+  return { sign, whole, fraction, currency };
+}
+
+function toMinorUnits({ sign, whole, fraction, currency }, source) {
+  const exponent = currency ? currencyExponent(currency) : fraction.length;
+  const significant = fraction.replace(/0+$/, "");
+  if (significant.length > exponent) {
+    throw new Error(`amount has more precision than ${currency || "its"} exponent ${exponent}: ${source}`);
+  }
+  const minor = BigInt(`${whole}${fraction.padEnd(exponent, "0").slice(0, exponent)}`);
+  return {
+    minorUnits: `${minor === 0n ? "" : sign}${minor.toString()}`,
+    currency,
+    exponent
+  };
+}
+
+function numberToText(value) {
+  if (!Number.isFinite(value)) {
+    throw new Error(`unparseable amount: ${value}`);
+  }
+  const text = String(value);
+  if (/e/i.test(text)) {
+    throw new Error(`amount out of range: ${value}`);
+  }
+  return text;
+}
+
+export function parseAmount(value, { currency } = {}) {
+  if (value === undefined || value === null || value === "") return undefined;
+
+  if (typeof value === "object") {
+    if (typeof value.minorUnits === "string" && /^-?[0-9]+$/.test(value.minorUnits)) {
+      const code = normalizeCurrencyCode(value.currency ?? currency);
+      const exponent = Number.isInteger(value.exponent) ? value.exponent : currencyExponent(code) ?? 0;
+      return { minorUnits: BigInt(value.minorUnits).toString(), currency: code, exponent };
+    }
+    const inner = value.value ?? value.amount ?? value.text ?? value.formatted;
+    if (inner === undefined || inner === null || typeof inner === "object") {
+      throw new Error("unparseable amount object");
+    }
+    return parseAmount(inner, { currency: value.currency ?? value.ccy ?? currency });
+  }
+
+  const text = typeof value === "number" ? numberToText(value) : String(value).trim();
+  if (!text) return undefined;
+  return toMinorUnits(parseDecimalText(text, currency, { decimalPoint: typeof value === "number" }), text);
+}
+
+export function tryParseAmount(value, options) {
+  try {
+    return parseAmount(value, options);
+  } catch {
+    return undefined;
+  }
+}
+
+function scaleTo(amount, exponent) {
+  return BigInt(amount.minorUnits) * 10n ** BigInt(exponent - amount.exponent);
+}
+
+function assertSameCurrency(a, b) {
+  if (a.currency && b.currency && a.currency !== b.currency) {
+    throw new Error(`currency mismatch: ${a.currency} vs ${b.currency}`);
+  }
+}
+
+export function amountDistance(a, b) {
+  assertSameCurrency(a, b);
+  const exponent = Math.max(a.exponent, b.exponent);
+  const diff = scaleTo(a, exponent) - scaleTo(b, exponent);
+  return {
+    minorUnits: (diff < 0n ? -diff : diff).toString(),
+    currency: a.currency || b.currency,
+    exponent
+  };
+}
+
+export function compareAmounts(a, b) {
+  assertSameCurrency(a, b);
+  const exponent = Math.max(a.exponent, b.exponent);
+  const lhs = scaleTo(a, exponent);
+  const rhs = scaleTo(b, exponent);
+  if (lhs === rhs) return 0;
+  return lhs < rhs ? -1 : 1;
+}
+
+export function formatAmount(amount) {
+  if (!amount) return "";
+  const negative = amount.minorUnits.startsWith("-");
+  const digits = (negative ? amount.minorUnits.slice(1) : amount.minorUnits).padStart(amount.exponent + 1, "0");
+  const whole = digits.slice(0, digits.length - amount.exponent);
+  const fraction = amount.exponent > 0 ? `.${digits.slice(-amount.exponent)}` : "";
+  return `${negative ? "-" : ""}${whole}${fraction}${amount.currency ? ` ${amount.currency}` : ""}`;
+}
@@ -0,0 +1,134 @@
+import fs from "node:fs";
+import { safeEqualText, sha256Hex } from "./lib.js";
+import { checkCallbackUrl } from "./webhooks.js";
+
+export const DEFAULT_REQUESTS_PER_MINUTE = 60;
+
+function nowMillis() {
+  return Date.now();
+}
+
+function toPositiveNumber(value, fallback) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : fallback;
+}
+
+export function buildApiKeyEntry(input, { defaultRequestsPerMinute = DEFAULT_REQUESTS_PER_MINUTE, webhookPolicy = {} } = {}) {
+  const record = input && typeof input === "object" ? input : {};
+  const id = String(record.id || "").trim();
+  if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(id)) {
+    throw new Error(`invalid api key id: ${record.id}`);
+  }
+  const keyHash = record.key
+    ? sha256Hex(String(record.key))
+    : String(record.keyHash || "").trim().toLowerCase();
+  if (!/^0x[0-9a-f]{64}$/.test(keyHash)) {
+    throw new Error(`api key ${id} requires key or a 0x-prefixed sha256 keyHash`);
+  }
+  const rateLimit = record.rateLimit && typeof record.rateLimit === "object" ? record.rateLimit : {};
+  const requestsPerMinute = toPositiveNumber(rateLimit.requestsPerMinute, defaultRequestsPerMinute);
+  const origins = Array.isArray(record.origins)
+    ? record.origins.map((origin) => String(origin).trim()).filter(Boolean)
+    : [];
+
+  let webhook = null;
+  if (record.webhook !== undefined && record.webhook !== null) {
+    const url = String(record.webhook.url || "").trim();
+    if (!url) throw new Error(`api key ${id} webhook requires a url`);
+    const check = checkCallbackUrl(url, webhookPolicy);
+    if (!check.ok) throw new Error(`api key ${id} webhook ${check.message}`);
+    const secret = record.webhook.secret ? String(record.webhook.secret) : null;
+    if (!secret && !webhookPolicy.secret) {
+      throw new Error(`api key ${id} webhook requires a secret when TLSN_WEBHOOK_SECRET is not set`);
+    }
+    webhook = { url: check.url, secret };
+  }
+
+  return {
+    id,
+    keyHash,
+    origins,
+    webhook,
+    rateLimit: {
+      requestsPerMinute,
+      burst: Math.max(1, Math.trunc(toPositiveNumber(rateLimit.burst, requestsPerMinute)))
+    }
+  };
+}
+
+function readKeyList(text, source) {
+  const parsed = JSON.parse(text);
+  const list = Array.isArray(parsed) ? parsed : parsed?.keys;
+  if (!Array.isArray(list)) {
+    throw new Error(`${source} must be a JSON array or an object with a keys array`);
+  }
+  return list;
+}
+
+export function loadApiKeys({ raw, filePath, defaultRequestsPerMinute, webhookPolicy } = {}) {
+  const inputs = [];
+  if (String(raw || "").trim()) {
+    inputs.push(...readKeyList(String(raw), "TLSN_API_KEYS"));
+  }
+  if (filePath) {
+    inputs.push(...readKeyList(fs.readFileSync(filePath, "utf8"), filePath));
+  }
+
+  const entries = inputs.map((input) => buildApiKeyEntry(input, { defaultRequestsPerMinute, webhookPolicy }));
+  const seen = new Set();
+  for (const entry of entries) {
+    if (seen.has(entry.id)) throw new Error(`duplicate api key id: ${entry.id}`);
+    seen.add(entry.id);
+  }
+  return entries;
+}
+
+export function createApiKeyRegistry(entries = []) {
+  return {
+    enabled: entries.length > 0,
+
+    list() {
+      return entries.map(({ id, origins, rateLimit }) => ({ id, origins, rateLimit }));
+    },
+
+    get(id) {
+      return entries.find((entry) => entry.id === id);
+    },
+
+    authenticate(token) {
+      if (!token) return undefined;
+      const hash = sha256Hex(String(token));
+      return entries.find((entry) => safeEqualText(entry.keyHash, hash));
+    },
+
+    isKnownOrigin(origin) {
+      return Boolean(origin) && entries.some((entry) => entry.origins.includes(origin));
+    }
+  };
+}
+
+export function createRateLimiter({ now = nowMillis } = {}) {
+  const buckets = new Map();
+
+  return {
+    take(id, { requestsPerMinute, burst }, cost = 1) {
+      const ratePerMs = requestsPerMinute / 60_000;
+      const current = now();
+      const bucket = buckets.get(id) ?? { tokens: burst, updatedAt: current };
+      bucket.tokens = Math.min(burst, bucket.tokens + (current - bucket.updatedAt) * ratePerMs);
+      bucket.updatedAt = current;
+
+      const ok = cost <= burst && bucket.tokens >= cost;
+      if (ok) bucket.tokens -= cost;
+      buckets.set(id, bucket);
+
+      return {
+        ok,
+        limit: burst,
+        remaining: Math.floor(bucket.tokens),
+        resetSeconds: Math.ceil((burst - bucket.tokens) / ratePerMs / 1000),
+        retryAfterSeconds: ok ? 0 : Math.max(1, Math.ceil((Math.min(cost, burst) - bucket.tokens) / ratePerMs / 1000))
+      };
+    }
+  };
+}
@@ -0,0 +1,237 @@
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+import { sha256Hex } from "./lib.js";
+import { canonicalizeJson } from "./receipt-hash.js";
+
+export const AUDIT_GENESIS_HASH = `0x${"0".repeat(64)}`;
+
+export function hashAuditEntry(entry) {
+  const { hash, ...body } = entry;
+  return sha256Hex(canonicalizeJson(body));
+}
+
+function checkNextEntry(entry, { seq, headHash }) {
+  const expected = seq + 1;
+  if (entry.seq !== expected) {
+    return { brokenAt: expected, reason: `expected seq ${expected}, got ${entry.seq}` };
+  }
+  if (entry.prevHash !== headHash) {
+    return { brokenAt: entry.seq, reason: "prevHash does not match the previous entry" };
+  }
+  if (hashAuditEntry(entry) !== entry.hash) {
+    return { brokenAt: entry.seq, reason: "entry hash does not match its contents" };
+  }
+  return undefined;
+}
+
+export function createAuditChainVerifier() {
+  const head = { seq: 0, headHash: AUDIT_GENESIS_HASH };
+  let total = 0;
+  let broken;
+  return {
+    check: (entry) => checkNextEntry(entry, head),
+    push(entry) {
+      total += 1;
+      if (broken) return;
+      broken = checkNextEntry(entry, head);
+      if (!broken) {
+        head.seq = entry.seq;
+        head.headHash = entry.hash;
+      }
+    },
+    head: () => ({ seq: head.seq, hash: head.headHash }),
+    result: () => (broken ? { ok: false, entries: total, ...broken } : { ok: true, entries: total, headHash: head.headHash })
+  };
+}
+
+export function verifyAuditChain(entries) {
+  const verifier = createAuditChainVerifier();
+  entries.forEach((entry) => verifier.push(entry));
+  return verifier.result();
+}
+
+function parseLine(line, lineNumber) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return { seq: null, invalidLine: lineNumber };
+  }
+}
+
+function readLinesSync(filePath, onLine) {
+  const fd = fs.openSync(filePath, "r");
+  const chunk = Buffer.alloc(64 * 1024);
+  let pending = Buffer.alloc(0);
+  let offset = 0;
+  try {
+    let bytes;
+    while ((bytes = fs.readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+      const data = Buffer.concat([pending, chunk.subarray(0, bytes)]);
+      let start = 0;
+      let newline;
+      while ((newline = data.indexOf(10, start)) !== -1) {
+        onLine(data.subarray(start, newline).toString("utf8"), { offset: offset + start, length: newline - start });
+        start = newline + 1;
+      }
+      offset += start;
+      pending = Buffer.from(data.subarray(start));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return { tail: pending, tailOffset: offset };
+}
+
+function createAuditIndex() {
+  const byProofId = new Map();
+  const byReceiptHash = new Map();
+  const byTime = [];
+  const push = (map, key, ref) => map.set(key, [...(map.get(key) ?? []), ref]);
+  return {
+    add(entry, ref) {
+      if (entry.proofId) push(byProofId, entry.proofId, ref);
+      if (entry.receiptHash) push(byReceiptHash, String(entry.receiptHash).toLowerCase(), ref);
+      byTime.push({ time: entry.time, ref });
+    },
+    proofId: (proofId) => byProofId.get(proofId) ?? [],
+    receiptHash: (receiptHash) => byReceiptHash.get(String(receiptHash).toLowerCase()) ?? [],
+    range: ({ from, to } = {}) =>
+      byTime.filter((item) => (!from || item.time >= from) && (!to || item.time < to)).map((item) => item.ref)
+  };
+}
+
+function createAuditRegistry({ head, index, persist, load, verify }) {
+  return {
+    enabled: true,
+
+    append(record, now = new Date()) {
+      const body = {
+        seq: head.seq + 1,
+        time: now.toISOString(),
+        ...record,
+        prevHash: head.hash
+      };
+      const entry = { ...body, hash: hashAuditEntry(body) };
+      index.add(entry, persist(entry));
+      head.seq = entry.seq;
+      head.hash = entry.hash;
+      return entry;
+    },
+
+    findByProofId: (proofId) => load(index.proofId(proofId)),
+    findByReceiptHash: (receiptHash) => load(index.receiptHash(receiptHash)),
+    range: (window) => load(index.range(window)),
+    verify
+  };
+}
+
+export function createMemoryAuditLog() {
+  const entries = [];
+  return createAuditRegistry({
+    head: { seq: 0, hash: AUDIT_GENESIS_HASH },
+    index: createAuditIndex(),
+    persist: (entry) => {
+      entries.push(entry);
+      return entry;
+    },
+    load: (refs) => refs,
+    verify: async () => verifyAuditChain(entries)
+  });
+}
+
+function repairTornTail(filePath, { tail, tailOffset }, verifier, onWarning) {
+  const entry = parseLine(tail.toString("utf8"), 0);
+  if (!verifier.check(entry)) {
+    fs.appendFileSync(filePath, "\n");
+    return entry;
+  }
+  const tornPath = `${filePath}.torn-${Date.now()}`;
+  fs.writeFileSync(tornPath, tail);
+  fs.truncateSync(filePath, tailOffset);
+  onWarning("audit log had a torn trailing line", { filePath, tornPath, bytes: tail.length });
+  return undefined;
+}
+
+export function createFileAuditLog(filePath, { onWarning = () => {} } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  if (!fs.existsSync(filePath)) fs.writeFileSync(filePath, "");
+  const index = createAuditIndex();
+  const verifier = createAuditChainVerifier();
+  let lineNumber = 0;
+  const loaded = readLinesSync(filePath, (line, ref) => {
+    lineNumber += 1;
+    if (!line.trim()) return;
+    const entry = parseLine(line, lineNumber);
+    verifier.push(entry);
+    index.add(entry, ref);
+  });
+  const chain = verifier.result();
+  if (!chain.ok) {
+    throw new Error(`audit log ${filePath} is corrupt at seq ${chain.brokenAt}: ${chain.reason}`);
+  }
+  if (loaded.tail.toString("utf8").trim()) {
+    const recovered = repairTornTail(filePath, loaded, verifier, onWarning);
+    if (recovered) {
+      verifier.push(recovered);
+      index.add(recovered, { offset: loaded.tailOffset, length: loaded.tail.length });
+    }
+  }
+  let size = fs.statSync(filePath).size;
+
+  function load(refs) {
+    if (refs.length === 0) return [];
+    const fd = fs.openSync(filePath, "r");
+    try {
+      return refs.map(({ offset, length }) => {
+        const buffer = Buffer.alloc(length);
+        fs.readSync(fd, buffer, 0, length, offset);
+        return JSON.parse(buffer.toString("utf8"));
+      });
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  async function verify() {
+    const streamed = createAuditChainVerifier();
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    let number = 0;
+    for await (const line of lines) {
+      number += 1;
+      if (line.trim()) streamed.push(parseLine(line, number));
+    }
+    return streamed.result();
+  }
+
+  return createAuditRegistry({
+    head: verifier.head(),
+    index,
+    persist: (entry) => {
+      const line = `${JSON.stringify(entry)}\n`;
+      fs.appendFileSync(filePath, line);
+      const ref = { offset: size, length: Buffer.byteLength(line) - 1 };
+      size += Buffer.byteLength(line);
+      return ref;
+    },
+    load,
+    verify
+  });
+}
+
+export function createAuditLog(kind, filePath, options = {}) {
+  const normalized = String(kind || "file").trim().toLowerCase();
+  if (normalized === "off") {
+    return {
+      enabled: false,
+      append: () => undefined,
+      findByProofId: () => [],
+      findByReceiptHash: () => [],
+      range: () => [],
+      verify: async () => ({ ok: true, entries: 0, headHash: AUDIT_GENESIS_HASH })
+    };
+  }
+  if (normalized === "memory") return createMemoryAuditLog();
+  if (normalized === "file") return createFileAuditLog(filePath || ".data/audit.jsonl", options);
+  throw new Error(`unsupported audit log: ${normalized}`);
+}
@@ -0,0 +1,100 @@
+import { errorBody, errorDetail } from "./errors.js";
+import { extractNotaryPublicKeyPem, extractNotaryUrl } from "./lib.js";
+import { validateSchema } from "./schema.js";
+import { BATCH_REQUEST_SCHEMA } from "./schemas.js";
+
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+export function createSharedNotaryResolver({ resolve, envPublicKeyPem = "" }) {
+  const pending = new Map();
+  return (attestation) => {
+    const notaryUrl = extractNotaryUrl(attestation);
+    if (!notaryUrl || extractNotaryPublicKeyPem(attestation) || envPublicKeyPem) {
+      return resolve(attestation);
+    }
+    if (!pending.has(notaryUrl)) {
+      pending.set(notaryUrl, resolve(attestation));
+    }
+    return pending.get(notaryUrl);
+  };
+}
+
+export function checkBatchRequest(body, { maxItems }) {
+  const payload = Array.isArray(body) ? { items: body } : body;
+  const invalid = validateSchema(BATCH_REQUEST_SCHEMA, payload);
+  if (invalid.length > 0) {
+    return { ok: false, status: 400, json: errorBody("BATCH_ITEMS_INVALID", { details: invalid }) };
+  }
+  if (payload.items.length > maxItems) {
+    return {
+      ok: false,
+      status: 400,
+      json: errorBody("BATCH_TOO_MANY_ITEMS", {
+        details: [errorDetail("BATCH_TOO_MANY_ITEMS", "/items", `items=${payload.items.length}, limit=${maxItems}`)]
+      })
+    };
+  }
+  return { ok: true, payload };
+}
+
+function checkBatchItem(item, index, maxItemBytes) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return {
+      index,
+      status: 400,
+      json: errorBody("BATCH_ITEM_INVALID", {
+        details: [errorDetail("BATCH_ITEM_INVALID", `/items/${index}`, "batch item must be an object")]
+      })
+    };
+  }
+  const itemBytes = Buffer.byteLength(JSON.stringify(item));
+  if (itemBytes > maxItemBytes) {
+    return {
+      index,
+      status: 413,
+      json: errorBody("BATCH_ITEM_TOO_LARGE", {
+        details: [errorDetail("BATCH_ITEM_TOO_LARGE", `/items/${index}`, `bytes=${itemBytes}, limit=${maxItemBytes}`)]
+      })
+    };
+  }
+  return undefined;
+}
+
+export async function runBatch(items, { concurrency, maxItemBytes, verifyItem }) {
+  const results = await mapWithConcurrency(items, concurrency, async (item, index) => {
+    const rejected = checkBatchItem(item, index, maxItemBytes);
+    if (rejected) return rejected;
+    try {
+      return { index, ...(await verifyItem(item, index)) };
+    } catch (error) {
+      return {
+        index,
+        status: 500,
+        json: errorBody("INTERNAL_ERROR", { details: [errorDetail("INTERNAL_ERROR", `/items/${index}`, error?.message || error)] })
+      };
+    }
+  });
+  const succeeded = results.filter((result) => result.status === 200).length;
+  return {
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results: results.map((result) => ({
+      index: result.index,
+      status: result.status,
+      ok: result.status === 200,
+      body: result.json
+    }))
+  };
+}
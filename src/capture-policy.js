@@ -0,0 +1,34 @@
+function parseList(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+export function parseCapturePolicy(env = process.env) {
+  const mode = String(env.TLSN_BROWSER_CAPTURE || "off").trim().toLowerCase();
+  if (mode !== "on" && mode !== "off") {
+    throw new Error(`invalid TLSN_BROWSER_CAPTURE value: ${mode}`);
+  }
+  const origins = parseList(env.TLSN_BROWSER_CAPTURE_ORIGINS).map((origin) => origin.toLowerCase());
+  const keyIds = parseList(env.TLSN_BROWSER_CAPTURE_KEY_IDS);
+  if (mode === "on" && origins.length === 0 && keyIds.length === 0) {
+    throw new Error("TLSN_BROWSER_CAPTURE=on requires TLSN_BROWSER_CAPTURE_ORIGINS or TLSN_BROWSER_CAPTURE_KEY_IDS");
+  }
+  return { enabled: mode === "on", origins, keyIds };
+}
+
+export function evaluateCapturePolicy(policy, { origin, keyId } = {}) {
+  if (!policy.enabled) {
+    return { ok: false, code: "CAPTURE_DISABLED", error: "browser capture mode is disabled" };
+  }
+
+  const normalizedOrigin = String(origin || "").trim().toLowerCase();
+  if (normalizedOrigin && policy.origins.includes(normalizedOrigin)) {
+    return { ok: true, via: "origin" };
+  }
+  if (keyId && policy.keyIds.includes(keyId)) {
+    return { ok: true, via: "key-id" };
+  }
+  return { ok: false, code: "CAPTURE_NOT_ALLOWED", error: "browser capture mode is not allowed for this caller" };
+}
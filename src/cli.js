@@ -0,0 +1,457 @@
+import fs from "node:fs";
+import { createRequire } from "node:module";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { errorBody, errorDetail } from "./errors.js";
+import { inspectTranscript } from "./inspect.js";
+import {
+  asRecord,
+  extractNotaryPublicKeyPem,
+  normalizeHexString,
+  parseAllowedHostSuffixes,
+  verifyPresentationLocally
+} from "./lib.js";
+import { notaryKeyFingerprint } from "./notary-trust.js";
+import { createDefaultProviderRegistry } from "./providers/index.js";
+import { parseReceiptHashScheme } from "./receipt-hash.js";
+import { validateSchema } from "./schema.js";
+import { TRANSFER_QUERY_SCHEMA } from "./schemas.js";
+import { createVerifierBackendRegistry, parseVerifierBackends, VERIFIER_BACKEND_ERROR_CODES } from "./verifier-backends.js";
+import { parseVerifyPolicy, runVerifyPipeline } from "./verify-pipeline.js";
+
+export const CLI_EXIT_CODES = {
+  ok: 0,
+  verificationFailed: 1,
+  policyFailed: 2,
+  usage: 3
+};
+
+export const CLI_USAGE = `Usage: tlsn-verifier verify <file|-> [options]
+       tlsn-verifier inspect <file|-> [options]
+
+Input is a POST /verify body, a bare attestation object or a raw presentation hex string.
+"inspect" checks the presentation signature only; "verify" also applies the provider policy.
+
+Options:
+  --provider <id>           provider policy to apply (default: wise)
+  --notary-key <pem|file>   notary public key (default: key in the attestation, then TLSN_NOTARY_PUBLIC_KEY_PEM)
+  --allowed-hosts <list>    comma-separated host suffixes (default: the provider's)
+  --expected <json>         expected constraints, merged over the body's "expected"
+  --amount, --min-amount, --currency, --timestamp, --transfer-id, --payer-ref, --recipient-ref, --status <value>
+                            single expected constraints
+  --max-age <seconds>       maximum notarization age (within TLSN_MAX_NOTARIZATION_AGE_CAP_SECONDS)
+  --max-transfer-gap <seconds>
+                            maximum gap between transfer and notarization time
+  --select <transferId>     transfer to select from the recent transfers (or the --query results)
+  --query <json>            filter, sort and page all proven transfers, replacing the body's "query"
+  --require-transfer-details
+                            fail unless the selected transfer is confirmed by a transfer-details response
+  --recent <n>              recent transfers to report (1-10, default 5)
+  --receipt-scheme <v1|v2|v3>
+                            receipt hash scheme (default: body's receiptHashScheme, then TLSN_RECEIPT_HASH_SCHEME, then v1)
+  --mask-secrets            inspect: mask cookie and authorization header values
+  --format <json|table>     output format (default: json)
+  --tlsn-module <path>      module exporting verify_presentation, used for every presentation version
+                            (default: TLSN_VERIFIER_BACKENDS, then @dylan1951/tlsn-ts)
+
+Exit codes: 0 verified, 1 presentation or notary key rejected, 2 policy failed, 3 usage, input or configuration error.
+`;
+
+const CLI_OPTIONS = {
+  provider: { type: "string", default: "wise" },
+  "notary-key": { type: "string" },
+  "allowed-hosts": { type: "string" },
+  expected: { type: "string" },
+  query: { type: "string" },
+  amount: { type: "string" },
+  "min-amount": { type: "string" },
+  currency: { type: "string" },
+  timestamp: { type: "string" },
+  "transfer-id": { type: "string" },
+  "payer-ref": { type: "string" },
+  "recipient-ref": { type: "string" },
+  status: { type: "string", multiple: true },
+  "max-age": { type: "string" },
+  "max-transfer-gap": { type: "string" },
+  select: { type: "string" },
+  "require-transfer-details": { type: "boolean" },
+  recent: { type: "string" },
+  "receipt-scheme": { type: "string" },
+  "mask-secrets": { type: "boolean" },
+  format: { type: "string", default: "json" },
+  "tlsn-module": { type: "string" },
+  help: { type: "boolean", short: "h" }
+};
+
+const EXPECTED_FLAGS = {
+  amount: "amount",
+  "min-amount": "minAmount",
+  currency: "currency",
+  "transfer-id": "transferId",
+  "payer-ref": "payerRef",
+  "recipient-ref": "recipientRef"
+};
+
+const FRESHNESS_FLAGS = {
+  "max-age": "maxNotarizationAgeSeconds",
+  "max-transfer-gap": "maxTransferGapSeconds"
+};
+
+function usageError(message) {
+  const error = new Error(message);
+  error.code = "CLI_USAGE";
+  return error;
+}
+
+function inputError(message) {
+  const error = new Error(message);
+  error.code = "CLI_INPUT";
+  return error;
+}
+
+async function loadConfig(name, load) {
+  try {
+    return await load();
+  } catch (error) {
+    throw inputError(`invalid ${name}: ${error.message}`);
+  }
+}
+
+function receiptScheme(value, fallback) {
+  try {
+    return parseReceiptHashScheme(value, fallback);
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+export function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  const [command, input] = positionals;
+  if (command !== "verify" && command !== "inspect") {
+    throw usageError(command ? `unknown command: ${command}` : "missing command");
+  }
+  if (!input || positionals.length > 2) {
+    throw usageError("expected exactly one input file or -");
+  }
+  if (values.format !== "json" && values.format !== "table") {
+    throw usageError(`invalid --format: ${values.format}`);
+  }
+
+  let query;
+  if (values.query) {
+    try {
+      query = asRecord(JSON.parse(values.query));
+    } catch {
+      throw usageError("--query must be a JSON object");
+    }
+  }
+
+  let expected = {};
+  if (values.expected) {
+    try {
+      expected = asRecord(JSON.parse(values.expected));
+    } catch {
+      throw usageError("--expected must be a JSON object");
+    }
+  }
+  for (const [flag, field] of Object.entries(EXPECTED_FLAGS)) {
+    if (values[flag] !== undefined) expected[field] = values[flag];
+  }
+  if (values.timestamp !== undefined) {
+    const timestamp = Number(values.timestamp);
+    if (!Number.isFinite(timestamp)) throw usageError(`invalid --timestamp: ${values.timestamp}`);
+    expected.timestamp = timestamp;
+  }
+  if (values.status) expected.status = values.status;
+
+  const freshness = {};
+  for (const [flag, field] of Object.entries(FRESHNESS_FLAGS)) {
+    if (values[flag] === undefined) continue;
+    const seconds = Number(values[flag]);
+    if (!Number.isInteger(seconds) || seconds < 0) throw usageError(`invalid --${flag}: ${values[flag]}`);
+    freshness[field] = seconds;
+  }
+
+  return {
+    command,
+    input,
+    provider: values.provider,
+    notaryKey: values["notary-key"],
+    allowedHosts: values["allowed-hosts"],
+    expected,
+    freshness,
+    select: values.select,
+    requireTransferDetails: Boolean(values["require-transfer-details"]),
+    query,
+    recent: values.recent,
+    receiptScheme: values["receipt-scheme"] === undefined ? undefined : receiptScheme(values["receipt-scheme"]),
+    maskSecrets: Boolean(values["mask-secrets"]),
+    format: values.format,
+    tlsnModule: values["tlsn-module"]
+  };
+}
+
+export function parseCliInput(text) {
+  const trimmed = String(text || "").trim();
+  if (!trimmed) throw usageError("input is empty");
+  const hex = normalizeHexString(trimmed);
+  if (hex) return { attestation: hex };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(trimmed);
+  } catch {
+    throw usageError("input is neither JSON nor a hex presentation");
+  }
+  const record = asRecord(parsed);
+  return record.attestation ? record : { attestation: parsed };
+}
+
+function readNotaryKey(value) {
+  if (!value) return undefined;
+  if (value.includes("-----BEGIN")) return value;
+  try {
+    return fs.readFileSync(value, "utf8").trim();
+  } catch (error) {
+    throw usageError(`unable to read --notary-key: ${error.message}`);
+  }
+}
+
+function loadVerifyPresentation(modulePath) {
+  const require = createRequire(import.meta.url);
+  try {
+    return require(modulePath).verify_presentation;
+  } catch (error) {
+    throw usageError(`unable to load verifier module: ${error.message}`);
+  }
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+async function readInput(input, stdin) {
+  try {
+    return input === "-" ? await readStream(stdin) : fs.readFileSync(input, "utf8");
+  } catch (error) {
+    throw inputError(`unable to read ${input === "-" ? "stdin" : input}: ${error.message}`);
+  }
+}
+
+function failure(exitCode, code, details, report = {}) {
+  return { exitCode, report: { ok: false, ...report, ...errorBody(code, { details }) } };
+}
+
+export async function runCliCommand(options, { text, env = process.env, verifyPresentation } = {}) {
+  const payload = parseCliInput(text);
+  const providers = await loadConfig("provider configuration", () => createDefaultProviderRegistry(env));
+  const provider = providers.get(options.provider);
+  if (!provider) throw usageError(`unknown provider: ${options.provider}`);
+  const policy = await loadConfig("policy configuration", () => parseVerifyPolicy(env));
+
+  const notaryPublicKeyPem =
+    readNotaryKey(options.notaryKey) ??
+    extractNotaryPublicKeyPem(payload.attestation, String(env.TLSN_NOTARY_PUBLIC_KEY_PEM || "").trim());
+  if (!notaryPublicKeyPem) {
+    throw usageError("missing notary key; pass --notary-key or set TLSN_NOTARY_PUBLIC_KEY_PEM");
+  }
+  const notary = {
+    fingerprint: notaryKeyFingerprint(notaryPublicKeyPem),
+    source: options.notaryKey ? "option" : extractNotaryPublicKeyPem(payload.attestation) ? "attestation" : "env"
+  };
+
+  const backendSpecs = await loadConfig("TLSN_VERIFIER_BACKENDS", () =>
+    parseVerifierBackends(
+      options.tlsnModule
+        ? [{ id: "tlsn-module", module: path.resolve(options.tlsnModule), versions: ["*"], default: true }]
+        : env.TLSN_VERIFIER_BACKENDS
+    )
+  );
+  const backends = createVerifierBackendRegistry(backendSpecs, {
+    load: (backend) => verifyPresentation ?? loadVerifyPresentation(backend.modulePath)
+  });
+  const selected = backends.resolve(payload.attestation);
+  if (!selected.ok) {
+    const details = [errorDetail(selected.code, "/attestation", selected.message)];
+    return failure(CLI_EXIT_CODES.verificationFailed, "PRESENTATION_VERSION_UNSUPPORTED", details, { notary });
+  }
+  const backend = { id: selected.backend.id, version: selected.version };
+
+  let localVerification;
+  try {
+    localVerification = await verifyPresentationLocally({
+      attestation: payload.attestation,
+      notaryPublicKeyPem,
+      verifyPresentation: selected.backend.verifyPresentation
+    });
+  } catch (error) {
+    const details = [errorDetail(VERIFIER_BACKEND_ERROR_CODES.presentationInvalid, "/attestation", error?.message || error)];
+    return failure(CLI_EXIT_CODES.verificationFailed, "TLS_VERIFICATION_FAILED", details, { notary, backend });
+  }
+
+  const base = {
+    command: options.command,
+    provider: provider.id,
+    serverName: localVerification.serverName ?? null,
+    notarizedAt: localVerification.timestamp ?? null,
+    backend,
+    notary
+  };
+
+  if (options.command === "inspect") {
+    const inspection = inspectTranscript({
+      attestation: payload.attestation,
+      sent: localVerification.sent,
+      recv: localVerification.recv,
+      maskSecrets: options.maskSecrets,
+      recentCount: options.recent ?? 10
+    });
+    return { exitCode: CLI_EXIT_CODES.ok, report: { ok: true, ...base, ...inspection } };
+  }
+
+  const queryInput = options.query ?? payload.query;
+  if (queryInput) {
+    const invalid = validateSchema(TRANSFER_QUERY_SCHEMA, queryInput, "/query");
+    if (invalid.length > 0) throw usageError(`invalid query: ${invalid.map((detail) => detail.message).join("; ")}`);
+  }
+
+  const pipeline = runVerifyPipeline({
+    provider,
+    attestation: payload.attestation,
+    localVerification,
+    request: {
+      ...payload,
+      recentCount: options.recent ?? payload.recentCount,
+      query: queryInput,
+      selectedTransfer: options.select ? { transferId: options.select } : payload.selectedTransfer,
+      requireTransferDetails: options.requireTransferDetails || payload.requireTransferDetails === true,
+      expected: { ...asRecord(payload.expected), ...options.expected },
+      freshness: { ...asRecord(payload.freshness), ...options.freshness },
+      receiptHashScheme: options.receiptScheme ?? receiptScheme(payload.receiptHashScheme, policy.receiptHashScheme)
+    },
+    policy,
+    allowedHostSuffixes: options.allowedHosts ? parseAllowedHostSuffixes(options.allowedHosts) : undefined
+  });
+  const report = { ...base, transferQuery: null, ...pipeline.report };
+  if (!pipeline.ok) {
+    if (pipeline.json.code === "REQUEST_INVALID" || pipeline.json.code === "QUERY_CURSOR_INVALID") {
+      throw usageError(`invalid query: ${pipeline.json.details.map((detail) => detail.message).join("; ")}`);
+    }
+    return { exitCode: CLI_EXIT_CODES.policyFailed, report: { ok: false, ...report, ...pipeline.json } };
+  }
+  return { exitCode: CLI_EXIT_CODES.ok, report: { ok: true, ...report } };
+}
+
+function formatCell(value) {
+  if (value === undefined || value === null) return "";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function formatSource(source) {
+  if (!source) return "";
+  if (source.origin !== "response") return source.origin;
+  const label = `#${source.exchange}${source.endpoint ? ` ${source.endpoint}` : ""}`;
+  return source.confirmedBy ? `${label} (confirmed by #${source.confirmedBy.exchange})` : label;
+}
+
+function formatTable(rows, columns) {
+  const widths = columns.map((column) => Math.max(column.length, ...rows.map((row) => formatCell(row[column]).length)));
+  const line = (cells) => cells.map((cell, index) => cell.padEnd(widths[index])).join("  ").trimEnd();
+  return [
+    line(columns),
+    line(widths.map((width) => "-".repeat(width))),
+    ...rows.map((row) => line(columns.map((column) => formatCell(row[column]))))
+  ];
+}
+
+const NORMALIZED_FIELDS = ["amount", "currency", "timestamp", "payerRef", "transferId", "status", "recipientRef", "sourceHost"];
+
+export function formatCliReport(report) {
+  const lines = [];
+  const fields = [
+    ["result", report.ok ? "ok" : `${report.code}: ${report.error}`],
+    ["provider", report.provider],
+    ["serverName", report.serverName],
+    ["notarizedAt", report.notarizedAt],
+    ["notary", report.notary ? `${report.notary.fingerprint} (${report.notary.source})` : undefined],
+    ["receiptHash", report.receiptHash ? `${report.receiptHash} (${report.receiptHashScheme})` : undefined],
+    ["match", report.match ? `#${report.match.index} scored ${report.match.score}/${report.match.maxScore}` : undefined]
+  ].filter(([, value]) => value !== undefined && value !== null);
+  const labelWidth = Math.max(...fields.map(([label]) => label.length));
+  for (const [label, value] of fields) lines.push(`${label.padEnd(labelWidth)}  ${value}`);
+
+  for (const detail of report.details ?? []) {
+    lines.push(`  ! ${detail.code} ${detail.path ?? ""} ${detail.message}`.trimEnd());
+  }
+  for (const candidate of report.candidates ?? []) {
+    const reasons = candidate.fields.filter((field) => field.outcome !== "match").map((field) => field.reason);
+    lines.push(`  ? #${candidate.index} scored ${candidate.score}/${candidate.maxScore}: ${reasons.join("; ") || "all fields match"}`);
+  }
+  for (const warning of report.warnings ?? []) {
+    lines.push(`  ! ${warning}`);
+  }
+  if (report.requests?.length && report.responses) {
+    lines.push("", "exchanges");
+    report.requests.forEach((request, index) => {
+      const response = report.responses[index];
+      lines.push(`  ${request.method} ${request.target} -> ${response ? response.statusCode : "(no response)"}`);
+    });
+  }
+  if (report.normalized) {
+    lines.push("", "normalized");
+    for (const field of NORMALIZED_FIELDS) {
+      lines.push(`  ${field.padEnd(12)}  ${formatCell(report.normalized[field])}`.trimEnd());
+    }
+  }
+  const columns = ["transferId", "amount", "currency", "timestamp", "payerRef", "status", "source"];
+  const transferRows = (rows) => rows.map((row) => ({ ...row, source: formatSource(row.source) }));
+  if (report.transferQuery) {
+    const { offset, count, matched, total, nextCursor } = report.transferQuery;
+    lines.push("", `query results ${count ? offset + 1 : 0}-${offset + count} of ${matched} (${total} proven)`);
+    lines.push(...formatTable(transferRows(report.transferQuery.rows), columns).map((line) => `  ${line}`));
+    if (nextCursor) lines.push(`  next cursor: ${nextCursor}`);
+  } else if (report.recentTransfers?.length) {
+    lines.push("", `recent transfers (${report.provenTransferCount ?? report.recentTransfers.length} proven)`);
+    lines.push(...formatTable(transferRows(report.recentTransfers), columns).map((line) => `  ${line}`));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+export async function runCli(
+  argv,
+  { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, env = process.env, verifyPresentation } = {}
+) {
+  let options;
+  try {
+    options = parseCliArgs(argv);
+    if (options.help) {
+      stdout.write(CLI_USAGE);
+      return CLI_EXIT_CODES.ok;
+    }
+    const text = await readInput(options.input, stdin);
+    const { exitCode, report } = await runCliCommand(options, { text, env, verifyPresentation });
+    stdout.write(options.format === "table" ? formatCliReport(report) : `${JSON.stringify(report, null, 2)}\n`);
+    return exitCode;
+  } catch (error) {
+    if (error?.code === "CLI_USAGE") {
+      stderr.write(`tlsn-verifier: ${error.message}\n\n${CLI_USAGE}`);
+      return CLI_EXIT_CODES.usage;
+    }
+    if (error?.code === "CLI_INPUT") {
+      stderr.write(`tlsn-verifier: ${error.message}\n`);
+      return CLI_EXIT_CODES.usage;
+    }
+    throw error;
+  }
+}
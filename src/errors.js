@@ -0,0 +1,195 @@
+export const ERROR_CODES = {
+  BODY_INVALID_JSON: { status: 400, category: "bad_request", message: "invalid json body" },
+  BODY_TOO_LARGE: { status: 413, category: "bad_request", message: "payload too large" },
+  REQUEST_INVALID: { status: 400, category: "bad_request", message: "request body does not match schema" },
+  QUERY_CURSOR_INVALID: { status: 400, category: "bad_request", message: "invalid transfer query cursor" },
+  NOT_FOUND: { status: 404, category: "not_found", message: "not found" },
+  PROVIDER_UNKNOWN: { status: 404, category: "not_found", message: "unknown provider" },
+  INTERNAL_ERROR: { status: 500, category: "internal", message: "internal error" },
+  SIGNER_NOT_CONFIGURED: { status: 404, category: "not_found", message: "result signing is not configured" },
+
+  API_KEY_INVALID: { status: 401, category: "auth", message: "invalid or missing api key" },
+  ORIGIN_NOT_ALLOWED: { status: 403, category: "auth", message: "origin not allowed for api key" },
+  RATE_LIMITED: { status: 429, category: "rate_limit", message: "rate limit exceeded" },
+  ADMIN_DISABLED: { status: 403, category: "auth", message: "admin api is disabled" },
+  ADMIN_TOKEN_INVALID: { status: 401, category: "auth", message: "invalid admin token" },
+
+  CAPTURE_DISABLED: { status: 403, category: "browser_capture", message: "browser capture mode is disabled" },
+  CAPTURE_NOT_ALLOWED: {
+    status: 403,
+    category: "browser_capture",
+    message: "browser capture mode is not allowed for this caller"
+  },
+  CAPTURE_FIELDS_MISSING: {
+    status: 400,
+    category: "browser_capture",
+    message: "browser capture output missing required fields"
+  },
+
+  NOTARY_KEY_MISSING: {
+    status: 400,
+    category: "notary",
+    message: "missing notary key; include attestation.notaryUrl or set TLSN_NOTARY_PUBLIC_KEY_PEM"
+  },
+  NOTARY_KEY_UNRESOLVED: { status: 400, category: "notary", message: "failed to resolve notary public key" },
+  NOTARY_KEY_UNTRUSTED: { status: 400, category: "notary", message: "untrusted notary key" },
+  NOTARY_ENTRY_INVALID: { status: 400, category: "notary", message: "invalid trusted notary" },
+  NOTARY_FINGERPRINT_UNKNOWN: { status: 404, category: "notary", message: "unknown notary fingerprint" },
+
+  TLS_VERIFICATION_FAILED: { status: 400, category: "tls_verification", message: "local tlsn verification failed" },
+  PRESENTATION_VERSION_UNSUPPORTED: {
+    status: 400,
+    category: "tls_verification",
+    message: "no verifier backend for presentation version"
+  },
+  VERIFIER_BUSY: { status: 503, category: "capacity", message: "verifier is at capacity" },
+
+  REQUEST_UNPARSEABLE: { status: 400, category: "request_policy", message: "unable to parse revealed request" },
+  REQUEST_NOT_REVEALED: {
+    status: 400,
+    category: "request_policy",
+    message: "sent transcript does not reveal an http request"
+  },
+  REQUEST_HOST_MISMATCH: {
+    status: 400,
+    category: "request_policy",
+    message: "revealed request host does not match serverName"
+  },
+  ENDPOINT_NOT_ALLOWED: {
+    status: 400,
+    category: "request_policy",
+    message: "revealed request does not match an allowed endpoint"
+  },
+  RESPONSE_UNPARSEABLE: { status: 400, category: "transcript", message: "unable to parse revealed response" },
+
+  TRANSFER_NOT_FOUND: { status: 400, category: "validation", message: "selected transfer not found in recent transfers" },
+  TRANSFER_AMBIGUOUS: {
+    status: 400,
+    category: "validation",
+    message: "selected transfer matches several recent transfers"
+  },
+  TRANSFER_NOT_CONFIRMED: {
+    status: 400,
+    category: "validation",
+    message: "selected transfer is not confirmed by a transfer-details response"
+  },
+  AMOUNT_UNSIGNABLE: {
+    status: 400,
+    category: "validation",
+    message: "verified amount cannot be signed as unsigned minor units"
+  },
+  FIELDS_MISSING: { status: 400, category: "validation", message: "verifier output missing required fields" },
+  HOST_NOT_ALLOWED: { status: 400, category: "validation", message: "sourceHost is not an allowed domain" },
+  CONSTRAINTS_MISMATCH: { status: 400, category: "validation", message: "expected constraints mismatch" },
+  FRESHNESS_FAILED: { status: 400, category: "freshness", message: "presentation fails the freshness policy" },
+
+  ATTESTATION_ALREADY_VERIFIED: { status: 409, category: "replay", message: "attestation already verified" },
+  TRANSFER_ALREADY_CLAIMED: { status: 409, category: "replay", message: "transfer already claimed" },
+
+  CALLBACK_NOT_ALLOWED: { status: 400, category: "webhook", message: "callback url is not allowed" },
+
+  BATCH_ITEMS_INVALID: { status: 400, category: "bad_request", message: "items must be a non-empty array" },
+  BATCH_TOO_MANY_ITEMS: { status: 400, category: "bad_request", message: "too many batch items" },
+  BATCH_ITEM_INVALID: { status: 400, category: "bad_request", message: "batch item must be an object" },
+  BATCH_ITEM_TOO_LARGE: { status: 413, category: "bad_request", message: "batch item exceeds MAX_BODY_BYTES" }
+};
+
+export const DETAIL_CODES = {
+  SCHEMA_ANY_OF: { category: "bad_request", message: "value does not match any allowed shape" },
+  SCHEMA_TYPE: { category: "bad_request", message: "value has the wrong type" },
+  SCHEMA_ENUM: { category: "bad_request", message: "value is not one of the allowed values" },
+  SCHEMA_MIN_LENGTH: { category: "bad_request", message: "string is too short" },
+  SCHEMA_MAX_LENGTH: { category: "bad_request", message: "string is too long" },
+  SCHEMA_PATTERN: { category: "bad_request", message: "string does not match the pattern" },
+  SCHEMA_MINIMUM: { category: "bad_request", message: "number is too small" },
+  SCHEMA_MAXIMUM: { category: "bad_request", message: "number is too large" },
+  SCHEMA_MIN_ITEMS: { category: "bad_request", message: "array has too few items" },
+  SCHEMA_MAX_ITEMS: { category: "bad_request", message: "array has too many items" },
+  SCHEMA_REQUIRED: { category: "bad_request", message: "required field is missing" },
+  SCHEMA_ADDITIONAL_PROPERTIES: { category: "bad_request", message: "field is not allowed" },
+  SCHEMA_FORMAT: { category: "bad_request", message: "value has the wrong format" },
+
+  NOTARY_URL_INVALID: { category: "notary", message: "invalid notary url" },
+  NOTARY_SCHEME_NOT_ALLOWED: { category: "notary", message: "notary url scheme is not allowed" },
+  NOTARY_HOST_NOT_ALLOWED: { category: "notary", message: "notary host is not allowed" },
+  NOTARY_DNS_FAILED: { category: "notary", message: "notary host did not resolve" },
+  NOTARY_ADDRESS_BLOCKED: { category: "notary", message: "notary host resolves to a blocked address" },
+  NOTARY_CONNECT_TIMEOUT: { category: "notary", message: "notary connection timed out" },
+  NOTARY_TIMEOUT: { category: "notary", message: "notary request timed out" },
+  NOTARY_CONNECTION_FAILED: { category: "notary", message: "notary connection failed" },
+  NOTARY_HTTP_STATUS: { category: "notary", message: "notary returned an error status" },
+  NOTARY_RESPONSE_TOO_LARGE: { category: "notary", message: "notary response is too large" },
+  NOTARY_INVALID_JSON: { category: "notary", message: "notary response is not json" },
+  NOTARY_MISSING_KEY: { category: "notary", message: "notary response has no public key" },
+  NOTARY_FETCH_FAILED: { category: "notary", message: "notary key fetch failed" },
+  NOTARY_KEY_UNKNOWN: { category: "notary", message: "notary key is not trusted" },
+  NOTARY_KEY_REVOKED: { category: "notary", message: "notary key is revoked" },
+  NOTARY_KEY_EXPIRED: { category: "notary", message: "notary key is expired" },
+  NOTARY_KEY_NOT_YET_VALID: { category: "notary", message: "notary key is not yet valid" },
+  NOTARY_URL_MISMATCH: { category: "notary", message: "notary key is trusted for another url" },
+
+  PRESENTATION_INVALID: { category: "tls_verification", message: "presentation failed verification" },
+  PRESENTATION_VERSION_MISSING: { category: "tls_verification", message: "presentation has no version" },
+  VERIFY_TIMEOUT: { category: "tls_verification", message: "presentation verification timed out" },
+  VERIFY_WORKER_CRASHED: { category: "tls_verification", message: "verifier worker crashed" },
+  VERIFY_POOL_CLOSED: { category: "tls_verification", message: "verify pool is closed" },
+  VERIFY_POOL_SATURATED: { category: "capacity", message: "verifier is at capacity" },
+
+  FIELD_MISSING: { category: "validation", message: "verifier output field is missing" },
+  EXPECTED_INVALID: { category: "validation", message: "expected constraint is invalid" },
+  AMOUNT_UNPARSEABLE: { category: "validation", message: "amount cannot be parsed" },
+  AMOUNT_MISMATCH: { category: "validation", message: "amount mismatch" },
+  AMOUNT_OUT_OF_TOLERANCE: { category: "validation", message: "amount is outside the tolerance" },
+  AMOUNT_BELOW_MINIMUM: { category: "validation", message: "amount is below the minimum" },
+  CURRENCY_MISSING: { category: "validation", message: "currency missing" },
+  CURRENCY_MISMATCH: { category: "validation", message: "currency mismatch" },
+  TIMESTAMP_OUT_OF_RANGE: { category: "validation", message: "timestamp is out of range" },
+  TRANSFER_ID_MISMATCH: { category: "validation", message: "transferId mismatch" },
+  PAYER_MISMATCH: { category: "validation", message: "payerRef mismatch" },
+  RECIPIENT_MISSING: { category: "validation", message: "recipientRef missing" },
+  RECIPIENT_MISMATCH: { category: "validation", message: "recipientRef mismatch" },
+  STATUS_MISSING: { category: "validation", message: "status missing" },
+  STATUS_NOT_ALLOWED: { category: "validation", message: "status is not allowed" },
+
+  NOTARIZATION_TIME_MISSING: { category: "freshness", message: "presentation has no notarization time" },
+  NOTARIZATION_TOO_OLD: { category: "freshness", message: "notarization is too old" },
+  TRANSFER_GAP_EXCEEDED: { category: "freshness", message: "transfer is too far from the notarization" },
+  TRANSFER_AFTER_NOTARIZATION: { category: "freshness", message: "transfer is dated after the notarization" },
+
+  CALLBACK_URL_INVALID: { category: "webhook", message: "invalid callback url" },
+  CALLBACK_SCHEME_NOT_ALLOWED: { category: "webhook", message: "callback url scheme is not allowed" },
+  CALLBACK_HOST_NOT_ALLOWED: { category: "webhook", message: "callback host is not allowed" },
+  CALLBACK_ADDRESS_BLOCKED: { category: "webhook", message: "callback address is blocked" },
+  WEBHOOK_SECRET_MISSING: { category: "webhook", message: "no webhook secret is configured" }
+};
+
+export function isErrorCode(code) {
+  return Object.hasOwn(ERROR_CODES, code) || Object.hasOwn(DETAIL_CODES, code);
+}
+
+export function errorDetail(code, path, message) {
+  return { code, path: path ?? null, message: String(message ?? "") };
+}
+
+export function errorBody(code, { error, details = [], ...extra } = {}) {
+  const entry = ERROR_CODES[code];
+  if (!entry) throw new Error(`unknown error code: ${code}`);
+  return { error: error ?? entry.message, code, details, ...extra };
+}
+
+export function errorStatus(code) {
+  return ERROR_CODES[code]?.status ?? 500;
+}
+
+export function errorCategory(code, status) {
+  if (ERROR_CODES[code]) return ERROR_CODES[code].category;
+  if (!status || status < 400) return null;
+  return status >= 500 ? "internal" : "bad_request";
+}
+
+export function codedError(code, message, extra = {}) {
+  const error = new Error(message ?? ERROR_CODES[code]?.message ?? code);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
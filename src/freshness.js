@@ -0,0 +1,161 @@
+export const DEFAULT_TRANSFER_CLOCK_SKEW_SECONDS = 5 * 60;
+
+export const FRESHNESS_ERROR_CODES = {
+  notarizationTimeMissing: "NOTARIZATION_TIME_MISSING",
+  notarizationTooOld: "NOTARIZATION_TOO_OLD",
+  transferGapExceeded: "TRANSFER_GAP_EXCEEDED",
+  transferAfterNotarization: "TRANSFER_AFTER_NOTARIZATION"
+};
+
+function parseSeconds(raw, name) {
+  if (raw === undefined || raw === null || String(raw).trim() === "") return null;
+  const value = Number(String(raw).trim());
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`invalid ${name} value: ${raw}`);
+  }
+  return Math.trunc(value);
+}
+
+function parseFlag(raw, name, fallback) {
+  if (raw === undefined || String(raw).trim() === "") return fallback;
+  const value = String(raw).trim().toLowerCase();
+  if (value !== "true" && value !== "false") {
+    throw new Error(`invalid ${name} value: ${raw}`);
+  }
+  return value === "true";
+}
+
+function parseLimit(env, name, capName) {
+  const value = parseSeconds(env[name], name);
+  const cap = parseSeconds(env[capName], capName);
+  return { default: value ?? cap, cap: cap ?? value };
+}
+
+export function parseFreshnessPolicy(env = process.env) {
+  return {
+    maxNotarizationAgeSeconds: parseLimit(
+      env,
+      "TLSN_MAX_NOTARIZATION_AGE_SECONDS",
+      "TLSN_MAX_NOTARIZATION_AGE_CAP_SECONDS"
+    ),
+    maxTransferGapSeconds: parseLimit(env, "TLSN_MAX_TRANSFER_GAP_SECONDS", "TLSN_MAX_TRANSFER_GAP_CAP_SECONDS"),
+    rejectTransferAfterNotarization: parseFlag(
+      env.TLSN_REJECT_TRANSFER_AFTER_NOTARIZATION,
+      "TLSN_REJECT_TRANSFER_AFTER_NOTARIZATION",
+      true
+    ),
+    transferClockSkewSeconds:
+      parseSeconds(env.TLSN_TRANSFER_CLOCK_SKEW_SECONDS, "TLSN_TRANSFER_CLOCK_SKEW_SECONDS") ??
+      DEFAULT_TRANSFER_CLOCK_SKEW_SECONDS
+  };
+}
+
+function resolveLimit(limit, requested) {
+  const value = Number(requested);
+  const chosen = requested !== undefined && Number.isFinite(value) && value >= 0 ? Math.trunc(value) : limit.default;
+  if (limit.cap === null) return chosen;
+  return chosen === null ? limit.cap : Math.min(chosen, limit.cap);
+}
+
+export function resolveFreshnessRules(policy, requested = {}) {
+  const overrides = requested && typeof requested === "object" ? requested : {};
+  return {
+    maxNotarizationAgeSeconds: resolveLimit(policy.maxNotarizationAgeSeconds, overrides.maxNotarizationAgeSeconds),
+    maxTransferGapSeconds: resolveLimit(policy.maxTransferGapSeconds, overrides.maxTransferGapSeconds),
+    rejectTransferAfterNotarization:
+      policy.rejectTransferAfterNotarization || overrides.rejectTransferAfterNotarization === true,
+    transferClockSkewSeconds: policy.transferClockSkewSeconds
+  };
+}
+
+function toSeconds(value) {
+  const number = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(number) && number > 0 ? Math.trunc(number) : null;
+}
+
+export function evaluateFreshness(rules, { notarizedAt, transferTimestamp, now = Math.floor(Date.now() / 1000) }) {
+  const notarized = toSeconds(notarizedAt);
+  const transfer = toSeconds(transferTimestamp);
+  const results = [];
+  const missing = (rule, limit) => ({
+    rule,
+    ok: false,
+    limit,
+    actual: "",
+    code: FRESHNESS_ERROR_CODES.notarizationTimeMissing,
+    message: `${rule} cannot be checked: presentation has no notarization time`
+  });
+
+  if (rules.maxNotarizationAgeSeconds !== null) {
+    const limit = `${rules.maxNotarizationAgeSeconds}s`;
+    if (notarized === null) {
+      results.push(missing("maxNotarizationAgeSeconds", limit));
+    } else {
+      const age = now - notarized;
+      const result = { rule: "maxNotarizationAgeSeconds", limit, actual: `${age}s` };
+      results.push(
+        age > rules.maxNotarizationAgeSeconds
+          ? {
+              ...result,
+              ok: false,
+              code: FRESHNESS_ERROR_CODES.notarizationTooOld,
+              message: `notarization too old: notarizedAt=${notarized}, age=${age}s, max=${rules.maxNotarizationAgeSeconds}s`
+            }
+          : { ...result, ok: true }
+      );
+    }
+  }
+
+  if (rules.maxTransferGapSeconds !== null) {
+    const limit = `${rules.maxTransferGapSeconds}s`;
+    if (notarized === null) {
+      results.push(missing("maxTransferGapSeconds", limit));
+    } else {
+      const gap = Math.abs(notarized - (transfer ?? 0));
+      const result = { rule: "maxTransferGapSeconds", limit, actual: transfer === null ? "" : `${gap}s` };
+      results.push(
+        transfer === null || gap > rules.maxTransferGapSeconds
+          ? {
+              ...result,
+              ok: false,
+              code: FRESHNESS_ERROR_CODES.transferGapExceeded,
+              message: `transfer too far from notarization: transferTimestamp=${transfer ?? ""}, notarizedAt=${notarized}, max=${rules.maxTransferGapSeconds}s`
+            }
+          : { ...result, ok: true }
+      );
+    }
+  }
+
+  if (rules.rejectTransferAfterNotarization && notarized !== null && transfer !== null) {
+    const ahead = transfer - notarized;
+    const result = {
+      rule: "rejectTransferAfterNotarization",
+      limit: `${rules.transferClockSkewSeconds}s`,
+      actual: `${ahead}s`
+    };
+    results.push(
+      ahead > rules.transferClockSkewSeconds
+        ? {
+            ...result,
+            ok: false,
+            code: FRESHNESS_ERROR_CODES.transferAfterNotarization,
+            message: `transfer timestamped after notarization: transferTimestamp=${transfer}, notarizedAt=${notarized}`
+          }
+        : { ...result, ok: true }
+    );
+  }
+
+  return results;
+}
+
+export function buildFreshnessReport(rules, { notarizedAt, transferTimestamp, now = Math.floor(Date.now() / 1000) }) {
+  const results = evaluateFreshness(rules, { notarizedAt, transferTimestamp, now });
+  return {
+    ok: results.every((result) => result.ok),
+    notarizedAt: toSeconds(notarizedAt),
+    transferTimestamp: toSeconds(transferTimestamp),
+    checkedAt: now,
+    rules,
+    results
+  };
+}
@@ -0,0 +1,128 @@
+import { extractRecentTransfers, extractTransfers } from "./lib.js";
+import { isJsonContentType, parseHttpRequests, parseHttpResponses } from "./transcript.js";
+
+export const SECRET_HEADERS = [
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "set-cookie",
+  "x-api-key",
+  "x-auth-token",
+  "x-csrf-token",
+  "x-xsrf-token"
+];
+
+export const REDACTED_MARK = "█";
+
+export function findRedactedRanges(transcript) {
+  const bytes = Buffer.from(String(transcript || ""), "utf8");
+  const ranges = [];
+  let start = -1;
+  for (let index = 0; index <= bytes.length; index++) {
+    const redacted = index < bytes.length && bytes[index] === 0;
+    if (redacted && start < 0) start = index;
+    if (!redacted && start >= 0) {
+      ranges.push({ start, end: index });
+      start = -1;
+    }
+  }
+  return ranges;
+}
+
+export function maskSecretHeaders(transcript, names = SECRET_HEADERS) {
+  const pattern = new RegExp(`^(${names.join("|")})(:[ \\t]*)([^\\r\\n]*)$`, "gim");
+  return String(transcript || "").replace(pattern, (line, name, separator, value) => {
+    return `${name}${separator}${value.replace(/[^\0]/gu, (char) => "*".repeat(Buffer.byteLength(char, "utf8")))}`;
+  });
+}
+
+function describeTranscript(text) {
+  return {
+    length: Buffer.byteLength(text, "utf8"),
+    redacted: findRedactedRanges(text),
+    text: text.replace(/\0/g, REDACTED_MARK)
+  };
+}
+
+function markRedacted(value) {
+  return String(value).replace(/\0/g, REDACTED_MARK);
+}
+
+function describeHeaders(rawHeaders) {
+  return rawHeaders.map(([name, value]) => ({ name, value: markRedacted(value) }));
+}
+
+function safely(parse) {
+  try {
+    return { value: parse() };
+  } catch (error) {
+    return { error: String(error?.message || error) };
+  }
+}
+
+export function extractProvenTransfers(attestation, recv) {
+  const proven = safely(() => extractTransfers(attestation, recv));
+  return {
+    transfers: proven.value ?? [],
+    error: proven.error ?? null,
+    warning: proven.error ? `unable to extract proven transfers: ${proven.error}` : null
+  };
+}
+
+export function inspectTranscript({
+  attestation,
+  sent,
+  recv,
+  maskSecrets = false,
+  recentCount = 10,
+  proven = extractProvenTransfers(attestation, recv)
+}) {
+  const sentText = maskSecrets ? maskSecretHeaders(sent) : String(sent || "");
+  const recvText = maskSecrets ? maskSecretHeaders(recv) : String(recv || "");
+  const warnings = [];
+
+  const requests = safely(() => parseHttpRequests(sentText));
+  if (requests.error) warnings.push(`unable to parse revealed request: ${requests.error}`);
+  const responses = safely(() => parseHttpResponses(recvText));
+  if (responses.error) warnings.push(`unable to parse revealed response: ${responses.error}`);
+
+  const jsonBodies = [];
+  for (const [index, response] of (responses.value ?? []).entries()) {
+    if (!response.body.trim() || !isJsonContentType(response.headers["content-type"])) continue;
+    const parsed = safely(() => JSON.parse(response.body));
+    if (parsed.error) {
+      warnings.push(`response ${index} body is not valid json`);
+      continue;
+    }
+    jsonBodies.push({ response: index, json: parsed.value });
+  }
+
+  const transfers = safely(() => extractRecentTransfers(attestation, recv, recentCount));
+  if (transfers.error) warnings.push(`unable to extract transfers: ${transfers.error}`);
+  if (proven.warning && proven.error !== transfers.error) warnings.push(proven.warning);
+
+  return {
+    sent: describeTranscript(sentText),
+    recv: describeTranscript(recvText),
+    requests: (requests.value ?? []).map((request) => ({
+      offset: request.offset,
+      method: request.method,
+      target: markRedacted(request.target),
+      httpVersion: request.httpVersion,
+      headers: describeHeaders(request.rawHeaders),
+      body: markRedacted(request.body)
+    })),
+    responses: (responses.value ?? []).map((response) => ({
+      offset: response.offset,
+      statusCode: response.statusCode,
+      reason: response.reason,
+      httpVersion: response.httpVersion,
+      headers: describeHeaders(response.rawHeaders),
+      body: markRedacted(response.body)
+    })),
+    jsonBodies,
+    recentTransfers: transfers.value ?? [],
+    provenTransferCount: proven.transfers.length,
+    warnings
+  };
+}
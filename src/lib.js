@@ -1,9 +1,22 @@
 import crypto from "node:crypto";
+import { amountDistance, compareAmounts, formatAmount, parseAmount, tryParseAmount } from "./amount.js";
+import { parseJsonResponses } from "./transcript.js";
 
 export function sha256Hex(value) {
   return `0x${crypto.createHash("sha256").update(value).digest("hex")}`;
 }
 
+export function safeEqualText(a, b) {
+  const lhs = Buffer.from(String(a));
+  const rhs = Buffer.from(String(b));
+  return lhs.length === rhs.length && crypto.timingSafeEqual(lhs, rhs);
+}
+
+export function extractBearerToken(header) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(String(header || ""));
+  return match ? match[1] : undefined;
+}
+
 export function asRecord(value) {
   if (!value || typeof value !== "object") return {};
   return value;
@@ -57,43 +70,53 @@ export function pickNumber(input, keys) {
   return undefined;
 }
 
-export function extractPresentationHex(attestation, depth = 0) {
+const PRESENTATION_KEYS = [
+  "presentationHex",
+  "presentation_hex",
+  "presentation",
+  "proof",
+  "proofHex",
+  "attestationHex",
+  "data"
+];
+
+function findPresentation(attestation, depth = 0) {
   if (depth > 5) return undefined;
   const direct = normalizeHexString(attestation);
-  if (direct) return direct;
+  if (direct) return { hex: direct, version: undefined };
 
   const parsed = maybeParseJsonString(attestation);
   if (parsed) {
-    const nested = extractPresentationHex(parsed, depth + 1);
+    const nested = findPresentation(parsed, depth + 1);
     if (nested) return nested;
   }
 
   const record = asRecord(attestation);
   if (Object.keys(record).length === 0) return undefined;
 
-  const candidateKeys = [
-    "presentationHex",
-    "presentation_hex",
-    "presentation",
-    "proof",
-    "proofHex",
-    "attestationHex",
-    "data"
-  ];
-  for (const key of candidateKeys) {
-    const nested = extractPresentationHex(record[key], depth + 1);
-    if (nested) return nested;
+  const version = pickString(record, ["version"]);
+  for (const key of PRESENTATION_KEYS) {
+    const nested = findPresentation(record[key], depth + 1);
+    if (nested) return { hex: nested.hex, version: normalizeHexString(record[key]) ? version : nested.version };
   }
 
   const meta = asRecord(record.meta);
-  for (const key of candidateKeys) {
-    const nested = extractPresentationHex(meta[key], depth + 1);
+  for (const key of PRESENTATION_KEYS) {
+    const nested = findPresentation(meta[key], depth + 1);
     if (nested) return nested;
   }
 
   return undefined;
 }
 
+export function extractPresentationHex(attestation) {
+  return findPresentation(attestation)?.hex;
+}
+
+export function extractPresentationVersion(attestation) {
+  return findPresentation(attestation)?.version;
+}
+
 export function extractNotaryPublicKeyPem(attestation, envFallback = "") {
   const root = asRecord(attestation);
   const meta = asRecord(root.meta);
@@ -144,6 +167,11 @@ export function extractPublicKeyFromNotaryInfo(info) {
   ]);
 }
 
+function readRecvTranscript(recv) {
+  if (typeof recv === "string") return recv;
+  return recv instanceof Uint8Array ? Buffer.from(recv) : "";
+}
+
 export async function verifyPresentationLocally({
   attestation,
   notaryPublicKeyPem,
@@ -163,7 +191,7 @@ export async function verifyPresentationLocally({
 
   const rawResult = await Promise.resolve(verifyPresentation(presentationHex, notaryPublicKeyPem));
   const sent = typeof rawResult?.sent === "string" ? rawResult.sent : "";
-  const recv = typeof rawResult?.recv === "string" ? rawResult.recv : "";
+  const recv = readRecvTranscript(rawResult?.recv);
   const serverName = pickString(asRecord(rawResult), ["server_name", "serverName", "sourceHost", "host"]);
   const timestampRaw =
     typeof rawResult?.time === "bigint"
@@ -189,20 +217,11 @@ export function isVerifierSuccess(raw) {
   return flags.some((value) => value === true || value === "true");
 }
 
-export function normalizeVerifierData(raw) {
-  const nested = asRecord(raw.claimData ?? raw.extracted ?? raw.normalized ?? raw.data ?? raw.fields);
-  const view = { ...raw, ...nested };
-  const amount = pickString(view, ["amount", "amountText", "transferAmount", "paymentAmount"]);
-  const timestamp = pickNumber(view, ["timestamp", "transferTimestamp", "createdAtTs", "paidAt", "time"]);
-  const payerRef = pickString(view, [
-    "payerRef",
-    "payer",
-    "sender",
-    "payerId",
-    "accountHolder",
-    "recipientText"
-  ]);
-  const transferId = pickString(view, [
+export const DEFAULT_VERIFIER_FIELDS = {
+  amount: ["amount", "amountText", "transferAmount", "paymentAmount"],
+  timestamp: ["timestamp", "transferTimestamp", "createdAtTs", "paidAt", "time"],
+  payerRef: ["payerRef", "payer", "sender", "payerId", "accountHolder", "recipientText"],
+  transferId: [
     "transferId",
     "paymentId",
     "transactionId",
@@ -211,20 +230,40 @@ export function normalizeVerifierData(raw) {
     "transaction_number",
     "id",
     "reference"
-  ]);
-  const sourceHost = pickString(view, ["sourceHost", "host", "domain", "originHost", "server_name"]);
+  ],
+  sourceHost: ["sourceHost", "host", "domain", "originHost", "server_name"],
+  currency: ["currency", "ccy", "amountCurrency"],
+  status: ["status", "state", "paymentStatus"],
+  recipientRef: ["recipientRef", "recipient", "recipientName", "recipientId", "payee"]
+};
+
+export function normalizeVerifierData(raw, fields = DEFAULT_VERIFIER_FIELDS) {
+  const nested = asRecord(raw.claimData ?? raw.extracted ?? raw.normalized ?? raw.data ?? raw.fields);
+  const view = { ...raw, ...nested };
+  const amount = pickString(view, fields.amount);
+  const timestamp = pickNumber(view, fields.timestamp);
+  const payerRef = pickString(view, fields.payerRef);
+  const transferId = pickString(view, fields.transferId);
+  const sourceHost = pickString(view, fields.sourceHost);
+  const currency = pickString(view, fields.currency ?? []);
+  const status = pickString(view, fields.status ?? []);
+  const recipientRef = pickString(view, fields.recipientRef ?? []);
 
   return {
     amount,
     timestamp,
     payerRef,
     transferId,
-    sourceHost
+    sourceHost,
+    currency,
+    parsedAmount: tryParseAmount(amount, { currency }),
+    status,
+    recipientRef
   };
 }
 
-export function parseAllowedHostSuffixes(raw) {
-  const value = raw ?? "wise.com,transferwise.com";
+export function parseAllowedHostSuffixes(raw, fallback = "wise.com,transferwise.com") {
+  const value = raw ?? fallback;
   return value
     .split(",")
     .map((item) => item.trim().toLowerCase())
@@ -240,55 +279,253 @@ export function isUnsignedIntegerText(value) {
   return /^[0-9]+$/.test(String(value || "").trim());
 }
 
-export function validateExpected(expected, normalized) {
-  const errors = [];
-  if (!expected || typeof expected !== "object") return errors;
+export const DEFAULT_TIMESTAMP_SKEW_SECONDS = 30 * 60;
+
+function errorText(error) {
+  return String(error?.message || error);
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+function describeValue(value) {
+  return value && typeof value === "object" ? JSON.stringify(value) : String(value);
+}
 
-  if (
-    typeof expected.amount === "string" &&
-    isUnsignedIntegerText(expected.amount) &&
-    isUnsignedIntegerText(normalized.amount) &&
-    expected.amount !== normalized.amount
-  ) {
-    errors.push(`amount mismatch: expected=${expected.amount}, actual=${normalized.amount}`);
+export const EXPECTED_ERROR_CODES = {
+  invalid: "EXPECTED_INVALID",
+  amountUnparseable: "AMOUNT_UNPARSEABLE",
+  amountMismatch: "AMOUNT_MISMATCH",
+  amountOutOfTolerance: "AMOUNT_OUT_OF_TOLERANCE",
+  amountBelowMinimum: "AMOUNT_BELOW_MINIMUM",
+  currencyMissing: "CURRENCY_MISSING",
+  currencyMismatch: "CURRENCY_MISMATCH",
+  timestampOutOfRange: "TIMESTAMP_OUT_OF_RANGE",
+  transferIdMismatch: "TRANSFER_ID_MISMATCH",
+  payerMismatch: "PAYER_MISMATCH",
+  recipientMissing: "RECIPIENT_MISSING",
+  recipientMismatch: "RECIPIENT_MISMATCH",
+  statusMissing: "STATUS_MISSING",
+  statusNotAllowed: "STATUS_NOT_ALLOWED"
+};
+
+function parseActualAmount(normalized) {
+  return normalized.parsedAmount ?? parseAmount(normalized.amount, { currency: normalized.currency });
+}
+
+function checkAmountConstraint(constraint, expectedValue, normalized, options, compare) {
+  let expectedAmount;
+  try {
+    expectedAmount = parseAmount(expectedValue, { currency: options.currency });
+  } catch (error) {
+    return {
+      constraint,
+      ok: false,
+      expected: describeValue(expectedValue),
+      actual: normalized.amount ?? "",
+      code: EXPECTED_ERROR_CODES.invalid,
+      message: `expected ${constraint} unparseable: ${errorText(error)}`
+    };
   }
 
-  if (typeof expected.timestamp === "number" && Number.isFinite(expected.timestamp)) {
-    const lhs = Math.trunc(expected.timestamp);
-    const rhs = Math.trunc(Number(normalized.timestamp || 0));
-    if (Math.abs(lhs - rhs) > 30 * 60) {
-      errors.push(`timestamp out of skew: expected=${lhs}, actual=${rhs}`);
+  let actualAmount;
+  try {
+    actualAmount = parseActualAmount(normalized);
+  } catch (error) {
+    return {
+      constraint,
+      ok: false,
+      expected: formatAmount(expectedAmount),
+      actual: normalized.amount ?? "",
+      code: EXPECTED_ERROR_CODES.amountUnparseable,
+      message: `amount unparseable: ${errorText(error)}`
+    };
+  }
+  if (!actualAmount) {
+    return {
+      constraint,
+      ok: false,
+      expected: formatAmount(expectedAmount),
+      actual: "",
+      code: EXPECTED_ERROR_CODES.amountUnparseable,
+      message: `amount unparseable: actual=${normalized.amount ?? ""}`
+    };
+  }
+
+  const result = { constraint, expected: formatAmount(expectedAmount), actual: formatAmount(actualAmount) };
+  try {
+    const failure = compare(expectedAmount, actualAmount);
+    return failure ? { ...result, ok: false, ...failure } : { ...result, ok: true };
+  } catch (error) {
+    return { ...result, ok: false, code: EXPECTED_ERROR_CODES.currencyMismatch, message: `${constraint} ${errorText(error)}` };
+  }
+}
+
+function checkAmount(expected, normalized) {
+  let tolerance;
+  if (hasValue(expected.amountTolerance)) {
+    try {
+      tolerance = parseAmount(expected.amountTolerance, { currency: expected.currency });
+    } catch (error) {
+      return {
+        constraint: "amount",
+        ok: false,
+        expected: describeValue(expected.amount),
+        actual: normalized.amount ?? "",
+        code: EXPECTED_ERROR_CODES.invalid,
+        message: `expected amountTolerance unparseable: ${errorText(error)}`
+      };
     }
   }
 
-  if (
-    typeof expected.transferId === "string" &&
-    expected.transferId.trim() &&
-    typeof normalized.transferId === "string" &&
-    normalized.transferId.trim() &&
-    expected.transferId.trim() !== normalized.transferId.trim()
-  ) {
-    errors.push(`transferId mismatch: expected=${expected.transferId}, actual=${normalized.transferId}`);
+  return checkAmountConstraint("amount", expected.amount, normalized, expected, (lhs, rhs) => {
+    if (!tolerance) {
+      if (compareAmounts(lhs, rhs) === 0) return undefined;
+      return {
+        code: EXPECTED_ERROR_CODES.amountMismatch,
+        message: `amount mismatch: expected=${formatAmount(lhs)}, actual=${formatAmount(rhs)}`
+      };
+    }
+    if (compareAmounts(amountDistance(lhs, rhs), tolerance) <= 0) return undefined;
+    return {
+      code: EXPECTED_ERROR_CODES.amountOutOfTolerance,
+      message: `amount out of tolerance: expected=${formatAmount(lhs)}±${formatAmount(tolerance)}, actual=${formatAmount(rhs)}`
+    };
+  });
+}
+
+function checkMinAmount(expected, normalized) {
+  return checkAmountConstraint("minAmount", expected.minAmount, normalized, expected, (lhs, rhs) => {
+    if (compareAmounts(rhs, lhs) >= 0) return undefined;
+    return {
+      code: EXPECTED_ERROR_CODES.amountBelowMinimum,
+      message: `amount below minimum: minimum=${formatAmount(lhs)}, actual=${formatAmount(rhs)}`
+    };
+  });
+}
+
+function checkTimestamp(expected, normalized, options) {
+  const defaultSkew = options.defaultTimestampSkewSeconds ?? DEFAULT_TIMESTAMP_SKEW_SECONDS;
+  const maxSkew = options.maxTimestampSkewSeconds ?? defaultSkew;
+  const requested = Number(expected.maxTimestampSkewSeconds);
+  const skew = Math.min(
+    Number.isFinite(requested) && requested >= 0 ? Math.trunc(requested) : defaultSkew,
+    maxSkew
+  );
+  const lhs = Math.trunc(expected.timestamp);
+  const rhs = Math.trunc(Number(normalized.timestamp || 0));
+  const result = { constraint: "timestamp", expected: `${lhs}±${skew}s`, actual: String(rhs) };
+  if (Math.abs(lhs - rhs) > skew) {
+    return {
+      ...result,
+      ok: false,
+      code: EXPECTED_ERROR_CODES.timestampOutOfRange,
+      message: `timestamp out of skew: expected=${lhs}, actual=${rhs}, skew=${skew}`
+    };
   }
+  return { ...result, ok: true };
+}
 
-  if (
-    typeof expected.payerRef === "string" &&
-    expected.payerRef.trim() &&
-    typeof normalized.payerRef === "string" &&
-    normalized.payerRef.trim() &&
-    expected.payerRef.trim() !== normalized.payerRef.trim()
-  ) {
-    errors.push(`payerRef mismatch: expected=${expected.payerRef}, actual=${normalized.payerRef}`);
+const TEXT_CONSTRAINT_CODES = {
+  currency: { missing: EXPECTED_ERROR_CODES.currencyMissing, mismatch: EXPECTED_ERROR_CODES.currencyMismatch },
+  transferId: { mismatch: EXPECTED_ERROR_CODES.transferIdMismatch },
+  payerRef: { mismatch: EXPECTED_ERROR_CODES.payerMismatch },
+  recipientRef: { missing: EXPECTED_ERROR_CODES.recipientMissing, mismatch: EXPECTED_ERROR_CODES.recipientMismatch }
+};
+
+function checkOptionalText(constraint, expectedValue, actualValue) {
+  const lhs = expectedValue.trim();
+  const rhs = typeof actualValue === "string" ? actualValue.trim() : "";
+  const result = { constraint, expected: lhs, actual: rhs };
+  if (rhs && lhs !== rhs) {
+    return {
+      ...result,
+      ok: false,
+      code: TEXT_CONSTRAINT_CODES[constraint].mismatch,
+      message: `${constraint} mismatch: expected=${expectedValue}, actual=${actualValue}`
+    };
   }
+  return { ...result, ok: true };
+}
 
-  return errors;
+function checkRequiredText(constraint, expectedValue, actualValue, { caseInsensitive = false } = {}) {
+  const fold = (value) => (caseInsensitive ? value.toUpperCase() : value);
+  const lhs = fold(expectedValue.trim());
+  const rhs = fold(typeof actualValue === "string" ? actualValue.trim() : "");
+  const result = { constraint, expected: lhs, actual: rhs };
+  const codes = TEXT_CONSTRAINT_CODES[constraint];
+  if (!rhs) return { ...result, ok: false, code: codes.missing, message: `${constraint} missing: expected=${lhs}` };
+  if (lhs !== rhs) {
+    return { ...result, ok: false, code: codes.mismatch, message: `${constraint} mismatch: expected=${lhs}, actual=${rhs}` };
+  }
+  return { ...result, ok: true };
 }
 
-export function buildWiseReceiptHash(normalized, attestation) {
+function checkStatus(expected, normalized) {
+  const allowed = (Array.isArray(expected.status) ? expected.status : [expected.status])
+    .filter((value) => typeof value === "string" && value.trim())
+    .map((value) => value.trim().toUpperCase());
+  const actual = String(normalized.status || "").trim().toUpperCase();
+  const result = { constraint: "status", expected: allowed.join("|"), actual };
+  if (!actual) return { ...result, ok: false, code: EXPECTED_ERROR_CODES.statusMissing, message: `status missing: expected=${allowed.join("|")}` };
+  if (!allowed.includes(actual)) {
+    return {
+      ...result,
+      ok: false,
+      code: EXPECTED_ERROR_CODES.statusNotAllowed,
+      message: `status not allowed: expected=${allowed.join("|")}, actual=${actual}`
+    };
+  }
+  return { ...result, ok: true };
+}
+
+export function evaluateExpected(expected, normalized, options = {}) {
+  const results = [];
+  if (!expected || typeof expected !== "object") return results;
+
+  if (hasValue(expected.amount)) results.push(checkAmount(expected, normalized));
+  if (hasValue(expected.minAmount)) results.push(checkMinAmount(expected, normalized));
+
+  if (typeof expected.currency === "string" && expected.currency.trim()) {
+    const actualCurrency = normalized.currency || normalized.parsedAmount?.currency;
+    results.push(checkRequiredText("currency", expected.currency, actualCurrency, { caseInsensitive: true }));
+  }
+
+  if (typeof expected.timestamp === "number" && Number.isFinite(expected.timestamp)) {
+    results.push(checkTimestamp(expected, normalized, options));
+  }
+
+  if (typeof expected.transferId === "string" && expected.transferId.trim()) {
+    results.push(checkOptionalText("transferId", expected.transferId, normalized.transferId));
+  }
+
+  if (typeof expected.payerRef === "string" && expected.payerRef.trim()) {
+    results.push(checkOptionalText("payerRef", expected.payerRef, normalized.payerRef));
+  }
+
+  if (typeof expected.recipientRef === "string" && expected.recipientRef.trim()) {
+    results.push(checkRequiredText("recipientRef", expected.recipientRef, normalized.recipientRef));
+  }
+
+  if (hasValue(expected.status) && (!Array.isArray(expected.status) || expected.status.length > 0)) {
+    results.push(checkStatus(expected, normalized));
+  }
+
+  return results;
+}
+
+export function validateExpected(expected, normalized, options = {}) {
+  return evaluateExpected(expected, normalized, options)
+    .filter((result) => !result.ok)
+    .map((result) => result.message);
+}
+
+export function buildReceiptHash(normalized, attestation, domainTag) {
   const attestationDigest = sha256Hex(JSON.stringify(attestation));
   return sha256Hex(
     [
-      "wise",
+      domainTag,
       normalized.sourceHost,
       normalized.transferId,
       normalized.payerRef,
@@ -299,6 +536,10 @@ export function buildWiseReceiptHash(normalized, attestation) {
   );
 }
 
+export function buildWiseReceiptHash(normalized, attestation) {
+  return buildReceiptHash(normalized, attestation, "wise");
+}
+
 function toFiniteNumber(value) {
   if (typeof value === "number" && Number.isFinite(value)) return value;
   if (typeof value === "string" && value.trim()) {
@@ -308,7 +549,7 @@ function toFiniteNumber(value) {
   return undefined;
 }
 
-function toUnixSeconds(value) {
+export function toUnixSeconds(value) {
   const finite = toFiniteNumber(value);
   if (Number.isFinite(finite)) {
     const normalized = finite > 1_000_000_000_000 ? finite / 1000 : finite;
@@ -321,45 +562,9 @@ function toUnixSeconds(value) {
   return undefined;
 }
 
-function tryParseJson(text) {
-  if (typeof text !== "string") return undefined;
-  const trimmed = text.trim();
-  if (!trimmed) return undefined;
-  try {
-    return JSON.parse(trimmed);
-  } catch {
-    return undefined;
-  }
-}
-
-function extractJsonBodiesFromRecv(recv) {
-  const text = String(recv || "");
-  if (!text) return [];
-  const candidates = new Set();
-
-  const sections = text.split(/\r?\n\r?\n/g).map((s) => s.trim()).filter(Boolean);
-  for (const part of sections) {
-    if (part.startsWith("{") || part.startsWith("[")) candidates.add(part);
-  }
-
-  const firstObject = text.indexOf("{");
-  const lastObject = text.lastIndexOf("}");
-  if (firstObject >= 0 && lastObject > firstObject) {
-    candidates.add(text.slice(firstObject, lastObject + 1));
-  }
-
-  const firstArray = text.indexOf("[");
-  const lastArray = text.lastIndexOf("]");
-  if (firstArray >= 0 && lastArray > firstArray) {
-    candidates.add(text.slice(firstArray, lastArray + 1));
-  }
-
-  const parsed = [];
-  for (const candidate of candidates) {
-    const value = tryParseJson(candidate);
-    if (value !== undefined) parsed.push(value);
-  }
-  return parsed;
+function extractJsonResponsesFromRecv(recv) {
+  if (!recv || recv.length === 0) return [];
+  return parseJsonResponses(recv);
 }
 
 function flattenArrays(value, out = []) {
@@ -376,13 +581,24 @@ function flattenArrays(value, out = []) {
   return out;
 }
 
-function normalizeTransferItem(item) {
+function pickAmountNumber(input, keys) {
+  for (const key of keys) {
+    const value = input[key];
+    if (typeof value === "number" && Number.isFinite(value)) return String(value);
+  }
+  return undefined;
+}
+
+export function normalizeTransferItem(item) {
   const row = asRecord(item);
   if (Object.keys(row).length === 0) return undefined;
 
+  const amountRecord = asRecord(row.amount);
   const amount =
     pickString(row, ["amount", "amountText", "value", "paymentAmount", "transferAmount"]) ??
-    pickString(asRecord(row.amount), ["value", "text", "amount", "formatted"]);
+    pickString(amountRecord, ["value", "text", "amount", "formatted"]) ??
+    pickAmountNumber(row, ["amount", "value", "paymentAmount", "transferAmount"]) ??
+    pickAmountNumber(amountRecord, ["value", "amount"]);
   const timestampRaw =
     pickNumber(row, ["timestamp", "time", "createdAtTs", "created_at_ts"]) ??
     pickString(row, ["createdAt", "created_at", "paidAt", "date", "time"]);
@@ -415,7 +631,12 @@ function normalizeTransferItem(item) {
     ]) ??
     transferNumber;
   const status = pickString(row, ["status", "state", "paymentStatus"]);
-  const currency = pickString(row, ["currency", "ccy"]) ?? pickString(asRecord(row.amount), ["currency", "ccy"]);
+  const recipientRef =
+    pickString(row, ["recipientRef", "recipient", "recipientName", "recipientId", "payee", "to"]) ??
+    pickString(asRecord(row.recipient), ["name", "id"]) ??
+    pickString(asRecord(row.targetAccount), ["name", "id"]);
+  const currency = pickString(row, ["currency", "ccy"]) ?? pickString(amountRecord, ["currency", "ccy"]);
+  const parsedAmount = tryParseAmount(amount, { currency });
 
   if (!amount && !transferId && !payerRef) return undefined;
   return {
@@ -424,51 +645,170 @@ function normalizeTransferItem(item) {
     payerRef: payerRef ?? "",
     transferId: transferId ?? "",
     status: status ?? "",
-    currency: currency ?? ""
+    currency: currency ?? parsedAmount?.currency ?? "",
+    parsedAmount,
+    recipientRef: recipientRef ?? ""
   };
 }
 
-export function extractRecentTransfers(attestation, recv, limit = 5) {
+export function extractRecentTransfers(attestation, recv, limit = 5, normalizeItem = normalizeTransferItem, options = {}) {
   const max = Math.max(1, Math.min(10, Math.trunc(Number(limit) || 5)));
+  return extractTransfers(attestation, recv, normalizeItem, options).slice(0, max);
+}
+
+const ATTESTATION_SOURCE = {
+  origin: "attestation",
+  exchange: null,
+  endpoint: null,
+  method: null,
+  path: null,
+  details: false
+};
+
+function responseSource(response, requests) {
+  const request = requests[response.exchange];
+  return {
+    origin: "response",
+    exchange: response.exchange,
+    endpoint: request?.endpoint ?? null,
+    method: request?.method ?? null,
+    path: request?.path ?? null,
+    details: request?.details === true
+  };
+}
+
+const CONFIRMABLE_FIELDS = ["amount", "timestamp", "payerRef", "currency", "status", "recipientRef"];
+
+function isBlankField(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function sameTransferField(field, row, detail) {
+  if (field === "amount" && row.parsedAmount && detail.parsedAmount) {
+    try {
+      return compareAmounts(row.parsedAmount, detail.parsedAmount) === 0;
+    } catch {
+      return false;
+    }
+  }
+  if (field === "currency" || field === "status") {
+    return String(row[field]).toUpperCase() === String(detail[field]).toUpperCase();
+  }
+  return String(row[field]) === String(detail[field]);
+}
+
+function conflictingFields(row, detail) {
+  return CONFIRMABLE_FIELDS.filter(
+    (field) => !isBlankField(row[field]) && !isBlankField(detail[field]) && !sameTransferField(field, row, detail)
+  );
+}
+
+function strengthenTransfer(row, detail) {
+  const merged = { ...row };
+  const filled = CONFIRMABLE_FIELDS.filter((field) => isBlankField(row[field]) && !isBlankField(detail[field]));
+  for (const field of filled) merged[field] = detail[field];
+  if (filled.includes("amount") || filled.includes("currency")) {
+    merged.parsedAmount = tryParseAmount(merged.amount, { currency: merged.currency || undefined }) ?? detail.parsedAmount;
+  }
+  const { exchange, endpoint, method, path } = detail.source;
+  return { ...merged, source: { ...row.source, confirmedBy: { exchange, endpoint, method, path } } };
+}
+
+export function isTransferConfirmed(row) {
+  const source = asRecord(asRecord(row).source);
+  return source.details === true || Boolean(source.confirmedBy);
+}
+
+export function extractTransfers(attestation, recv, normalizeItem = normalizeTransferItem, { requests = [] } = {}) {
   const roots = [];
 
   const attestationRecord = asRecord(attestation);
   if (Object.keys(attestationRecord).length > 0) {
-    roots.push(attestationRecord);
-    roots.push(asRecord(attestationRecord.claimData));
-    roots.push(asRecord(attestationRecord.data));
-    roots.push(asRecord(attestationRecord.fields));
+    for (const value of [
+      attestationRecord,
+      asRecord(attestationRecord.claimData),
+      asRecord(attestationRecord.data),
+      asRecord(attestationRecord.fields)
+    ]) {
+      roots.push({ value, source: ATTESTATION_SOURCE });
+    }
   }
 
-  const recvJson = extractJsonBodiesFromRecv(recv);
-  for (const value of recvJson) roots.push(value);
+  for (const response of extractJsonResponsesFromRecv(recv)) {
+    const request = (requests ?? [])[response.exchange];
+    roots.push({
+      value: response.json,
+      source: responseSource(response, requests ?? []),
+      requestedTransferId: request?.details === true ? request.transferId ?? null : null
+    });
+  }
 
   const seen = new Set();
   const result = [];
+  const detailRows = [];
 
   for (let rootIndex = 0; rootIndex < roots.length; rootIndex++) {
-    const root = roots[rootIndex];
-    const arrays = flattenArrays(root);
+    const { value: root, source, requestedTransferId } = roots[rootIndex];
+    const arrays = source.details && root && typeof root === "object" && !Array.isArray(root) ? [[root]] : flattenArrays(root);
     for (let arrIndex = 0; arrIndex < arrays.length; arrIndex++) {
       const arr = arrays[arrIndex];
       for (let itemIndex = 0; itemIndex < arr.length; itemIndex++) {
         const item = arr[itemIndex];
-        const normalized = normalizeTransferItem(item);
+        const normalized = normalizeItem(item);
         if (!normalized) continue;
+        if (requestedTransferId && normalized.transferId && String(normalized.transferId) !== requestedTransferId) continue;
         const keyBase = `${normalized.transferId}|${normalized.timestamp}|${normalized.amount}|${normalized.payerRef}`;
         const hasStrongId =
           Boolean(normalized.transferId) ||
           (typeof normalized.timestamp === "number" && Number.isFinite(normalized.timestamp));
-        const key = hasStrongId
-          ? keyBase
-          : `${keyBase}|row:${rootIndex}:${arrIndex}:${itemIndex}`;
+        const key = `${source.details ? "details" : "list"}|${
+          hasStrongId ? keyBase : `${keyBase}|row:${rootIndex}:${arrIndex}:${itemIndex}`
+        }`;
         if (seen.has(key)) continue;
         seen.add(key);
-        result.push(normalized);
-        if (result.length >= max) return result;
+        (source.details ? detailRows : result).push({ ...normalized, source });
       }
     }
   }
 
+  for (const detail of detailRows) {
+    const targets = detail.transferId
+      ? result.filter(
+          (row) => !row.source.details && row.transferId === detail.transferId && conflictingFields(row, detail).length === 0
+        )
+      : [];
+    if (targets.length === 0) {
+      result.push(detail);
+      continue;
+    }
+    for (const row of targets) result[result.indexOf(row)] = strengthenTransfer(row, detail);
+  }
+
   return result;
 }
+
+export function buildVerifiedRecord(attestation, localVerification, selectedTransfer) {
+  const attestationRaw = asRecord(attestation);
+  const baseSourceHost = localVerification.serverName ?? attestationRaw.sourceHost ?? attestationRaw.host;
+  const baseTimestamp = localVerification.timestamp ?? attestationRaw.timestamp;
+
+  return {
+    ...attestationRaw,
+    ...(selectedTransfer
+      ? {
+          amount: selectedTransfer.amount ?? attestationRaw.amount,
+          timestamp: selectedTransfer.timestamp ?? baseTimestamp,
+          payerRef: selectedTransfer.payerRef ?? attestationRaw.payerRef,
+          transferId: selectedTransfer.transferId ?? attestationRaw.transferId,
+          currency: selectedTransfer.currency || attestationRaw.currency,
+          status: selectedTransfer.status || attestationRaw.status,
+          recipientRef: selectedTransfer.recipientRef || attestationRaw.recipientRef
+        }
+      : {}),
+    sourceHost: baseSourceHost,
+    timestamp: selectedTransfer?.timestamp ?? baseTimestamp,
+    verified: true,
+    sent: localVerification.sent,
+    recv: localVerification.recv
+  };
+}
@@ -0,0 +1,28 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+export function maskValue(value) {
+  const text = String(value ?? "");
+  if (!text) return text;
+  if (text.length <= 6) return "***";
+  return `${text.slice(0, 2)}***${text.slice(-2)}`;
+}
+
+export function createLogger({ level = "info", write = (line) => process.stdout.write(line), now = () => new Date() } = {}) {
+  const threshold = LEVELS[String(level).toLowerCase()] ?? LEVELS.info;
+
+  function log(levelName, msg, fields = {}) {
+    if (LEVELS[levelName] < threshold) return;
+    const entry = { time: now().toISOString(), level: levelName, msg };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) entry[key] = value;
+    }
+    write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    debug: (msg, fields) => log("debug", msg, fields),
+    info: (msg, fields) => log("info", msg, fields),
+    warn: (msg, fields) => log("warn", msg, fields),
+    error: (msg, fields) => log("error", msg, fields)
+  };
+}
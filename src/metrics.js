@@ -0,0 +1,109 @@
+export const DEFAULT_LATENCY_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = "") {
+  const parts = labelNames.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+  if (extra) parts.push(extra);
+  return parts.length > 0 ? `{${parts.join(",")}}` : "";
+}
+
+function labelValues(labelNames, labels = {}) {
+  return labelNames.map((name) => String(labels[name] ?? ""));
+}
+
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    if (metrics.some((item) => item.name === metric.name)) {
+      throw new Error(`duplicate metric: ${metric.name}`);
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  return {
+    counter(name, help, labelNames = []) {
+      const series = new Map();
+      register({
+        name,
+        help,
+        type: "counter",
+        lines() {
+          return [...series.values()].map(({ values, value }) => `${name}${formatLabels(labelNames, values)} ${value}`);
+        }
+      });
+      return {
+        name,
+        inc(labels, amount = 1) {
+          const values = labelValues(labelNames, labels);
+          const key = values.join("\u0000");
+          const current = series.get(key) ?? { values, value: 0 };
+          current.value += amount;
+          series.set(key, current);
+        }
+      };
+    },
+
+    gauge(name, help, collect) {
+      register({
+        name,
+        help,
+        type: "gauge",
+        lines() {
+          const value = collect();
+          return value === undefined || value === null ? [] : [`${name} ${value}`];
+        }
+      });
+    },
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_LATENCY_BUCKETS) {
+      const bounds = [...buckets].sort((a, b) => a - b);
+      const series = new Map();
+      register({
+        name,
+        help,
+        type: "histogram",
+        lines() {
+          const lines = [];
+          for (const { values, counts, sum, count } of series.values()) {
+            bounds.forEach((bound, index) => {
+              lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${counts[index]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${count}`);
+            lines.push(`${name}_sum${formatLabels(labelNames, values)} ${sum}`);
+            lines.push(`${name}_count${formatLabels(labelNames, values)} ${count}`);
+          }
+          return lines;
+        }
+      });
+      return {
+        name,
+        observe(labels, value) {
+          const values = labelValues(labelNames, labels);
+          const key = values.join("\u0000");
+          const current = series.get(key) ?? { values, counts: bounds.map(() => 0), sum: 0, count: 0 };
+          bounds.forEach((bound, index) => {
+            if (value <= bound) current.counts[index]++;
+          });
+          current.sum += value;
+          current.count++;
+          series.set(key, current);
+        }
+      };
+    },
+
+    render() {
+      const lines = [];
+      for (const metric of metrics) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        lines.push(...metric.lines());
+      }
+      return `${lines.join("\n")}\n`;
+    }
+  };
+}
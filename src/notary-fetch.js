@@ -0,0 +1,248 @@
+import dns from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import { asRecord, extractPublicKeyFromNotaryInfo } from "./lib.js";
+import { createTtlCache } from "./notary-trust.js";
+
+export const NOTARY_FETCH_ERROR_CODES = {
+  invalidUrl: "NOTARY_URL_INVALID",
+  schemeNotAllowed: "NOTARY_SCHEME_NOT_ALLOWED",
+  hostNotAllowed: "NOTARY_HOST_NOT_ALLOWED",
+  dnsFailed: "NOTARY_DNS_FAILED",
+  addressBlocked: "NOTARY_ADDRESS_BLOCKED",
+  connectTimeout: "NOTARY_CONNECT_TIMEOUT",
+  timeout: "NOTARY_TIMEOUT",
+  connectionFailed: "NOTARY_CONNECTION_FAILED",
+  httpStatus: "NOTARY_HTTP_STATUS",
+  responseTooLarge: "NOTARY_RESPONSE_TOO_LARGE",
+  invalidJson: "NOTARY_INVALID_JSON",
+  missingKey: "NOTARY_MISSING_KEY",
+  fetchFailed: "NOTARY_FETCH_FAILED"
+};
+
+const BLOCKED_SUBNETS = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.0.0.0", 24, "ipv4"],
+  ["192.0.2.0", 24, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["198.18.0.0", 15, "ipv4"],
+  ["198.51.100.0", 24, "ipv4"],
+  ["203.0.113.0", 24, "ipv4"],
+  ["224.0.0.0", 4, "ipv4"],
+  ["240.0.0.0", 4, "ipv4"],
+  ["::", 128, "ipv6"],
+  ["::1", 128, "ipv6"],
+  ["64:ff9b::", 96, "ipv6"],
+  ["100::", 64, "ipv6"],
+  ["2001:db8::", 32, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+  ["ff00::", 8, "ipv6"]
+];
+
+const blockList = new net.BlockList();
+for (const [address, prefix, family] of BLOCKED_SUBNETS) {
+  blockList.addSubnet(address, prefix, family);
+}
+
+export function notaryFetchError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export function isBlockedAddress(address) {
+  const text = String(address || "").replace(/^\[|\]$/g, "");
+  const family = net.isIP(text);
+  if (family === 4) return blockList.check(text, "ipv4");
+  if (family !== 6) return true;
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(text);
+  if (mapped) return blockList.check(mapped[1], "ipv4");
+  return blockList.check(text, "ipv6");
+}
+
+export function parseNotaryHostPatterns(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+export function hostMatchesPattern(host, pattern) {
+  const normalized = String(host || "").toLowerCase();
+  if (pattern.startsWith("*.")) {
+    const suffix = pattern.slice(1);
+    return normalized.endsWith(suffix) && normalized.length > suffix.length;
+  }
+  return normalized === pattern;
+}
+
+export function createGuardedLookup({ allowPrivateAddresses = false, lookup = dns.lookup } = {}) {
+  return (hostname, options, callback) => {
+    lookup(hostname, { all: true }, (error, addresses) => {
+      if (error) {
+        callback(
+          notaryFetchError(NOTARY_FETCH_ERROR_CODES.dnsFailed, `dns lookup failed for ${hostname}: ${error.code || error.message}`)
+        );
+        return;
+      }
+      const blocked = allowPrivateAddresses ? undefined : addresses.find((item) => isBlockedAddress(item.address));
+      if (blocked) {
+        callback(
+          notaryFetchError(NOTARY_FETCH_ERROR_CODES.addressBlocked, `${hostname} resolves to blocked address ${blocked.address}`)
+        );
+        return;
+      }
+      if (options?.all) {
+        callback(null, addresses);
+        return;
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+function requestJson(target, { lookup, connectTimeoutMs, timeoutMs, maxBytes }) {
+  const client = target.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const finish = (error, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(connectTimer);
+      clearTimeout(totalTimer);
+      if (error) {
+        req.destroy();
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+
+    const req = client.request(target, {
+      method: "GET",
+      headers: { accept: "application/json" },
+      lookup,
+      agent: false
+    });
+    const connectTimer = setTimeout(
+      () => finish(notaryFetchError(NOTARY_FETCH_ERROR_CODES.connectTimeout, `connect to ${target.host} timed out after ${connectTimeoutMs}ms`)),
+      connectTimeoutMs
+    );
+    const totalTimer = setTimeout(
+      () => finish(notaryFetchError(NOTARY_FETCH_ERROR_CODES.timeout, `notary info request timed out after ${timeoutMs}ms`)),
+      timeoutMs
+    );
+
+    req.on("socket", (socket) => {
+      socket.once(target.protocol === "https:" ? "secureConnect" : "connect", () => clearTimeout(connectTimer));
+    });
+    req.on("error", (error) => {
+      finish(
+        error.code?.startsWith("NOTARY_")
+          ? error
+          : notaryFetchError(NOTARY_FETCH_ERROR_CODES.connectionFailed, `notary info request failed: ${error.code || error.message}`)
+      );
+    });
+    req.on("response", (res) => {
+      clearTimeout(connectTimer);
+      if (res.statusCode < 200 || res.statusCode > 299) {
+        finish(notaryFetchError(NOTARY_FETCH_ERROR_CODES.httpStatus, `notary info fetch failed: ${res.statusCode}`));
+        return;
+      }
+      const declared = Number(res.headers["content-length"]);
+      if (Number.isFinite(declared) && declared > maxBytes) {
+        finish(notaryFetchError(NOTARY_FETCH_ERROR_CODES.responseTooLarge, `notary info response exceeds ${maxBytes} bytes`));
+        return;
+      }
+      const chunks = [];
+      let size = 0;
+      res.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          finish(notaryFetchError(NOTARY_FETCH_ERROR_CODES.responseTooLarge, `notary info response exceeds ${maxBytes} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on("end", () => {
+        try {
+          finish(undefined, JSON.parse(Buffer.concat(chunks).toString("utf8")));
+        } catch {
+          finish(notaryFetchError(NOTARY_FETCH_ERROR_CODES.invalidJson, "notary info response is not valid json"));
+        }
+      });
+      res.on("error", (error) => {
+        finish(notaryFetchError(NOTARY_FETCH_ERROR_CODES.connectionFailed, `notary info response failed: ${error.message}`));
+      });
+    });
+    req.end();
+  });
+}
+
+export function createNotaryFetcher({
+  allowedHosts = [],
+  allowHttp = false,
+  allowPrivateAddresses = false,
+  connectTimeoutMs = 3000,
+  timeoutMs = 5000,
+  maxBytes = 64 * 1024,
+  negativeCacheTtlSeconds = 60,
+  negativeCacheMaxEntries = 1000,
+  lookup = dns.lookup
+} = {}) {
+  const failures = createTtlCache({ ttlSeconds: negativeCacheTtlSeconds, maxEntries: negativeCacheMaxEntries });
+  const guardedLookup = createGuardedLookup({ allowPrivateAddresses, lookup });
+
+  function checkTarget(notaryUrl) {
+    let target;
+    try {
+      target = new URL(`${String(notaryUrl).replace(/\/+$/, "")}/info`);
+    } catch {
+      throw notaryFetchError(NOTARY_FETCH_ERROR_CODES.invalidUrl, `invalid notary url: ${notaryUrl}`);
+    }
+    if (target.protocol !== "https:" && !(allowHttp && target.protocol === "http:")) {
+      throw notaryFetchError(NOTARY_FETCH_ERROR_CODES.schemeNotAllowed, `notary url scheme is not allowed: ${target.protocol}`);
+    }
+    if (target.username || target.password) {
+      throw notaryFetchError(NOTARY_FETCH_ERROR_CODES.invalidUrl, "notary url must not contain credentials");
+    }
+    const hostname = target.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+    const patterns = typeof allowedHosts === "function" ? allowedHosts() : allowedHosts;
+    if (!patterns.some((pattern) => hostMatchesPattern(hostname, pattern))) {
+      throw notaryFetchError(NOTARY_FETCH_ERROR_CODES.hostNotAllowed, `notary host is not allowed: ${hostname}`);
+    }
+    if (net.isIP(hostname) && !allowPrivateAddresses && isBlockedAddress(hostname)) {
+      throw notaryFetchError(NOTARY_FETCH_ERROR_CODES.addressBlocked, `notary address is blocked: ${hostname}`);
+    }
+    return target;
+  }
+
+  return {
+    async fetchPublicKey(notaryUrl) {
+      const target = checkTarget(notaryUrl);
+      const cacheKey = target.href;
+      const cached = failures.get(cacheKey);
+      if (cached) {
+        throw notaryFetchError(cached.code, `${cached.message} (cached)`);
+      }
+      try {
+        const info = asRecord(await requestJson(target, { lookup: guardedLookup, connectTimeoutMs, timeoutMs, maxBytes }));
+        const key = extractPublicKeyFromNotaryInfo(info);
+        if (!key) {
+          throw notaryFetchError(NOTARY_FETCH_ERROR_CODES.missingKey, "notary info response missing public key");
+        }
+        return key;
+      } catch (error) {
+        failures.set(cacheKey, { code: error.code, message: error.message });
+        throw error;
+      }
+    }
+  };
+}
@@ -0,0 +1,252 @@
+import fs from "node:fs";
+import path from "node:path";
+import { sha256Hex } from "./lib.js";
+
+export const NOTARY_TRUST_ERROR_CODES = {
+  unknown: "NOTARY_KEY_UNKNOWN",
+  revoked: "NOTARY_KEY_REVOKED",
+  expired: "NOTARY_KEY_EXPIRED",
+  notYetValid: "NOTARY_KEY_NOT_YET_VALID",
+  urlMismatch: "NOTARY_URL_MISMATCH"
+};
+
+const STATUS_ERROR_CODES = {
+  revoked: NOTARY_TRUST_ERROR_CODES.revoked,
+  expired: NOTARY_TRUST_ERROR_CODES.expired,
+  "not-yet-valid": NOTARY_TRUST_ERROR_CODES.notYetValid
+};
+
+function nowSeconds() {
+  return Math.trunc(Date.now() / 1000);
+}
+
+export function normalizeNotaryUrl(value) {
+  if (!value) return undefined;
+  try {
+    const normalized = new URL(String(value)).toString();
+    return normalized.endsWith("/") ? normalized.slice(0, -1) : normalized;
+  } catch {
+    return undefined;
+  }
+}
+
+export function notaryKeyFingerprint(publicKey) {
+  const text = String(publicKey || "").trim();
+  const pem = /-----BEGIN [^-]+-----([\s\S]*?)-----END [^-]+-----/.exec(text);
+  if (pem) {
+    return sha256Hex(Buffer.from(pem[1].replace(/\s+/g, ""), "base64"));
+  }
+  return sha256Hex(text.replace(/\s+/g, ""));
+}
+
+function toOptionalSeconds(value, field) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const numeric = typeof value === "number" ? value : Date.parse(String(value)) / 1000;
+  if (!Number.isFinite(numeric)) throw new Error(`invalid ${field}: ${value}`);
+  return Math.trunc(numeric);
+}
+
+export function buildTrustEntry(input, { source = "admin", now = nowSeconds() } = {}) {
+  const record = input && typeof input === "object" ? input : {};
+  const publicKeyPem = typeof record.publicKeyPem === "string" && record.publicKeyPem.trim() ? record.publicKeyPem.trim() : undefined;
+  const fingerprint = publicKeyPem
+    ? notaryKeyFingerprint(publicKeyPem)
+    : String(record.fingerprint || "").trim().toLowerCase();
+  if (!/^0x[0-9a-f]{64}$/.test(fingerprint)) {
+    throw new Error("trusted notary requires publicKeyPem or a 0x-prefixed sha256 fingerprint");
+  }
+  if (publicKeyPem && record.fingerprint && String(record.fingerprint).toLowerCase() !== fingerprint) {
+    throw new Error(`fingerprint does not match publicKeyPem: ${record.fingerprint}`);
+  }
+  if (record.url && !normalizeNotaryUrl(record.url)) {
+    throw new Error(`invalid notary url: ${record.url}`);
+  }
+
+  return {
+    fingerprint,
+    publicKeyPem: publicKeyPem ?? null,
+    label: String(record.label || fingerprint.slice(0, 18)),
+    url: normalizeNotaryUrl(record.url) ?? null,
+    validFrom: toOptionalSeconds(record.validFrom, "validFrom") ?? null,
+    validUntil: toOptionalSeconds(record.validUntil, "validUntil") ?? null,
+    revokedAt: toOptionalSeconds(record.revokedAt, "revokedAt") ?? null,
+    revocationReason: record.revocationReason ?? null,
+    addedAt: toOptionalSeconds(record.addedAt, "addedAt") ?? now,
+    source
+  };
+}
+
+export function trustEntryStatus(entry, now = nowSeconds()) {
+  if (entry.revokedAt !== null && entry.revokedAt <= now) return "revoked";
+  if (entry.validFrom !== null && now < entry.validFrom) return "not-yet-valid";
+  if (entry.validUntil !== null && now > entry.validUntil) return "expired";
+  return "active";
+}
+
+export function parseTrustedNotaries(raw) {
+  const text = String(raw || "").trim();
+  if (!text) return [];
+  const parsed = JSON.parse(text);
+  if (!Array.isArray(parsed)) {
+    throw new Error("TLSN_TRUSTED_NOTARIES must be a JSON array");
+  }
+  return parsed;
+}
+
+function readStoreFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return { notaries: [], revocations: [] };
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return {
+    notaries: Array.isArray(parsed?.notaries) ? parsed.notaries : [],
+    revocations: Array.isArray(parsed?.revocations) ? parsed.revocations : []
+  };
+}
+
+export function createNotaryTrustStore({ filePath, seed = [], revokedFingerprints = [] } = {}) {
+  const stored = readStoreFile(filePath);
+  const entries = new Map();
+  const revocations = new Map();
+  for (const item of stored.notaries) {
+    const entry = buildTrustEntry(item, { source: "admin" });
+    entries.set(entry.fingerprint, entry);
+  }
+  for (const item of seed) {
+    const entry = buildTrustEntry(item, { source: item.source ?? "config" });
+    if (!entries.has(entry.fingerprint)) entries.set(entry.fingerprint, entry);
+  }
+  for (const item of stored.revocations) {
+    revocations.set(String(item.fingerprint).toLowerCase(), item);
+  }
+
+  function applyRevocation(fingerprint, revokedAt, revocationReason) {
+    const entry = entries.get(fingerprint);
+    if (entry && entry.revokedAt === null) {
+      entries.set(fingerprint, { ...entry, revokedAt, revocationReason });
+    }
+  }
+  for (const [fingerprint, item] of revocations) {
+    applyRevocation(fingerprint, item.revokedAt ?? 0, item.reason ?? null);
+  }
+  for (const fingerprint of revokedFingerprints) {
+    applyRevocation(String(fingerprint).trim().toLowerCase(), 0, "revoked by configuration");
+  }
+
+  function persist() {
+    if (!filePath) return;
+    const notaries = [...entries.values()].filter((entry) => entry.source === "admin");
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, `${JSON.stringify({ notaries, revocations: [...revocations.values()] }, null, 2)}\n`);
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    list(now = nowSeconds()) {
+      return [...entries.values()].map((entry) => ({ ...entry, status: trustEntryStatus(entry, now) }));
+    },
+
+    get(fingerprint) {
+      return entries.get(String(fingerprint || "").trim().toLowerCase());
+    },
+
+    findByUrl(url) {
+      const normalized = normalizeNotaryUrl(url);
+      if (!normalized) return undefined;
+      return [...entries.values()].find(
+        (entry) => entry.url === normalized && entry.publicKeyPem && trustEntryStatus(entry) === "active"
+      );
+    },
+
+    add(input) {
+      const entry = buildTrustEntry(input, { source: "admin" });
+      const existing = entries.get(entry.fingerprint);
+      if (revocations.has(entry.fingerprint) || (existing && existing.revokedAt !== null)) {
+        throw new Error(`notary key was revoked: ${entry.fingerprint}`);
+      }
+      entries.set(entry.fingerprint, entry);
+      persist();
+      return entry;
+    },
+
+    revoke(fingerprint, reason) {
+      const entry = entries.get(String(fingerprint || "").trim().toLowerCase());
+      if (!entry) return undefined;
+      const revoked = { ...entry, revokedAt: nowSeconds(), revocationReason: reason ? String(reason) : null };
+      entries.set(revoked.fingerprint, revoked);
+      revocations.set(revoked.fingerprint, {
+        fingerprint: revoked.fingerprint,
+        revokedAt: revoked.revokedAt,
+        reason: revoked.revocationReason
+      });
+      persist();
+      return revoked;
+    },
+
+    check(publicKeyPem, { url, now = nowSeconds() } = {}) {
+      const fingerprint = notaryKeyFingerprint(publicKeyPem);
+      const entry = entries.get(fingerprint);
+      if (!entry) return { ok: false, fingerprint, code: NOTARY_TRUST_ERROR_CODES.unknown, reason: "notary key is not trusted" };
+      const status = trustEntryStatus(entry, now);
+      if (status !== "active") {
+        return {
+          ok: false,
+          fingerprint,
+          entry,
+          code: STATUS_ERROR_CODES[status],
+          reason: `notary key is ${status}`
+        };
+      }
+      if (entry.url && normalizeNotaryUrl(url) !== entry.url) {
+        return {
+          ok: false,
+          fingerprint,
+          entry,
+          code: NOTARY_TRUST_ERROR_CODES.urlMismatch,
+          reason: `notary key is only trusted for ${entry.url}`
+        };
+      }
+      return { ok: true, fingerprint, entry };
+    }
+  };
+}
+
+export function createTtlCache({ ttlSeconds, maxEntries = 1000, now = nowSeconds } = {}) {
+  const ttl = Math.max(0, Math.trunc(Number(ttlSeconds) || 0));
+  const limit = Math.max(1, Math.trunc(Number(maxEntries) || 1000));
+  const values = new Map();
+
+  function sweep() {
+    const current = now();
+    for (const [key, item] of values) {
+      if (item.expiresAt <= current) values.delete(key);
+    }
+  }
+
+  return {
+    get(key) {
+      const item = values.get(key);
+      if (!item) return undefined;
+      if (item.expiresAt <= now()) {
+        values.delete(key);
+        return undefined;
+      }
+      values.delete(key);
+      values.set(key, item);
+      return item.value;
+    },
+    set(key, value) {
+      values.delete(key);
+      if (values.size >= limit) sweep();
+      while (values.size >= limit) {
+        values.delete(values.keys().next().value);
+      }
+      values.set(key, { value, expiresAt: now() + ttl });
+    },
+    delete(key) {
+      values.delete(key);
+    },
+    get size() {
+      return values.size;
+    }
+  };
+}
@@ -0,0 +1,315 @@
+import { RECEIPT_HASH_SCHEMES } from "./receipt-hash.js";
+import {
+  BATCH_REQUEST_SCHEMA,
+  ERROR_RESPONSE_SCHEMA,
+  INSPECT_REQUEST_SCHEMA,
+  REVOKE_NOTARY_SCHEMA,
+  TRUSTED_NOTARY_SCHEMA,
+  VERIFY_REQUEST_SCHEMA
+} from "./schemas.js";
+
+function jsonContent(schema) {
+  return { "application/json": { schema } };
+}
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function errorResponses(statuses) {
+  return Object.fromEntries(
+    statuses.map((status) => [String(status), { $ref: "#/components/responses/Error" }])
+  );
+}
+
+function okResponse(description, schema = { type: "object" }) {
+  return { description, content: jsonContent(schema) };
+}
+
+const VERIFY_ERRORS = [400, 401, 403, 404, 409, 413, 429, 500, 503];
+const API_KEY_SECURITY = [{ apiKey: [] }, {}];
+const ADMIN_SECURITY = [{ adminToken: [] }];
+
+function verifyOperation(summary, extra = {}) {
+  return {
+    summary,
+    security: API_KEY_SECURITY,
+    ...extra,
+    requestBody: { required: true, content: jsonContent(ref("VerifyRequest")) },
+    responses: {
+      200: okResponse("verification or browser capture preview result", ref("VerifyResponse")),
+      ...errorResponses(VERIFY_ERRORS)
+    }
+  };
+}
+
+export function buildOpenApiDocument({ version = "0.0.0", providers = [] } = {}) {
+  const providerIds = providers.map((provider) => provider.id);
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "tlsn-verifier",
+      version,
+      description: "Verifies TLSNotary presentations of payment provider transfers."
+    },
+    paths: {
+      "/health": {
+        get: { summary: "Liveness, verifier pool stats and verifier backends", responses: { 200: okResponse("service is up") } }
+      },
+      "/metrics": {
+        get: {
+          summary: "Prometheus metrics",
+          responses: { 200: { description: "Prometheus text format", content: { "text/plain": { schema: { type: "string" } } } } }
+        }
+      },
+      "/openapi.json": {
+        get: { summary: "This document", responses: { 200: okResponse("OpenAPI document") } }
+      },
+      "/signer": {
+        get: {
+          summary: "Result signer address, domain and types",
+          responses: { 200: okResponse("signer description"), ...errorResponses([404]) }
+        }
+      },
+      "/providers": {
+        get: { summary: "Registered providers", responses: { 200: okResponse("provider list") } }
+      },
+      "/verify/{provider}": {
+        post: verifyOperation("Verify an attestation for a provider", {
+          parameters: [
+            { name: "provider", in: "path", required: true, schema: { type: "string", enum: providerIds } }
+          ]
+        })
+      },
+      "/verify-wise-attestation": {
+        post: verifyOperation("Verify a Wise attestation (alias of /verify/wise)")
+      },
+      "/inspect": {
+        post: {
+          summary: "Verify a presentation signature and return the decoded transcript without applying provider policy",
+          security: API_KEY_SECURITY,
+          requestBody: { required: true, content: jsonContent(ref("InspectRequest")) },
+          responses: {
+            200: okResponse("decoded transcript", ref("InspectResponse")),
+            ...errorResponses([400, 401, 403, 413, 429, 500, 503])
+          }
+        }
+      },
+      "/verify-batch": {
+        post: {
+          summary: "Verify several attestations; each item is a verify request",
+          security: API_KEY_SECURITY,
+          requestBody: { required: true, content: jsonContent(ref("BatchRequest")) },
+          responses: {
+            200: okResponse("per-item results", ref("BatchResponse")),
+            ...errorResponses([400, 401, 403, 413, 429, 500])
+          }
+        }
+      },
+      "/admin/notaries": {
+        get: {
+          summary: "List trusted notaries",
+          security: ADMIN_SECURITY,
+          responses: { 200: okResponse("trusted notaries"), ...errorResponses([401, 403]) }
+        },
+        post: {
+          summary: "Add a trusted notary",
+          security: ADMIN_SECURITY,
+          requestBody: { required: true, content: jsonContent(ref("TrustedNotary")) },
+          responses: { 201: okResponse("added notary"), ...errorResponses([400, 401, 403]) }
+        }
+      },
+      "/admin/audit": {
+        get: {
+          summary: "Audit log entries for a proofId or receipt hash",
+          security: ADMIN_SECURITY,
+          parameters: [
+            { name: "proofId", in: "query", required: false, schema: { type: "string" } },
+            { name: "receiptHash", in: "query", required: false, schema: { type: "string" } }
+          ],
+          responses: { 200: okResponse("matching entries"), ...errorResponses([400, 401, 403]) }
+        }
+      },
+      "/admin/audit/export": {
+        get: {
+          summary: "Audit log entries in a time range as NDJSON",
+          security: ADMIN_SECURITY,
+          parameters: [
+            { name: "from", in: "query", required: false, schema: { type: "string" } },
+            { name: "to", in: "query", required: false, schema: { type: "string" } }
+          ],
+          responses: {
+            200: {
+              description: "one audit entry per line",
+              content: { "application/x-ndjson": { schema: { type: "string" } } }
+            },
+            ...errorResponses([400, 401, 403])
+          }
+        }
+      },
+      "/admin/audit/verify": {
+        get: {
+          summary: "Verify the audit log hash chain",
+          security: ADMIN_SECURITY,
+          responses: { 200: okResponse("chain status"), ...errorResponses([401, 403]) }
+        }
+      },
+      "/admin/webhooks/dead-letters": {
+        get: {
+          summary: "Webhook events that exhausted their delivery attempts",
+          security: ADMIN_SECURITY,
+          responses: { 200: okResponse("dead-letter events"), ...errorResponses([401, 403]) }
+        }
+      },
+      "/admin/notaries/{fingerprint}/revoke": {
+        post: {
+          summary: "Revoke a trusted notary",
+          security: ADMIN_SECURITY,
+          parameters: [{ name: "fingerprint", in: "path", required: true, schema: { type: "string" } }],
+          requestBody: { required: false, content: jsonContent(ref("RevokeNotary")) },
+          responses: { 200: okResponse("revoked notary"), ...errorResponses([400, 401, 403, 404]) }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        apiKey: { type: "http", scheme: "bearer", description: "Required when TLSN_API_KEYS is configured" },
+        adminToken: { type: "http", scheme: "bearer", description: "TLSN_ADMIN_TOKEN" }
+      },
+      responses: {
+        Error: { description: "error with a stable code", content: jsonContent(ref("Error")) }
+      },
+      schemas: {
+        VerifyRequest: VERIFY_REQUEST_SCHEMA,
+        VerifyResponse: {
+          type: "object",
+          properties: {
+            verified: { type: "boolean" },
+            previewOnly: { type: "boolean" },
+            provider: { type: "string" },
+            proofId: { type: ["string", "null"] },
+            keyId: { type: ["string", "null"] },
+            receiptHashScheme: { type: "string", enum: RECEIPT_HASH_SCHEMES },
+            normalized: { type: "object" },
+            recentTransfers: { type: "array", items: ref("Transfer") },
+            provenTransferCount: { type: "integer" },
+            transferQuery: ref("TransferQueryResult"),
+            verifier: { type: "object" },
+            signedResult: { type: "object" },
+            webhookEventId: { type: "string" }
+          }
+        },
+        TransferQueryResult: {
+          type: "object",
+          properties: {
+            total: { type: "integer" },
+            matched: { type: "integer" },
+            offset: { type: "integer" },
+            count: { type: "integer" },
+            order: { type: "string", enum: ["asc", "desc"] },
+            rows: { type: "array", items: ref("Transfer") },
+            nextCursor: { type: ["string", "null"] }
+          }
+        },
+        Transfer: {
+          type: "object",
+          properties: {
+            transferId: { type: "string" },
+            amount: { type: "string" },
+            currency: { type: "string" },
+            timestamp: { type: ["integer", "null"] },
+            payerRef: { type: "string" },
+            recipientRef: { type: "string" },
+            status: { type: "string" },
+            parsedAmount: { type: ["object", "null"] },
+            source: ref("TransferSource")
+          }
+        },
+        TransferSource: {
+          type: "object",
+          properties: {
+            origin: { type: "string", enum: ["response", "attestation"] },
+            exchange: { type: ["integer", "null"] },
+            endpoint: { type: ["string", "null"] },
+            method: { type: ["string", "null"] },
+            path: { type: ["string", "null"] },
+            details: { type: "boolean" },
+            confirmedBy: {
+              type: "object",
+              properties: {
+                exchange: { type: "integer" },
+                endpoint: { type: ["string", "null"] },
+                method: { type: ["string", "null"] },
+                path: { type: ["string", "null"] }
+              }
+            }
+          }
+        },
+        InspectRequest: INSPECT_REQUEST_SCHEMA,
+        InspectResponse: {
+          type: "object",
+          properties: {
+            verified: { type: "boolean" },
+            serverName: { type: ["string", "null"] },
+            notarizedAt: { type: ["integer", "null"] },
+            backend: {
+              type: "object",
+              properties: { id: { type: "string" }, version: { type: ["string", "null"] } }
+            },
+            notary: { type: "object" },
+            masked: { type: "boolean" },
+            sent: ref("Transcript"),
+            recv: ref("Transcript"),
+            requests: { type: "array", items: { type: "object" } },
+            responses: { type: "array", items: { type: "object" } },
+            jsonBodies: { type: "array", items: { type: "object" } },
+            recentTransfers: { type: "array", items: ref("Transfer") },
+            provenTransferCount: { type: "integer" },
+            transferQuery: ref("TransferQueryResult"),
+            warnings: { type: "array", items: { type: "string" } }
+          }
+        },
+        Transcript: {
+          type: "object",
+          properties: {
+            length: { type: "integer" },
+            redacted: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: { start: { type: "integer" }, end: { type: "integer" } }
+              }
+            },
+            text: { type: "string" }
+          }
+        },
+        BatchRequest: {
+          anyOf: [{ type: "array", minItems: 1, items: ref("VerifyRequest") }, BATCH_REQUEST_SCHEMA]
+        },
+        BatchResponse: {
+          type: "object",
+          properties: {
+            total: { type: "integer" },
+            succeeded: { type: "integer" },
+            failed: { type: "integer" },
+            results: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  index: { type: "integer" },
+                  status: { type: "integer" },
+                  ok: { type: "boolean" },
+                  body: { type: "object" }
+                }
+              }
+            }
+          }
+        },
+        TrustedNotary: TRUSTED_NOTARY_SCHEMA,
+        RevokeNotary: REVOKE_NOTARY_SCHEMA,
+        Error: ERROR_RESPONSE_SCHEMA
+      }
+    }
+  };
+}
@@ -0,0 +1,156 @@
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import {
+  DEFAULT_VERIFIER_FIELDS,
+  extractRecentTransfers,
+  extractTransfers,
+  normalizeTransferItem,
+  normalizeVerifierData,
+  parseAllowedHostSuffixes
+} from "../lib.js";
+import { WISE_HOST_SUFFIXES, wiseProvider } from "./wise.js";
+
+const DOMAIN_TAG_PATTERN = /^[a-z0-9_-]+$/;
+
+export function browserCaptureDomainTag(domainTag) {
+  return `${domainTag}:browser-capture`;
+}
+
+export const DEFAULT_REQUIRED_FIELDS = ["amount", "timestamp", "payerRef", "transferId", "sourceHost"];
+
+function asFields(value) {
+  if (!value || typeof value !== "object") return {};
+  return value;
+}
+
+export function defineProvider(spec) {
+  const id = String(spec?.id || "").trim().toLowerCase();
+  if (!/^[a-z0-9][a-z0-9_-]*$/.test(id)) {
+    throw new Error(`invalid provider id: ${spec?.id}`);
+  }
+  const allowedHostSuffixes = (spec.allowedHostSuffixes ?? [])
+    .map((item) => String(item).trim().toLowerCase())
+    .filter(Boolean);
+  if (allowedHostSuffixes.length === 0) {
+    throw new Error(`provider ${id} must declare allowed hosts`);
+  }
+
+  for (const hook of ["parseTranscript", "listTransfers", "normalize", "normalizeTransferItem"]) {
+    if (spec[hook] !== undefined && typeof spec[hook] !== "function") {
+      throw new Error(`provider ${id} ${hook} must be a function`);
+    }
+  }
+
+  const endpoints = spec.endpoints?.map((endpoint) => ({
+    type: endpoint.type,
+    method: String(endpoint.method || "GET").toUpperCase(),
+    paths: endpoint.paths,
+    details: endpoint.details === true
+  }));
+
+  const receiptDomainTag = spec.receiptDomainTag ?? id;
+  if (!DOMAIN_TAG_PATTERN.test(receiptDomainTag)) {
+    throw new Error(`invalid receipt domain tag: ${receiptDomainTag}`);
+  }
+
+  const fields = { ...DEFAULT_VERIFIER_FIELDS, ...asFields(spec.fields) };
+  const normalizeItem = spec.normalizeTransferItem ?? normalizeTransferItem;
+  return {
+    id,
+    label: spec.label ?? id,
+    allowedHostSuffixes,
+    requiredFields: spec.requiredFields ?? DEFAULT_REQUIRED_FIELDS,
+    receiptDomainTag,
+    receiptHashField: spec.receiptHashField ?? "receiptHash",
+    browserCaptureKind: spec.browserCaptureKind,
+    endpoints,
+    parseTranscript:
+      spec.parseTranscript ??
+      ((attestation, recv, limit, requests) =>
+        extractRecentTransfers(attestation, recv, limit, normalizeItem, { requests })),
+    listTransfers:
+      spec.listTransfers ??
+      ((attestation, recv, requests) => extractTransfers(attestation, recv, normalizeItem, { requests })),
+    normalize: spec.normalize ?? ((raw) => normalizeVerifierData(raw, fields))
+  };
+}
+
+export function createProviderRegistry(specs = []) {
+  const byId = new Map();
+  const domainTags = new Set();
+
+  const registry = {
+    register(spec) {
+      const provider = defineProvider(spec);
+      if (byId.has(provider.id)) {
+        throw new Error(`provider already registered: ${provider.id}`);
+      }
+      if (domainTags.has(provider.receiptDomainTag)) {
+        throw new Error(`receipt domain tag already in use: ${provider.receiptDomainTag}`);
+      }
+      byId.set(provider.id, provider);
+      domainTags.add(provider.receiptDomainTag);
+      return provider;
+    },
+    get(id) {
+      return byId.get(String(id || "").trim().toLowerCase());
+    },
+    list() {
+      return [...byId.values()];
+    }
+  };
+
+  for (const spec of specs) registry.register(spec);
+  return registry;
+}
+
+export function parseProviderModules(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function resolveProviderModule(specifier, cwd) {
+  if (specifier.startsWith(".") || path.isAbsolute(specifier)) {
+    return pathToFileURL(path.resolve(cwd, specifier)).href;
+  }
+  return specifier;
+}
+
+export async function loadProviderModules(specifiers, { env = process.env, cwd = process.cwd() } = {}) {
+  const specs = [];
+  for (const specifier of specifiers) {
+    let loaded;
+    try {
+      loaded = await import(resolveProviderModule(specifier, cwd));
+    } catch (error) {
+      throw new Error(`provider module ${specifier} failed to load: ${error?.message || error}`);
+    }
+    const exported = loaded.default ?? loaded.providers ?? loaded.provider;
+    const value = typeof exported === "function" ? await exported(env) : exported;
+    const moduleSpecs = Array.isArray(value) ? value : [value];
+    if (moduleSpecs.length === 0 || moduleSpecs.some((spec) => !spec || typeof spec !== "object")) {
+      throw new Error(`provider module ${specifier} must export a provider spec, a list of specs or a function returning them`);
+    }
+    specs.push(...moduleSpecs.map((spec) => ({ spec, specifier })));
+  }
+  return specs;
+}
+
+export async function createDefaultProviderRegistry(env = process.env, { cwd = process.cwd() } = {}) {
+  const registry = createProviderRegistry([
+    wiseProvider({
+      allowedHostSuffixes: parseAllowedHostSuffixes(env.TLSN_ALLOWED_HOST_SUFFIXES, WISE_HOST_SUFFIXES)
+    })
+  ]);
+  const modules = await loadProviderModules(parseProviderModules(env.TLSN_PROVIDER_MODULES), { env, cwd });
+  for (const { spec, specifier } of modules) {
+    try {
+      registry.register(spec);
+    } catch (error) {
+      throw new Error(`provider module ${specifier}: ${error.message}`);
+    }
+  }
+  return registry;
+}
@@ -0,0 +1,31 @@
+import { DEFAULT_VERIFIER_FIELDS, normalizeTransferItem, parseAllowedHostSuffixes } from "../lib.js";
+
+export const WISE_HOST_SUFFIXES = "wise.com,transferwise.com";
+
+export const WISE_ENDPOINTS = [
+  {
+    type: "activities",
+    method: "GET",
+    paths: [/^\/(?:gateway\/)?v\d+\/profiles\/[^/]+\/activities(?:\/list)?\/?$/]
+  },
+  {
+    type: "transfer-details",
+    method: "GET",
+    details: true,
+    paths: [/^\/(?:gateway\/)?v\d+\/(?:profiles\/[^/]+\/)?transfers\/(?<transferId>[^/]+)\/?$/]
+  }
+];
+
+export function wiseProvider({ allowedHostSuffixes } = {}) {
+  return {
+    id: "wise",
+    label: "Wise",
+    allowedHostSuffixes: allowedHostSuffixes ?? parseAllowedHostSuffixes(undefined, WISE_HOST_SUFFIXES),
+    receiptDomainTag: "wise",
+    receiptHashField: "wiseReceiptHash",
+    browserCaptureKind: "wise_browser_capture_v1",
+    endpoints: WISE_ENDPOINTS,
+    fields: DEFAULT_VERIFIER_FIELDS,
+    normalizeTransferItem
+  };
+}
@@ -0,0 +1,104 @@
+import crypto from "node:crypto";
+import { buildReceiptHash, normalizeHexString, sha256Hex } from "./lib.js";
+import { encodeWord, keccak, signableAmount } from "./signer.js";
+
+export const RECEIPT_HASH_SCHEMES = ["v1", "v2", "v3"];
+export const DEFAULT_RECEIPT_HASH_SCHEME = "v1";
+
+export const RECEIPT_V3_FIELDS = [
+  { name: "domainTagHash", type: "bytes32" },
+  { name: "sourceHostHash", type: "bytes32" },
+  { name: "transferIdHash", type: "bytes32" },
+  { name: "payerRefHash", type: "bytes32" },
+  { name: "amount", type: "uint256" },
+  { name: "amountExponent", type: "uint8" },
+  { name: "currencyHash", type: "bytes32" },
+  { name: "timestamp", type: "uint64" },
+  { name: "presentationHash", type: "bytes32" }
+];
+
+export function parseReceiptHashScheme(value, fallback = DEFAULT_RECEIPT_HASH_SCHEME) {
+  if (value === undefined || value === null || String(value).trim() === "") return fallback;
+  const scheme = String(value).trim().toLowerCase();
+  if (!RECEIPT_HASH_SCHEMES.includes(scheme)) {
+    throw new Error(`unsupported receipt hash scheme: ${value}`);
+  }
+  return scheme;
+}
+
+export function canonicalizeJson(value) {
+  if (value === null || typeof value === "boolean" || typeof value === "string") {
+    return JSON.stringify(value);
+  }
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) throw new Error("cannot canonicalize non-finite number");
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => (item === undefined ? "null" : canonicalizeJson(item))).join(",")}]`;
+  }
+  if (typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined && typeof value[key] !== "function")
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalizeJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  throw new Error(`cannot canonicalize ${typeof value}`);
+}
+
+function presentationBytes({ presentationHex, attestation }) {
+  const hex = normalizeHexString(presentationHex);
+  if (hex) return Buffer.from(hex, "hex");
+  return Buffer.from(canonicalizeJson(attestation ?? null), "utf8");
+}
+
+function receiptFields(normalized) {
+  return {
+    sourceHost: String(normalized.sourceHost ?? ""),
+    transferId: String(normalized.transferId ?? ""),
+    payerRef: String(normalized.payerRef ?? ""),
+    amount: String(normalized.amount ?? ""),
+    timestamp: Math.trunc(Number(normalized.timestamp) || 0)
+  };
+}
+
+export function buildReceiptV2Preimage({ normalized, domainTag, presentationHex, attestation }) {
+  const digest = crypto.createHash("sha256").update(presentationBytes({ presentationHex, attestation })).digest("hex");
+  return canonicalizeJson({
+    scheme: "v2",
+    domainTag,
+    ...receiptFields(normalized),
+    presentationSha256: `0x${digest}`
+  });
+}
+
+export function buildReceiptV3Struct({ normalized, domainTag, presentationHex, attestation }) {
+  const fields = receiptFields(normalized);
+  const amount = signableAmount(normalized);
+  const hashText = (text) => `0x${keccak(Buffer.from(text, "utf8")).toString("hex")}`;
+  return {
+    domainTagHash: hashText(domainTag),
+    sourceHostHash: hashText(fields.sourceHost),
+    transferIdHash: hashText(fields.transferId),
+    payerRefHash: hashText(fields.payerRef),
+    amount: amount.minorUnits,
+    amountExponent: amount.exponent,
+    currencyHash: hashText(amount.currency),
+    timestamp: fields.timestamp,
+    presentationHash: `0x${keccak(presentationBytes({ presentationHex, attestation })).toString("hex")}`
+  };
+}
+
+export function computeReceiptHash({ scheme = DEFAULT_RECEIPT_HASH_SCHEME, normalized, domainTag, presentationHex, attestation }) {
+  if (scheme === "v1") return buildReceiptHash(normalized, attestation, domainTag);
+  if (scheme === "v2") {
+    return sha256Hex(buildReceiptV2Preimage({ normalized, domainTag, presentationHex, attestation }));
+  }
+  if (scheme === "v3") {
+    const struct = buildReceiptV3Struct({ normalized, domainTag, presentationHex, attestation });
+    const encoded = Buffer.concat(RECEIPT_V3_FIELDS.map((field) => encodeWord(field.type, struct[field.name])));
+    return `0x${keccak(encoded).toString("hex")}`;
+  }
+  throw new Error(`unsupported receipt hash scheme: ${scheme}`);
+}
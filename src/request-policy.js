@@ -0,0 +1,101 @@
+import { errorDetail } from "./errors.js";
+import { parseHttpRequests } from "./transcript.js";
+
+export function normalizeHostHeader(value) {
+  const host = String(value || "").trim().toLowerCase();
+  const withoutPort = host.startsWith("[") ? host : host.replace(/:\d+$/, "");
+  return withoutPort.endsWith(".") ? withoutPort.slice(0, -1) : withoutPort;
+}
+
+function hasDotSegment(path) {
+  return path.split("/").some((segment) => {
+    const decoded = segment.replace(/%2e/gi, ".");
+    return decoded === "." || decoded === "..";
+  });
+}
+
+export function matchEndpoint(endpoints, request) {
+  if (hasDotSegment(request.path)) return undefined;
+  return endpoints.find(
+    (endpoint) => endpoint.method === request.method && endpoint.paths.some((pattern) => pattern.test(request.path))
+  );
+}
+
+function pathTransferId(endpoint, path) {
+  if (endpoint.details !== true) return null;
+  for (const pattern of endpoint.paths) {
+    const id = pattern.exec(path)?.groups?.transferId;
+    if (!id) continue;
+    try {
+      return decodeURIComponent(id);
+    } catch {
+      return id;
+    }
+  }
+  return null;
+}
+
+export function evaluateRequestPolicy({ sent, serverName, endpoints }) {
+  let requests;
+  try {
+    requests = parseHttpRequests(sent);
+  } catch (error) {
+    return {
+      ok: false,
+      code: "REQUEST_UNPARSEABLE",
+      error: "unable to parse revealed request",
+      details: [errorDetail("REQUEST_UNPARSEABLE", "/sent", error?.message || error)]
+    };
+  }
+  if (requests.length === 0) {
+    return {
+      ok: false,
+      code: "REQUEST_NOT_REVEALED",
+      error: "sent transcript does not reveal an http request",
+      details: [errorDetail("REQUEST_NOT_REVEALED", "/sent", "no http request line is revealed")]
+    };
+  }
+
+  const expectedHost = normalizeHostHeader(serverName);
+  const matched = [];
+  for (let index = 0; index < requests.length; index++) {
+    const request = requests[index];
+    const host = normalizeHostHeader(request.headers.host);
+    if (!host || host !== expectedHost) {
+      return {
+        ok: false,
+        code: "REQUEST_HOST_MISMATCH",
+        error: "revealed request host does not match serverName",
+        details: [
+          errorDetail("REQUEST_HOST_MISMATCH", `/sent/${index}/headers/host`, `host=${host}, serverName=${expectedHost}`)
+        ]
+      };
+    }
+
+    const endpoint = matchEndpoint(endpoints, request);
+    if (!endpoint) {
+      return {
+        ok: false,
+        error: "revealed request does not match an allowed endpoint",
+        code: "ENDPOINT_NOT_ALLOWED",
+        details: [
+          errorDetail(
+            "ENDPOINT_NOT_ALLOWED",
+            `/sent/${index}/path`,
+            `method=${request.method}, path=${request.path}, allowed=${endpoints.map((item) => item.type).join(",")}`
+          )
+        ]
+      };
+    }
+    matched.push({
+      endpoint: endpoint.type,
+      method: request.method,
+      path: request.path,
+      host,
+      details: endpoint.details === true,
+      transferId: pathTransferId(endpoint, request.path)
+    });
+  }
+
+  return { ok: true, requests: matched };
+}
@@ -0,0 +1,113 @@
+function pointer(path, key) {
+  return `${path}/${String(key).replace(/~/g, "~0").replace(/\//g, "~1")}`;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+export const SCHEMA_ERROR_CODES = {
+  anyOf: "SCHEMA_ANY_OF",
+  type: "SCHEMA_TYPE",
+  enum: "SCHEMA_ENUM",
+  minLength: "SCHEMA_MIN_LENGTH",
+  maxLength: "SCHEMA_MAX_LENGTH",
+  pattern: "SCHEMA_PATTERN",
+  minimum: "SCHEMA_MINIMUM",
+  maximum: "SCHEMA_MAXIMUM",
+  minItems: "SCHEMA_MIN_ITEMS",
+  maxItems: "SCHEMA_MAX_ITEMS",
+  required: "SCHEMA_REQUIRED",
+  additionalProperties: "SCHEMA_ADDITIONAL_PROPERTIES",
+  format: "SCHEMA_FORMAT"
+};
+
+function issue(keyword, path, message) {
+  return { code: SCHEMA_ERROR_CODES[keyword], path: path || "/", message };
+}
+
+function validateNode(schema, value, path, errors) {
+  if (!schema || typeof schema !== "object") return;
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some((option) => validateSchema(option, value, path).length === 0);
+    if (!matched) errors.push(issue("anyOf", path, "value does not match any allowed shape"));
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(issue("type", path, `expected ${types.join(" or ")}, got ${typeOf(value)}`));
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((allowed) => allowed === value)) {
+    errors.push(issue("enum", path, `must be one of ${schema.enum.join(", ")}`));
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(issue("minLength", path, `must be at least ${schema.minLength} characters`));
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(issue("maxLength", path, `must be at most ${schema.maxLength} characters`));
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(issue("pattern", path, `must match ${schema.pattern}`));
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(issue("minimum", path, `must be >= ${schema.minimum}`));
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(issue("maximum", path, `must be <= ${schema.maximum}`));
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(issue("minItems", path, `must have at least ${schema.minItems} items`));
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(issue("maxItems", path, `must have at most ${schema.maxItems} items`));
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(schema.items, item, pointer(path, index), errors));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) errors.push(issue("required", pointer(path, key), `${key} is required`));
+    }
+    const properties = schema.properties ?? {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(properties[key], child, pointer(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(issue("additionalProperties", pointer(path, key), `${key} is not allowed`));
+      } else if (typeof schema.additionalProperties === "object") {
+        validateNode(schema.additionalProperties, child, pointer(path, key), errors);
+      }
+    }
+  }
+}
+
+export function validateSchema(schema, value, path = "") {
+  const errors = [];
+  validateNode(schema, value, path, errors);
+  return errors;
+}
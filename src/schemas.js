@@ -0,0 +1,153 @@
+import { DETAIL_CODES, ERROR_CODES } from "./errors.js";
+import { RECEIPT_HASH_SCHEMES } from "./receipt-hash.js";
+
+const AMOUNT_SCHEMA = {
+  anyOf: [
+    { type: "string", minLength: 1 },
+    { type: "number" },
+    {
+      type: "object",
+      properties: {
+        value: { type: ["string", "number"] },
+        minorUnits: { type: ["string", "integer"] },
+        currency: { type: "string" }
+      }
+    }
+  ]
+};
+
+const TIMESTAMP_SCHEMA = { type: ["integer", "string"] };
+
+export const EXPECTED_SCHEMA = {
+  type: "object",
+  properties: {
+    amount: AMOUNT_SCHEMA,
+    amountTolerance: AMOUNT_SCHEMA,
+    minAmount: AMOUNT_SCHEMA,
+    currency: { type: "string", pattern: "^[A-Za-z]{3}$" },
+    timestamp: { type: "number" },
+    maxTimestampSkewSeconds: { type: "number", minimum: 0 },
+    transferId: { type: "string" },
+    payerRef: { type: "string" },
+    recipientRef: { type: "string" },
+    status: { anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }] }
+  }
+};
+
+export const SELECTED_TRANSFER_SCHEMA = {
+  type: "object",
+  properties: {
+    transferId: { type: "string" },
+    amount: AMOUNT_SCHEMA,
+    timestamp: TIMESTAMP_SCHEMA,
+    payerRef: { type: "string" },
+    currency: { type: "string" },
+    status: { type: "string" },
+    recipientRef: { type: "string" }
+  }
+};
+
+export const TRANSFER_QUERY_SCHEMA = {
+  type: "object",
+  properties: {
+    from: TIMESTAMP_SCHEMA,
+    to: TIMESTAMP_SCHEMA,
+    currency: { type: "string", pattern: "^[A-Za-z]{3}$" },
+    status: { anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }] },
+    minAmount: AMOUNT_SCHEMA,
+    maxAmount: AMOUNT_SCHEMA,
+    counterparty: { type: "string", minLength: 1 },
+    order: { type: "string", enum: ["asc", "desc"] },
+    limit: { type: "integer", minimum: 1, maximum: 100 },
+    cursor: { type: "string", minLength: 1 }
+  }
+};
+
+export const FRESHNESS_SCHEMA = {
+  type: "object",
+  properties: {
+    maxNotarizationAgeSeconds: { type: "integer", minimum: 0 },
+    maxTransferGapSeconds: { type: "integer", minimum: 0 },
+    rejectTransferAfterNotarization: { type: "boolean" }
+  }
+};
+
+export const VERIFY_REQUEST_SCHEMA = {
+  type: "object",
+  required: ["attestation"],
+  properties: {
+    proofId: { type: "string", maxLength: 256 },
+    provider: { type: "string" },
+    attestation: { type: "object" },
+    recentCount: { anyOf: [{ type: "integer", minimum: 1 }, { type: "string", pattern: "^[0-9]+$" }] },
+    selectedTransfer: SELECTED_TRANSFER_SCHEMA,
+    requireTransferDetails: { type: "boolean" },
+    query: TRANSFER_QUERY_SCHEMA,
+    expected: EXPECTED_SCHEMA,
+    freshness: FRESHNESS_SCHEMA,
+    receiptHashScheme: { type: "string", enum: RECEIPT_HASH_SCHEMES },
+    callbackUrl: { type: "string", minLength: 1, maxLength: 2048 }
+  }
+};
+
+export const INSPECT_REQUEST_SCHEMA = {
+  type: "object",
+  required: ["attestation"],
+  properties: {
+    attestation: { type: "object" },
+    maskSecrets: { type: "boolean" },
+    recentCount: { anyOf: [{ type: "integer", minimum: 1 }, { type: "string", pattern: "^[0-9]+$" }] },
+    query: TRANSFER_QUERY_SCHEMA
+  }
+};
+
+export const BATCH_REQUEST_SCHEMA = {
+  type: "object",
+  required: ["items"],
+  properties: {
+    provider: { type: "string" },
+    items: { type: "array", minItems: 1 }
+  }
+};
+
+export const TRUSTED_NOTARY_SCHEMA = {
+  type: "object",
+  properties: {
+    publicKeyPem: { type: "string", minLength: 1 },
+    fingerprint: { type: "string", pattern: "^0x[0-9a-fA-F]{64}$" },
+    label: { type: "string" },
+    url: { type: "string" },
+    validFrom: { type: ["integer", "string"] },
+    validUntil: { type: ["integer", "string"] }
+  },
+  additionalProperties: false
+};
+
+export const REVOKE_NOTARY_SCHEMA = {
+  type: "object",
+  properties: {
+    reason: { type: "string", maxLength: 512 }
+  },
+  additionalProperties: false
+};
+
+export const ERROR_RESPONSE_SCHEMA = {
+  type: "object",
+  required: ["error", "code", "details"],
+  properties: {
+    error: { type: "string" },
+    code: { type: "string", enum: Object.keys(ERROR_CODES) },
+    details: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["code", "path", "message"],
+        properties: {
+          code: { type: "string", enum: [...Object.keys(ERROR_CODES), ...Object.keys(DETAIL_CODES)] },
+          path: { type: ["string", "null"] },
+          message: { type: "string" }
+        }
+      }
+    }
+  }
+};
@@ -1,213 +1,652 @@
+import crypto from "node:crypto";
 import http from "node:http";
 import { createRequire } from "node:module";
 import { URL } from "node:url";
 import {
   asRecord,
-  buildWiseReceiptHash,
   extractNotaryPublicKeyPem,
   extractNotaryUrl,
-  extractPublicKeyFromNotaryInfo,
-  extractRecentTransfers,
+  extractBearerToken,
+  extractPresentationHex,
   hostMatchesAllowedSuffix,
-  normalizeVerifierData,
-  parseAllowedHostSuffixes,
-  validateExpected,
+  pickString,
+  evaluateExpected,
+  safeEqualText,
+  sha256Hex,
+  toUnixSeconds,
   verifyPresentationLocally
 } from "./lib.js";
+import { tryParseAmount } from "./amount.js";
+import { createAuditLog } from "./audit-log.js";
+import { createApiKeyRegistry, createRateLimiter, DEFAULT_REQUESTS_PER_MINUTE, loadApiKeys } from "./api-keys.js";
+import { checkBatchRequest, createSharedNotaryResolver, runBatch } from "./batch.js";
+import { evaluateCapturePolicy, parseCapturePolicy } from "./capture-policy.js";
+import { codedError, ERROR_CODES, errorBody, errorCategory, errorDetail, errorStatus, isErrorCode } from "./errors.js";
+import { extractProvenTransfers, inspectTranscript } from "./inspect.js";
+import { createLogger, maskValue } from "./logger.js";
+import { createMetricsRegistry } from "./metrics.js";
+import { createNotaryFetcher, NOTARY_FETCH_ERROR_CODES, parseNotaryHostPatterns } from "./notary-fetch.js";
+import { createNotaryTrustStore, createTtlCache, parseTrustedNotaries } from "./notary-trust.js";
+import { buildOpenApiDocument } from "./openapi.js";
+import { browserCaptureDomainTag, createDefaultProviderRegistry } from "./providers/index.js";
+import { canonicalizeJson, parseReceiptHashScheme } from "./receipt-hash.js";
+import { SCHEMA_ERROR_CODES, validateSchema } from "./schema.js";
+import {
+  INSPECT_REQUEST_SCHEMA,
+  REVOKE_NOTARY_SCHEMA,
+  TRUSTED_NOTARY_SCHEMA,
+  VERIFY_REQUEST_SCHEMA
+} from "./schemas.js";
+import { createResultSigner, signableAmount } from "./signer.js";
+import { buildSpentKeys, createSpentStore } from "./spent-store.js";
+import {
+  createVerifierBackendRegistry,
+  parseVerifierBackends,
+  VERIFIER_BACKEND_ERROR_CODES
+} from "./verifier-backends.js";
+import {
+  constraintsMismatchBody,
+  hostNotAllowedBody,
+  matchPolicyFor,
+  missingFieldDetails,
+  parseVerifyPolicy,
+  queryTransfers,
+  receiptHashFor,
+  recentTransferCount,
+  runVerifyPipeline,
+  selectTransfer
+} from "./verify-pipeline.js";
+import { createVerifyPool, defaultVerifyPoolSize, VERIFY_POOL_ERROR_CODES } from "./verify-pool.js";
+import { CALLBACK_ERROR_CODES, checkCallbackUrl, createWebhookDispatcher, createWebhookOutbox } from "./webhooks.js";
 
 const require = createRequire(import.meta.url);
-const { verify_presentation: verifyPresentation } = require("@dylan1951/tlsn-ts");
+const { version: SERVICE_VERSION } = require("../package.json");
+
+const logger = createLogger({ level: process.env.TLSN_LOG_LEVEL || "info" });
+const metrics = createMetricsRegistry();
+const httpRequests = metrics.counter(
+  "tlsn_http_requests_total",
+  "HTTP requests by route, status and outcome",
+  ["route", "method", "status", "outcome"]
+);
+const verificationDuration = metrics.histogram(
+  "tlsn_verification_duration_seconds",
+  "Attestation verification latency by provider and outcome",
+  ["provider", "outcome"]
+);
+const notaryFetchFailures = metrics.counter(
+  "tlsn_notary_fetch_failures_total",
+  "Failed notary /info fetches by error code",
+  ["code"]
+);
+const notaryKeyLookups = metrics.counter(
+  "tlsn_notary_key_cache_lookups_total",
+  "Notary key lookups for attestation.meta.notaryUrl by result (pinned, hit, miss)",
+  ["result"]
+);
+const browserCaptureRequests = metrics.counter(
+  "tlsn_browser_capture_requests_total",
+  "Browser capture mode requests by provider and policy outcome",
+  ["provider", "outcome"]
+);
+const webhookDeliveries = metrics.counter(
+  "tlsn_webhook_deliveries_total",
+  "Webhook delivery attempts by outcome (delivered, retry, dead)",
+  ["outcome"]
+);
+const responseErrors = new WeakMap();
 
 const PORT = Number(process.env.PORT || 8080);
 const MAX_BODY_BYTES = Number(process.env.MAX_BODY_BYTES || 2_000_000);
-const ALLOWED_HOST_SUFFIXES = parseAllowedHostSuffixes(process.env.TLSN_ALLOWED_HOST_SUFFIXES);
+const BATCH_MAX_BODY_BYTES = Number(process.env.TLSN_BATCH_MAX_BODY_BYTES || 20_000_000);
+const BATCH_MAX_ITEMS = Number(process.env.TLSN_BATCH_MAX_ITEMS || 50);
+const BATCH_CONCURRENCY = Math.max(1, Number(process.env.TLSN_BATCH_CONCURRENCY || 4));
 const CORS_ALLOW_ORIGIN = process.env.CORS_ALLOW_ORIGIN || "*";
-const notaryKeyCache = new Map();
-
-function toUnixSeconds(value) {
-  if (typeof value === "number" && Number.isFinite(value)) {
-    const normalized = value > 1_000_000_000_000 ? value / 1000 : value;
-    return Math.trunc(normalized);
-  }
-  if (typeof value === "string" && value.trim()) {
-    const numeric = Number(value.trim());
-    if (Number.isFinite(numeric)) {
-      const normalized = numeric > 1_000_000_000_000 ? numeric / 1000 : numeric;
-      return Math.trunc(normalized);
+const providers = await createDefaultProviderRegistry(process.env);
+const WEBHOOK_SECRET = String(process.env.TLSN_WEBHOOK_SECRET || "").trim();
+const WEBHOOK_CALLBACK_HOSTS = parseNotaryHostPatterns(process.env.TLSN_WEBHOOK_ALLOWED_HOSTS);
+const WEBHOOK_ALLOW_HTTP = process.env.TLSN_WEBHOOK_ALLOW_HTTP === "true";
+const WEBHOOK_ALLOW_PRIVATE_ADDRESSES = process.env.TLSN_WEBHOOK_ALLOW_PRIVATE_ADDRESSES === "true";
+const apiKeys = createApiKeyRegistry(
+  loadApiKeys({
+    raw: process.env.TLSN_API_KEYS,
+    filePath: process.env.TLSN_API_KEYS_FILE,
+    defaultRequestsPerMinute: Number(process.env.TLSN_API_KEY_REQUESTS_PER_MINUTE || DEFAULT_REQUESTS_PER_MINUTE),
+    webhookPolicy: {
+      allowedHosts: WEBHOOK_CALLBACK_HOSTS,
+      allowHttp: WEBHOOK_ALLOW_HTTP,
+      allowPrivateAddresses: WEBHOOK_ALLOW_PRIVATE_ADDRESSES,
+      secret: WEBHOOK_SECRET
     }
-    const parsedDate = Date.parse(value.trim());
-    if (Number.isFinite(parsedDate)) return Math.trunc(parsedDate / 1000);
+  })
+);
+const rateLimiter = createRateLimiter();
+const CAPTURE_POLICY = parseCapturePolicy(process.env);
+const VERIFY_POLICY = parseVerifyPolicy(process.env);
+const ENV_NOTARY_PUBLIC_KEY_PEM = String(process.env.TLSN_NOTARY_PUBLIC_KEY_PEM || "").trim();
+const ADMIN_TOKEN = String(process.env.TLSN_ADMIN_TOKEN || "").trim();
+const notaryTrustStore = createNotaryTrustStore({
+  filePath: process.env.TLSN_NOTARY_TRUST_STORE_PATH || ".data/notaries.json",
+  seed: [
+    ...parseTrustedNotaries(process.env.TLSN_TRUSTED_NOTARIES),
+    ...(ENV_NOTARY_PUBLIC_KEY_PEM ? [{ publicKeyPem: ENV_NOTARY_PUBLIC_KEY_PEM, label: "env", source: "env" }] : [])
+  ],
+  revokedFingerprints: String(process.env.TLSN_REVOKED_NOTARY_FINGERPRINTS || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+});
+const NOTARY_CACHE_MAX_ENTRIES = Number(process.env.TLSN_NOTARY_CACHE_MAX_ENTRIES || 1000);
+const notaryKeyCache = createTtlCache({
+  ttlSeconds: Number(process.env.TLSN_NOTARY_KEY_CACHE_TTL_SECONDS || 3600),
+  maxEntries: NOTARY_CACHE_MAX_ENTRIES
+});
+const NOTARY_ALLOWED_HOSTS = parseNotaryHostPatterns(process.env.TLSN_NOTARY_ALLOWED_HOSTS);
+const notaryFetcher = createNotaryFetcher({
+  allowedHosts: () => [
+    ...NOTARY_ALLOWED_HOSTS,
+    ...notaryTrustStore
+      .list()
+      .filter((entry) => entry.url)
+      .map((entry) => new URL(entry.url).hostname.replace(/^\[|\]$/g, ""))
+  ],
+  allowHttp: process.env.TLSN_NOTARY_ALLOW_HTTP === "true",
+  allowPrivateAddresses: process.env.TLSN_NOTARY_ALLOW_PRIVATE_ADDRESSES === "true",
+  connectTimeoutMs: Number(process.env.TLSN_NOTARY_CONNECT_TIMEOUT_MS || 3000),
+  timeoutMs: Number(process.env.TLSN_NOTARY_TIMEOUT_MS || 5000),
+  maxBytes: Number(process.env.TLSN_NOTARY_MAX_RESPONSE_BYTES || 64 * 1024),
+  negativeCacheTtlSeconds: Number(process.env.TLSN_NOTARY_NEGATIVE_CACHE_TTL_SECONDS || 60),
+  negativeCacheMaxEntries: NOTARY_CACHE_MAX_ENTRIES
+});
+const VERIFY_WORKERS = process.env.TLSN_VERIFY_WORKERS
+  ? Math.max(0, Math.trunc(Number(process.env.TLSN_VERIFY_WORKERS) || 0))
+  : defaultVerifyPoolSize();
+const verifyPool =
+  VERIFY_WORKERS > 0
+    ? createVerifyPool({
+        size: VERIFY_WORKERS,
+        queueLimit: Number(process.env.TLSN_VERIFY_QUEUE_LIMIT || 64),
+        jobTimeoutMs: Number(process.env.TLSN_VERIFY_TIMEOUT_MS || 30_000),
+        retryAfterSeconds: Number(process.env.TLSN_VERIFY_RETRY_AFTER_SECONDS || 2)
+      })
+    : undefined;
+const VERIFIER_BACKENDS = parseVerifierBackends(process.env.TLSN_VERIFIER_BACKENDS);
+for (const backend of VERIFIER_BACKENDS) require.resolve(backend.modulePath);
+const verifierBackends = createVerifierBackendRegistry(VERIFIER_BACKENDS, {
+  load: (backend) =>
+    verifyPool
+      ? (presentationHex, notaryPublicKeyPem) =>
+          verifyPool.verifyPresentation(presentationHex, notaryPublicKeyPem, { modulePath: backend.modulePath })
+      : require(backend.modulePath).verify_presentation
+});
+metrics.gauge("tlsn_verify_pool_busy_workers", "Verifier workers running a job", () => verifyPool?.stats().busy);
+metrics.gauge("tlsn_verify_pool_queued_jobs", "Verifications waiting for a worker", () => verifyPool?.stats().queued);
+const spentStore = createSpentStore(process.env.TLSN_SPENT_STORE, process.env.TLSN_SPENT_STORE_PATH);
+const auditLog = createAuditLog(process.env.TLSN_AUDIT_LOG, process.env.TLSN_AUDIT_LOG_PATH, {
+  onWarning: (message, fields) => logger.warn(message, fields)
+});
+const resultSigner = createResultSigner({
+  scheme: process.env.TLSN_SIGNER_SCHEME,
+  privateKey: process.env.TLSN_SIGNER_PRIVATE_KEY,
+  chainId: process.env.TLSN_SIGNER_CHAIN_ID || undefined,
+  verifyingContract: process.env.TLSN_SIGNER_VERIFYING_CONTRACT,
+  ttlSeconds: process.env.TLSN_SIGNATURE_TTL_SECONDS
+});
+const webhooks = createWebhookDispatcher({
+  outbox: createWebhookOutbox({
+    filePath: process.env.TLSN_WEBHOOK_OUTBOX_PATH || ".data/webhooks.jsonl",
+    deadRetentionSeconds: Number(process.env.TLSN_WEBHOOK_DEAD_LETTER_RETENTION_SECONDS || 7 * 86400),
+    maxDeadLetters: Number(process.env.TLSN_WEBHOOK_MAX_DEAD_LETTERS || 1000)
+  }),
+  secretFor: (event) => (event.keyId ? apiKeys.get(event.keyId)?.webhook?.secret : null) || WEBHOOK_SECRET,
+  maxAttempts: Number(process.env.TLSN_WEBHOOK_MAX_ATTEMPTS || 8),
+  baseDelaySeconds: Number(process.env.TLSN_WEBHOOK_RETRY_BASE_SECONDS || 10),
+  maxDelaySeconds: Number(process.env.TLSN_WEBHOOK_RETRY_MAX_SECONDS || 3600),
+  timeoutMs: Number(process.env.TLSN_WEBHOOK_TIMEOUT_MS || 10_000),
+  allowPrivateAddresses: WEBHOOK_ALLOW_PRIVATE_ADDRESSES,
+  onDelivery: ({ event, outcome, attempts, error }) => {
+    webhookDeliveries.inc({ outcome });
+    logger[outcome === "delivered" ? "info" : "warn"]("webhook", {
+      eventId: event.id,
+      keyId: event.keyId,
+      proofId: event.data?.proofId ?? null,
+      outcome,
+      attempts,
+      error
+    });
   }
-  return undefined;
-}
+});
+webhooks.start(Number(process.env.TLSN_WEBHOOK_POLL_INTERVAL_MS || 1000));
+const openApiDocument = buildOpenApiDocument({ version: SERVICE_VERSION, providers: providers.list() });
 
-function isBrowserCaptureAttestation(attestation) {
+function isBrowserCaptureAttestation(attestation, provider) {
   const view = asRecord(attestation);
-  return view.kind === "wise_browser_capture_v1";
+  return Boolean(provider.browserCaptureKind) && view.kind === provider.browserCaptureKind;
 }
 
 function sendJson(res, status, payload) {
   const body = JSON.stringify(payload);
+  if (status >= 400) responseErrors.set(res, payload);
   res.statusCode = status;
   res.setHeader("content-type", "application/json; charset=utf-8");
   res.setHeader("cache-control", "no-store");
   res.end(body);
 }
 
-function setCorsHeaders(res) {
-  res.setHeader("access-control-allow-origin", CORS_ALLOW_ORIGIN);
+function setCorsHeaders(res, allowOrigin = CORS_ALLOW_ORIGIN) {
+  res.setHeader("access-control-allow-origin", allowOrigin);
   res.setHeader("access-control-allow-methods", "GET,POST,OPTIONS");
   res.setHeader("access-control-allow-headers", "content-type,authorization");
+  res.setHeader(
+    "access-control-expose-headers",
+    "retry-after,x-ratelimit-limit,x-ratelimit-remaining,x-ratelimit-reset,x-request-id"
+  );
+  if (allowOrigin !== "*") res.setHeader("vary", "origin");
+}
+
+function authenticateRequest(req, res, { cost = 1 } = {}) {
+  if (!apiKeys.enabled) return { ok: true, keyId: null };
+
+  const key = apiKeys.authenticate(extractBearerToken(req.headers.authorization));
+  if (!key) {
+    res.setHeader("www-authenticate", "Bearer");
+    return { ok: false, status: 401, json: errorBody("API_KEY_INVALID") };
+  }
+
+  const origin = req.headers.origin;
+  if (origin && key.origins.length > 0) {
+    if (!key.origins.includes(origin)) {
+      return {
+        ok: false,
+        status: 403,
+        keyId: key.id,
+        json: errorBody("ORIGIN_NOT_ALLOWED", {
+          details: [errorDetail("ORIGIN_NOT_ALLOWED", "/headers/origin", `origin=${origin}, keyId=${key.id}`)]
+        })
+      };
+    }
+    setCorsHeaders(res, origin);
+  }
+
+  return chargeRateLimit(res, key, cost);
+}
+
+function chargeRateLimit(res, key, cost) {
+  const limit = rateLimiter.take(key.id, key.rateLimit, cost);
+  res.setHeader("x-ratelimit-limit", String(limit.limit));
+  res.setHeader("x-ratelimit-remaining", String(limit.remaining));
+  res.setHeader("x-ratelimit-reset", String(limit.resetSeconds));
+  if (!limit.ok) {
+    res.setHeader("retry-after", String(limit.retryAfterSeconds));
+    const message =
+      cost > limit.limit
+        ? `keyId=${key.id}, cost=${cost} exceeds burst=${limit.limit}`
+        : `keyId=${key.id}, cost=${cost}, retryAfterSeconds=${limit.retryAfterSeconds}`;
+    return {
+      ok: false,
+      status: 429,
+      keyId: key.id,
+      json: errorBody("RATE_LIMITED", { details: [errorDetail("RATE_LIMITED", "/headers/authorization", message)] })
+    };
+  }
+  return { ok: true, keyId: key.id };
+}
+
+function verifyResult(status, json, headers) {
+  return headers ? { status, json, headers } : { status, json };
 }
 
-function readJsonBody(req) {
+function readJsonBody(req, maxBytes = MAX_BODY_BYTES) {
   return new Promise((resolve, reject) => {
     let size = 0;
     let body = "";
     req.on("data", (chunk) => {
+      if (size > maxBytes) return;
       size += chunk.length;
-      if (size > MAX_BODY_BYTES) {
-        reject(new Error("payload too large"));
-        req.destroy();
+      if (size > maxBytes) {
+        reject(codedError("BODY_TOO_LARGE", `payload too large: limit=${maxBytes}`));
         return;
       }
       body += chunk;
     });
     req.on("end", () => {
+      if (size > maxBytes) return;
       if (!body.trim()) {
         resolve({});
         return;
       }
       try {
         resolve(JSON.parse(body));
-      } catch {
-        reject(new Error("invalid json body"));
+      } catch (error) {
+        reject(codedError("BODY_INVALID_JSON", `invalid json body: ${error.message}`));
       }
     });
     req.on("error", reject);
   });
 }
 
-function normalizeAndValidate(raw, payload, availableKeys) {
-  const normalized = normalizeVerifierData(raw);
-  const missing = [];
-  if (!normalized.amount) missing.push("amount missing");
-  if (!normalized.timestamp) missing.push("timestamp missing");
-  if (!normalized.payerRef) missing.push("payerRef missing");
-  if (!normalized.transferId) missing.push("transferId missing");
-  if (!normalized.sourceHost) missing.push("sourceHost missing");
-  if (missing.length > 0) {
-    return {
-      ok: false,
-      status: 400,
-      json: {
-        error: "verifier output missing required Wise fields",
-        details: missing,
-        availableKeys
-      }
-    };
+async function claimSpent({ proofId, providerId, normalized, presentationHex, receiptHash, keyId }) {
+  const keys = buildSpentKeys({
+    providerId,
+    transferId: normalized.transferId,
+    presentationHex
+  });
+  const claim = await spentStore.claim(keys, { proofId, receiptHash, keyId });
+  if (claim.ok) return { ok: true, record: claim.record };
+
+  const originalProofId = claim.existing.proofId ?? null;
+  const firstUsedAt = claim.existing.usedAt;
+  const presentationReplay = claim.key.startsWith("presentation:");
+  const code = presentationReplay ? "ATTESTATION_ALREADY_VERIFIED" : "TRANSFER_ALREADY_CLAIMED";
+  return {
+    ok: false,
+    status: 409,
+    json: errorBody(code, {
+      details: [
+        errorDetail(
+          code,
+          presentationReplay ? "/attestation" : "/normalized/transferId",
+          `originalProofId=${originalProofId ?? ""}, firstUsedAt=${firstUsedAt}`
+        )
+      ],
+      originalProofId,
+      firstUsedAt
+    })
+  };
+}
+
+function notaryKeyPath(source) {
+  if (source === "attestation") return "/attestation/notaryPublicKeyPem";
+  if (source === "env") return null;
+  return "/attestation/meta/notaryUrl";
+}
+
+async function resolveNotaryPublicKey(attestation) {
+  const notaryUrl = extractNotaryUrl(attestation);
+  const embedded = extractNotaryPublicKeyPem(attestation);
+  if (embedded) return { publicKeyPem: embedded, url: notaryUrl, source: "attestation" };
+  if (ENV_NOTARY_PUBLIC_KEY_PEM) return { publicKeyPem: ENV_NOTARY_PUBLIC_KEY_PEM, url: notaryUrl, source: "env" };
+  if (!notaryUrl) return undefined;
+
+  const pinned = notaryTrustStore.findByUrl(notaryUrl);
+  if (pinned) {
+    notaryKeyLookups.inc({ result: "pinned" });
+    return { publicKeyPem: pinned.publicKeyPem, url: notaryUrl, source: "trust-store" };
   }
 
-  if (!hostMatchesAllowedSuffix(normalized.sourceHost, ALLOWED_HOST_SUFFIXES)) {
-    return {
-      ok: false,
-      status: 400,
-      json: {
-        error: "sourceHost is not an allowed Wise domain",
-        details: [`sourceHost=${normalized.sourceHost}`, `allowed=${ALLOWED_HOST_SUFFIXES.join(",")}`],
-        availableKeys
-      }
-    };
+  const cached = notaryKeyCache.get(notaryUrl);
+  notaryKeyLookups.inc({ result: cached ? "hit" : "miss" });
+  if (cached) return { publicKeyPem: cached, url: notaryUrl, source: "notary-info" };
+
+  let key;
+  try {
+    key = await notaryFetcher.fetchPublicKey(notaryUrl);
+  } catch (error) {
+    notaryFetchFailures.inc({ code: error?.code ?? "UNKNOWN" });
+    logger.warn("notary fetch failed", { notaryUrl, code: error?.code ?? null, error: String(error?.message || error) });
+    throw error;
   }
+  notaryKeyCache.set(notaryUrl, key);
+  return { publicKeyPem: key, url: notaryUrl, source: "notary-info" };
+}
 
-  const expectedErrors = validateExpected(payload.expected, normalized);
-  if (expectedErrors.length > 0) {
+function authorizeAdmin(req) {
+  if (!ADMIN_TOKEN) {
+    return { ok: false, code: "ADMIN_DISABLED" };
+  }
+  const token = extractBearerToken(req.headers.authorization);
+  if (!token || !safeEqualText(token, ADMIN_TOKEN)) {
+    return { ok: false, code: "ADMIN_TOKEN_INVALID" };
+  }
+  return { ok: true };
+}
+
+async function handleAdminWebhooks(req, res, url) {
+  const auth = authorizeAdmin(req);
+  if (!auth.ok) {
+    return sendJson(res, errorStatus(auth.code), errorBody(auth.code));
+  }
+  if (req.method === "GET" && url.pathname === "/admin/webhooks/dead-letters") {
+    return sendJson(res, 200, { events: webhooks.deadLetters(), pending: webhooks.pending().length });
+  }
+  return sendJson(res, 404, errorBody("NOT_FOUND"));
+}
+
+function parseAuditTime(value, name) {
+  if (value === null || value === "") return { ok: true, value: undefined };
+  const millis = /^[0-9]+$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+  if (!Number.isFinite(millis)) {
     return {
       ok: false,
-      status: 400,
-      json: {
-        error: "expected constraints mismatch",
-        details: expectedErrors,
-        availableKeys
-      }
+      detail: errorDetail(SCHEMA_ERROR_CODES.format, `/query/${name}`, `${name} must be unix seconds or an ISO date`)
     };
   }
-
-  return { ok: true, normalized };
+  return { ok: true, value: new Date(millis).toISOString() };
 }
 
-function findMatchingRecentTransfer(recentTransfers, selectedTransfer) {
-  if (!selectedTransfer || typeof selectedTransfer !== "object") return null;
-  const sel = asRecord(selectedTransfer);
-  const transferId = String(sel.transferId || "").trim();
-  const amount = String(sel.amount || "").trim();
-  const payerRef = String(sel.payerRef || "").trim();
-  const timestamp = toUnixSeconds(sel.timestamp);
-
-  for (const item of recentTransfers) {
-    const row = asRecord(item);
-    const rowTransferId = String(row.transferId || "").trim();
-    if (transferId && rowTransferId && transferId === rowTransferId) return row;
+async function handleAdminAudit(req, res, url) {
+  const auth = authorizeAdmin(req);
+  if (!auth.ok) {
+    return sendJson(res, errorStatus(auth.code), errorBody(auth.code));
+  }
+  if (req.method === "GET" && url.pathname === "/admin/audit") {
+    const proofId = url.searchParams.get("proofId");
+    const receiptHash = url.searchParams.get("receiptHash");
+    if (!proofId && !receiptHash) {
+      return sendJson(
+        res,
+        400,
+        errorBody("REQUEST_INVALID", {
+          error: "invalid audit query",
+          details: [errorDetail(SCHEMA_ERROR_CODES.required, "/query/proofId", "proofId or receiptHash is required")]
+        })
+      );
+    }
+    const entries = proofId ? auditLog.findByProofId(proofId) : auditLog.findByReceiptHash(receiptHash);
+    const matches = (entry) => !receiptHash || String(entry.receiptHash).toLowerCase() === receiptHash.toLowerCase();
+    return sendJson(res, 200, { entries: entries.filter(matches) });
+  }
+  if (req.method === "GET" && url.pathname === "/admin/audit/export") {
+    const from = parseAuditTime(url.searchParams.get("from"), "from");
+    const to = parseAuditTime(url.searchParams.get("to"), "to");
+    const invalid = [from, to].filter((item) => !item.ok).map((item) => item.detail);
+    if (invalid.length > 0) {
+      return sendJson(res, 400, errorBody("REQUEST_INVALID", { error: "invalid audit query", details: invalid }));
+    }
+    const entries = auditLog.range({ from: from.value, to: to.value });
+    res.statusCode = 200;
+    res.setHeader("content-type", "application/x-ndjson; charset=utf-8");
+    res.setHeader("cache-control", "no-store");
+    return res.end(entries.map((entry) => `${JSON.stringify(entry)}\n`).join(""));
+  }
+  if (req.method === "GET" && url.pathname === "/admin/audit/verify") {
+    return sendJson(res, 200, await auditLog.verify());
   }
+  return sendJson(res, 404, errorBody("NOT_FOUND"));
+}
 
-  for (const item of recentTransfers) {
-    const row = asRecord(item);
-    const sameAmount = amount && String(row.amount || "").trim() === amount;
-    const samePayer = payerRef && String(row.payerRef || "").trim() === payerRef;
-    const rowTs = toUnixSeconds(row.timestamp);
-    const sameTs = Number.isFinite(timestamp) && Number.isFinite(rowTs) ? Math.abs(rowTs - timestamp) <= 60 : false;
-    if (sameAmount && (samePayer || sameTs)) return row;
+async function handleAdminNotaries(req, res, url) {
+  const auth = authorizeAdmin(req);
+  if (!auth.ok) {
+    return sendJson(res, errorStatus(auth.code), errorBody(auth.code));
   }
 
-  return null;
+  if (req.method === "GET" && url.pathname === "/admin/notaries") {
+    return sendJson(res, 200, { notaries: notaryTrustStore.list() });
+  }
+  if (req.method === "POST" && url.pathname === "/admin/notaries") {
+    const payload = await readJsonBody(req);
+    const invalid = validateSchema(TRUSTED_NOTARY_SCHEMA, payload);
+    if (invalid.length > 0) {
+      return sendJson(res, 400, errorBody("REQUEST_INVALID", { details: invalid }));
+    }
+    try {
+      return sendJson(res, 201, { notary: notaryTrustStore.add(payload) });
+    } catch (error) {
+      return sendJson(
+        res,
+        400,
+        errorBody("NOTARY_ENTRY_INVALID", { details: [errorDetail("NOTARY_ENTRY_INVALID", "/", error?.message || error)] })
+      );
+    }
+  }
+  const revokeMatch = /^\/admin\/notaries\/([^/]+)\/revoke$/.exec(url.pathname);
+  if (req.method === "POST" && revokeMatch) {
+    const payload = await readJsonBody(req);
+    const invalid = validateSchema(REVOKE_NOTARY_SCHEMA, payload);
+    if (invalid.length > 0) {
+      return sendJson(res, 400, errorBody("REQUEST_INVALID", { details: invalid }));
+    }
+    const revoked = notaryTrustStore.revoke(decodeURIComponent(revokeMatch[1]), pickString(payload, ["reason"]));
+    if (!revoked) {
+      return sendJson(
+        res,
+        404,
+        errorBody("NOTARY_FINGERPRINT_UNKNOWN", {
+          details: [errorDetail("NOTARY_FINGERPRINT_UNKNOWN", "/params/fingerprint", `fingerprint=${revokeMatch[1]}`)]
+        })
+      );
+    }
+    return sendJson(res, 200, { notary: revoked });
+  }
+  return sendJson(res, 404, errorBody("NOT_FOUND"));
 }
 
-async function resolveNotaryPublicKeyPem(attestation) {
-  const direct = extractNotaryPublicKeyPem(attestation, process.env.TLSN_NOTARY_PUBLIC_KEY_PEM);
-  if (direct) return direct;
-
-  const notaryUrl = extractNotaryUrl(attestation);
-  if (!notaryUrl) return undefined;
+function signatureFailure(status, json, headers) {
+  return { ok: false, result: verifyResult(status, json, headers) };
+}
 
-  if (notaryKeyCache.has(notaryUrl)) {
-    return notaryKeyCache.get(notaryUrl);
+async function verifySignature(attestation, resolveNotary = resolveNotaryPublicKey) {
+  const selected = verifierBackends.resolve(attestation);
+  if (!selected.ok) {
+    return signatureFailure(
+      400,
+      errorBody("PRESENTATION_VERSION_UNSUPPORTED", {
+        details: [errorDetail(selected.code, "/attestation", selected.message)]
+      })
+    );
   }
+  const backend = { id: selected.backend.id, version: selected.version };
 
-  const resp = await fetch(`${notaryUrl}/info`, { method: "GET" });
-  if (!resp.ok) {
-    throw new Error(`notary info fetch failed: ${resp.status}`);
+  let notaryKey;
+  try {
+    notaryKey = await resolveNotary(attestation);
+  } catch (error) {
+    return signatureFailure(
+      400,
+      errorBody("NOTARY_KEY_UNRESOLVED", {
+        details: [
+          errorDetail(
+            isErrorCode(error?.code) ? error.code : NOTARY_FETCH_ERROR_CODES.fetchFailed,
+            "/attestation/meta/notaryUrl",
+            error?.message || error
+          )
+        ]
+      })
+    );
   }
-  const info = asRecord(await resp.json().catch(() => ({})));
-  const key = extractPublicKeyFromNotaryInfo(info);
-  if (!key) {
-    throw new Error("notary info response missing public key");
+  if (!notaryKey) {
+    return signatureFailure(
+      400,
+      errorBody("NOTARY_KEY_MISSING", {
+        details: [errorDetail("NOTARY_KEY_MISSING", "/attestation/meta/notaryUrl", "no notary key or notaryUrl given")]
+      })
+    );
   }
-  notaryKeyCache.set(notaryUrl, key);
-  return key;
+  const notaryTrust = notaryTrustStore.check(notaryKey.publicKeyPem, { url: notaryKey.url });
+  if (!notaryTrust.ok) {
+    return signatureFailure(
+      400,
+      errorBody("NOTARY_KEY_UNTRUSTED", {
+        details: [
+          errorDetail(
+            notaryTrust.code,
+            notaryKeyPath(notaryKey.source),
+            `${notaryTrust.reason}, fingerprint=${notaryTrust.fingerprint}, source=${notaryKey.source}`
+          )
+        ]
+      })
+    );
+  }
+
+  let localVerification;
+  try {
+    localVerification = await verifyPresentationLocally({
+      attestation,
+      notaryPublicKeyPem: notaryKey.publicKeyPem,
+      verifyPresentation: selected.backend.verifyPresentation
+    });
+  } catch (error) {
+    if (error?.code === VERIFY_POOL_ERROR_CODES.saturated) {
+      return signatureFailure(
+        503,
+        errorBody("VERIFIER_BUSY", {
+          details: [errorDetail(error.code, null, `retryAfterSeconds=${error.retryAfterSeconds}`)]
+        }),
+        { "retry-after": String(error.retryAfterSeconds) }
+      );
+    }
+    return signatureFailure(
+      400,
+      errorBody("TLS_VERIFICATION_FAILED", {
+        details: [
+          errorDetail(
+            isErrorCode(error?.code) ? error.code : VERIFIER_BACKEND_ERROR_CODES.presentationInvalid,
+            "/attestation",
+            error?.message || error
+          )
+        ]
+      })
+    );
+  }
+
+  return { ok: true, localVerification, notaryKey, notaryTrust, backend };
 }
 
-async function handleVerifyWiseAttestation(req, res) {
-  const payload = asRecord(await readJsonBody(req));
-  if (!payload.attestation) {
-    return sendJson(res, 400, { error: "attestation is required" });
+async function verifyAttestation(
+  payload,
+  provider,
+  { headers = {}, keyId = null, resolveNotary = resolveNotaryPublicKey } = {}
+) {
+  const invalid = validateSchema(VERIFY_REQUEST_SCHEMA, payload);
+  if (invalid.length > 0) {
+    return verifyResult(400, errorBody("REQUEST_INVALID", { details: invalid }));
   }
+  const proofId = pickString(payload, ["proofId"]) ?? null;
+  const receiptHashScheme = parseReceiptHashScheme(payload.receiptHashScheme, VERIFY_POLICY.receiptHashScheme);
 
   const attestationRaw = asRecord(payload.attestation);
-  if (isBrowserCaptureAttestation(attestationRaw)) {
-    const recentCount = Math.max(1, Math.min(10, Math.trunc(Number(payload.recentCount) || 5)));
-    const recentTransfers = extractRecentTransfers(attestationRaw, "", recentCount);
-    const selectedRequested = Boolean(payload.selectedTransfer);
-    const selectedTransfer = findMatchingRecentTransfer(recentTransfers, payload.selectedTransfer);
-    if (selectedRequested && !selectedTransfer) {
-      return sendJson(res, 400, {
-        error: "selected transfer not found in recent transfers"
-      });
+  if (isBrowserCaptureAttestation(attestationRaw, provider)) {
+    const capturePolicy = evaluateCapturePolicy(CAPTURE_POLICY, {
+      origin: headers.origin,
+      keyId
+    });
+    browserCaptureRequests.inc({ provider: provider.id, outcome: capturePolicy.ok ? "allowed" : "denied" });
+    if (!capturePolicy.ok) {
+      return verifyResult(403, errorBody(capturePolicy.code));
     }
 
+    const recentTransfers = provider.parseTranscript(attestationRaw, "", recentTransferCount(payload.recentCount));
+    const provenTransfers = provider.listTransfers(attestationRaw, "");
+    const queried = queryTransfers(payload.query, provenTransfers, sha256Hex(canonicalizeJson(attestationRaw)));
+    if (!queried.ok) return verifyResult(400, queried.json);
+    const selectedRequested = Boolean(payload.selectedTransfer);
+    const selection = selectTransfer(
+      queried.candidates ?? recentTransfers,
+      payload.selectedTransfer,
+      matchPolicyFor(VERIFY_POLICY.match, payload.requireTransferDetails)
+    );
+    if (!selection.ok) return verifyResult(400, selection.json);
+    const selectedTransfer = selection.row;
+
     if (!selectedRequested) {
-      return sendJson(res, 200, {
-        verified: true,
+      return verifyResult(200, {
+        verified: false,
+        previewOnly: true,
+        provider: provider.id,
         recentTransfers,
+        provenTransferCount: provenTransfers.length,
+        ...(queried.report ? { transferQuery: queried.report } : {}),
         verifier: {
           status: "ok-browser-capture-preview",
           tlsVerified: false,
@@ -223,184 +662,513 @@ async function handleVerifyWiseAttestation(req, res) {
       toUnixSeconds(attestationRaw.timestamp) ??
       toUnixSeconds(asRecord(payload.expected).timestamp) ??
       toUnixSeconds(attestationRaw.capturedAt);
+    const amount = String(fallbackRow.amount ?? selectedRow.amount ?? attestationRaw.amount ?? "").trim();
+    const currency = String(fallbackRow.currency || selectedRow.currency || attestationRaw.currency || "").trim();
     const normalized = {
-      amount: String(fallbackRow.amount ?? selectedRow.amount ?? attestationRaw.amount ?? "").trim(),
+      amount,
       timestamp: timestamp ?? 0,
       payerRef: String(fallbackRow.payerRef ?? selectedRow.payerRef ?? attestationRaw.payerRef ?? "").trim(),
       transferId: String(fallbackRow.transferId ?? selectedRow.transferId ?? attestationRaw.transferId ?? "").trim(),
-      sourceHost: String(attestationRaw.sourceHost ?? "wise.com").trim().toLowerCase()
+      sourceHost: String(attestationRaw.sourceHost ?? provider.allowedHostSuffixes[0]).trim().toLowerCase(),
+      currency,
+      parsedAmount: tryParseAmount(amount, { currency }),
+      status: String(fallbackRow.status || selectedRow.status || attestationRaw.status || "").trim(),
+      recipientRef: String(fallbackRow.recipientRef || selectedRow.recipientRef || attestationRaw.recipientRef || "").trim()
     };
     const availableKeys = Object.keys({
       ...attestationRaw,
       ...fallbackRow
     });
-    const details = [];
-    if (!normalized.amount) details.push("amount missing");
-    if (!Number.isFinite(normalized.timestamp) || normalized.timestamp <= 0) details.push("timestamp missing");
-    if (!normalized.transferId) details.push("transferId missing");
-    if (!normalized.sourceHost) details.push("sourceHost missing");
+    const isMissing = (field) =>
+      field === "timestamp"
+        ? !Number.isFinite(normalized.timestamp) || normalized.timestamp <= 0
+        : !normalized[field];
+    const details = missingFieldDetails(
+      provider.requiredFields.filter((field) => field !== "payerRef" && isMissing(field))
+    );
     if (details.length > 0) {
-      return sendJson(res, 400, {
-        error: "browser capture output missing required fields",
-        details,
-        availableKeys
-      });
+      return verifyResult(400, errorBody("CAPTURE_FIELDS_MISSING", { details, availableKeys }));
     }
-    if (!hostMatchesAllowedSuffix(normalized.sourceHost, ALLOWED_HOST_SUFFIXES)) {
-      return sendJson(res, 400, {
-        error: "sourceHost is not an allowed Wise domain",
-        details: [`sourceHost=${normalized.sourceHost}`, `allowed=${ALLOWED_HOST_SUFFIXES.join(",")}`],
-        availableKeys
-      });
+    if (!hostMatchesAllowedSuffix(normalized.sourceHost, provider.allowedHostSuffixes)) {
+      return verifyResult(400, hostNotAllowedBody(normalized, provider, availableKeys));
     }
 
-    const expectedErrors = validateExpected(payload.expected, normalized);
-    if (expectedErrors.length > 0) {
-      return sendJson(res, 400, {
-        error: "expected constraints mismatch",
-        details: expectedErrors,
-        availableKeys
-      });
+    const constraints = evaluateExpected(payload.expected, normalized, VERIFY_POLICY.expected);
+    if (constraints.some((result) => !result.ok)) {
+      return verifyResult(400, constraintsMismatchBody(constraints, availableKeys));
     }
 
-    const wiseReceiptHash = buildWiseReceiptHash(normalized, payload.attestation);
+    const preview = receiptHashFor(
+      {
+        scheme: receiptHashScheme,
+        normalized,
+        domainTag: browserCaptureDomainTag(provider.receiptDomainTag),
+        attestation: payload.attestation
+      },
+      availableKeys
+    );
+    if (!preview.ok) return verifyResult(400, preview.json);
 
-    return sendJson(res, 200, {
-      verified: true,
-      wiseReceiptHash,
+    return verifyResult(200, {
+      verified: false,
+      previewOnly: true,
+      provider: provider.id,
+      proofId,
+      keyId,
+      previewReceiptHash: preview.receiptHash,
+      receiptHashScheme,
       normalized: {
         amount: normalized.amount,
         timestamp: Math.trunc(normalized.timestamp),
         payerRef: normalized.payerRef,
         transferId: normalized.transferId,
-        sourceHost: normalized.sourceHost
+        sourceHost: normalized.sourceHost,
+        currency: normalized.currency ?? "",
+        parsedAmount: normalized.parsedAmount ?? null,
+        status: normalized.status ?? "",
+        recipientRef: normalized.recipientRef ?? ""
       },
       recentTransfers,
+      provenTransferCount: provenTransfers.length,
+      ...(queried.report ? { transferQuery: queried.report } : {}),
       verifier: {
         status: "ok-browser-capture",
         availableKeys,
         tlsVerified: false,
         selectedMatched: Boolean(selectedTransfer),
+        match: selection.match,
+        constraints,
         warning: "browser capture mode: TLS cryptographic verification is bypassed"
       }
     });
   }
 
-  let notaryPublicKeyPem;
-  try {
-    notaryPublicKeyPem = await resolveNotaryPublicKeyPem(payload.attestation);
-  } catch (error) {
-    return sendJson(res, 400, {
-      error: "failed to resolve notary public key",
-      details: [String(error?.message || error)]
-    });
-  }
-  if (!notaryPublicKeyPem) {
-    return sendJson(res, 400, {
-      error:
-        "missing notary key; include attestation.notaryUrl or set TLSN_NOTARY_PUBLIC_KEY_PEM"
-    });
-  }
-
-  let localVerification;
-  try {
-    localVerification = await verifyPresentationLocally({
-      attestation: payload.attestation,
-      notaryPublicKeyPem,
-      verifyPresentation
-    });
-  } catch (error) {
-    return sendJson(res, 400, {
-      error: "local tlsn verification failed",
-      details: [String(error?.message || error)]
-    });
-  }
+  const signature = await verifySignature(payload.attestation, resolveNotary);
+  if (!signature.ok) return signature.result;
+  const { localVerification, notaryKey, notaryTrust, backend } = signature;
 
-  const recentCount = Math.max(1, Math.min(10, Math.trunc(Number(payload.recentCount) || 5)));
-  const recentTransfers = extractRecentTransfers(attestationRaw, localVerification.recv, recentCount);
-  const selectedTransfer = findMatchingRecentTransfer(recentTransfers, payload.selectedTransfer);
-  if (payload.selectedTransfer && !selectedTransfer) {
-    return sendJson(res, 400, {
-      error: "selected transfer not found in recent transfers"
-    });
+  const pipeline = runVerifyPipeline({
+    provider,
+    attestation: payload.attestation,
+    localVerification,
+    request: { ...payload, receiptHashScheme },
+    policy: VERIFY_POLICY
+  });
+  if (!pipeline.ok) return verifyResult(pipeline.status, pipeline.json);
+  const { report } = pipeline;
+  const { normalized, receiptHash, availableKeys } = report;
+  if (resultSigner) {
+    try {
+      signableAmount(normalized);
+    } catch (error) {
+      return verifyResult(
+        400,
+        errorBody("AMOUNT_UNSIGNABLE", {
+          details: [errorDetail("AMOUNT_UNSIGNABLE", "/normalized/amount", error?.message || error)],
+          availableKeys
+        })
+      );
+    }
   }
-
-  const baseSourceHost = localVerification.serverName ?? attestationRaw.sourceHost ?? attestationRaw.host;
-  const baseTimestamp = localVerification.timestamp ?? attestationRaw.timestamp;
-
-  const raw = {
-    ...attestationRaw,
-    ...(selectedTransfer
-      ? {
-          amount: selectedTransfer.amount ?? attestationRaw.amount,
-          timestamp: selectedTransfer.timestamp ?? baseTimestamp,
-          payerRef: selectedTransfer.payerRef ?? attestationRaw.payerRef,
-          transferId: selectedTransfer.transferId ?? attestationRaw.transferId
-        }
-      : {}),
-    sourceHost: baseSourceHost,
-    timestamp: selectedTransfer?.timestamp ?? baseTimestamp,
-    verified: true,
-    sent: localVerification.sent,
-    recv: localVerification.recv
-  };
-  const availableKeys = Object.keys(raw);
-
-  const normalizedCheck = normalizeAndValidate(raw, payload, availableKeys);
-  if (!normalizedCheck.ok) {
-    return sendJson(res, normalizedCheck.status, normalizedCheck.json);
+  const signedResult = resultSigner?.signResult({ normalized, receiptHash, proofId, keyId });
+  const spent = await claimSpent({
+    proofId,
+    providerId: provider.id,
+    normalized,
+    presentationHex: localVerification.presentationHex,
+    receiptHash,
+    keyId
+  });
+  if (!spent.ok) {
+    return verifyResult(spent.status, spent.json);
   }
 
-  const normalized = normalizedCheck.normalized;
-  const wiseReceiptHash =
-    typeof raw.wiseReceiptHash === "string" && raw.wiseReceiptHash.startsWith("0x")
-      ? raw.wiseReceiptHash
-      : buildWiseReceiptHash(normalized, payload.attestation);
-
-  return sendJson(res, 200, {
+  return verifyResult(200, {
     verified: true,
-    wiseReceiptHash,
+    provider: provider.id,
+    proofId,
+    keyId,
+    [provider.receiptHashField]: receiptHash,
+    receiptHashScheme,
     normalized: {
       amount: normalized.amount,
       timestamp: Math.trunc(normalized.timestamp),
       payerRef: normalized.payerRef,
       transferId: normalized.transferId,
-      sourceHost: normalized.sourceHost
+      sourceHost: normalized.sourceHost,
+      currency: normalized.currency ?? "",
+      parsedAmount: normalized.parsedAmount ?? null,
+      status: normalized.status ?? "",
+      recipientRef: normalized.recipientRef ?? ""
     },
-    recentTransfers,
+    recentTransfers: report.recentTransfers,
+    provenTransferCount: report.provenTransferCount,
+    ...(report.transferQuery ? { transferQuery: report.transferQuery } : {}),
     verifier: {
       status: "ok-local",
       availableKeys,
       serverName: localVerification.serverName ?? null,
-      selectedMatched: Boolean(selectedTransfer)
+      requests: report.requests,
+      selectedMatched: report.selectedMatched,
+      match: report.match,
+      constraints: report.constraints,
+      freshness: report.freshness,
+      backend,
+      notary: {
+        fingerprint: notaryTrust.fingerprint,
+        label: notaryTrust.entry.label,
+        url: notaryTrust.entry.url ?? notaryKey.url ?? null,
+        source: notaryKey.source
+      }
+    },
+    ...(signedResult ? { signedResult } : {})
+  });
+}
+
+function statusOutcome(status) {
+  if (status >= 500) return "server_error";
+  if (status >= 400) return "client_error";
+  return "success";
+}
+
+function resolveCallback(payload, keyId) {
+  const keyWebhook = keyId ? apiKeys.get(keyId)?.webhook : null;
+  if (typeof payload.callbackUrl !== "string") return { ok: true, url: keyWebhook?.url ?? null };
+
+  const check = checkCallbackUrl(payload.callbackUrl, {
+    allowedHosts: WEBHOOK_CALLBACK_HOSTS,
+    allowHttp: WEBHOOK_ALLOW_HTTP,
+    allowPrivateAddresses: WEBHOOK_ALLOW_PRIVATE_ADDRESSES
+  });
+  const details = check.ok
+    ? keyWebhook?.secret || WEBHOOK_SECRET
+      ? []
+      : [
+          errorDetail(CALLBACK_ERROR_CODES.secretMissing, "/callbackUrl", "no webhook secret is configured to sign callbacks")
+        ]
+    : [errorDetail(check.code, "/callbackUrl", check.message)];
+  if (details.length > 0) {
+    return { ok: false, result: verifyResult(400, errorBody("CALLBACK_NOT_ALLOWED", { details })) };
+  }
+  return { ok: true, url: check.url };
+}
+
+function enqueueWebhook(url, result, { provider, payload, keyId, requestId }) {
+  const json = result.json ?? {};
+  const event = webhooks.enqueue({
+    url,
+    keyId,
+    type: json.verified ? "verification.succeeded" : "verification.failed",
+    data: {
+      provider: provider.id,
+      proofId: pickString(payload, ["proofId"]) ?? null,
+      requestId,
+      status: result.status,
+      verified: json.verified === true,
+      receiptHash: json[provider.receiptHashField] ?? null,
+      receiptHashScheme: json.receiptHashScheme ?? null,
+      normalized: json.normalized ?? null,
+      result: json
     }
   });
+  return { ...result, json: { ...json, webhookEventId: event.id } };
+}
+
+async function runVerification(payload, provider, { requestId, keyId, index, headers, resolveNotary }) {
+  const startedAt = process.hrtime.bigint();
+  const callback = resolveCallback(payload, keyId);
+  let result = callback.ok
+    ? await verifyAttestation(payload, provider, { headers, keyId, resolveNotary })
+    : callback.result;
+  if (callback.ok && callback.url && !result.json?.previewOnly) {
+    result = enqueueWebhook(callback.url, result, { provider, payload, keyId, requestId });
+  }
+  const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+  const json = result.json ?? {};
+  const outcome = json.verified ? "verified" : json.previewOnly ? "preview" : statusOutcome(result.status);
+  verificationDuration.observe({ provider: provider.id, outcome }, seconds);
+  logger.info("verification", {
+    requestId,
+    keyId,
+    index,
+    provider: provider.id,
+    proofId: pickString(payload, ["proofId"]) ?? null,
+    status: result.status,
+    outcome,
+    verifierStatus: json.verifier?.status ?? null,
+    errorCategory: result.status >= 400 ? errorCategory(json.code, result.status) : null,
+    error: json.error,
+    code: json.code,
+    notaryUrl: extractNotaryUrl(payload.attestation) ?? null,
+    notaryFingerprint: json.verifier?.notary?.fingerprint,
+    transferId: json.normalized?.transferId,
+    payerRef: json.normalized?.payerRef ? maskValue(json.normalized.payerRef) : undefined,
+    latencyMs: Math.round(seconds * 1000)
+  });
+  auditLog.append({
+    requestId,
+    proofId: pickString(payload, ["proofId"]) ?? null,
+    keyId,
+    provider: provider.id,
+    status: result.status,
+    outcome,
+    codes: [...new Set([json.code, ...(json.details ?? []).map((detail) => detail.code)].filter(Boolean))],
+    receiptHash: json[provider.receiptHashField] ?? json.previewReceiptHash ?? null,
+    receiptHashScheme: json.receiptHashScheme ?? null,
+    normalized: json.normalized ?? null,
+    presentationDigest: presentationDigest(payload.attestation)
+  });
+  return result;
+}
+
+function presentationDigest(attestation) {
+  const hex = extractPresentationHex(attestation);
+  return hex ? sha256Hex(Buffer.from(hex, "hex")) : null;
+}
+
+async function handleVerifyAttestation(req, res, provider, context) {
+  const payload = asRecord(await readJsonBody(req));
+  const result = await runVerification(payload, provider, { ...context, headers: req.headers });
+  for (const [name, value] of Object.entries(result.headers ?? {})) {
+    res.setHeader(name, value);
+  }
+  return sendJson(res, result.status, result.json);
+}
+
+async function handleInspect(req, res) {
+  const payload = await readJsonBody(req);
+  const invalid = validateSchema(INSPECT_REQUEST_SCHEMA, payload);
+  if (invalid.length > 0) {
+    return sendJson(res, 400, errorBody("REQUEST_INVALID", { details: invalid }));
+  }
+
+  const signature = await verifySignature(payload.attestation);
+  if (!signature.ok) {
+    for (const [name, value] of Object.entries(signature.result.headers ?? {})) {
+      res.setHeader(name, value);
+    }
+    return sendJson(res, signature.result.status, signature.result.json);
+  }
+
+  const { localVerification, notaryKey, notaryTrust, backend } = signature;
+  const proven = extractProvenTransfers(payload.attestation, localVerification.recv);
+  const queried = queryTransfers(payload.query, proven.transfers, sha256Hex(localVerification.presentationHex));
+  if (!queried.ok) return sendJson(res, 400, queried.json);
+
+  return sendJson(res, 200, {
+    verified: true,
+    serverName: localVerification.serverName ?? null,
+    notarizedAt: localVerification.timestamp ?? null,
+    backend,
+    notary: {
+      fingerprint: notaryTrust.fingerprint,
+      label: notaryTrust.entry.label,
+      url: notaryTrust.entry.url ?? notaryKey.url ?? null,
+      source: notaryKey.source
+    },
+    masked: payload.maskSecrets === true,
+    ...inspectTranscript({
+      attestation: payload.attestation,
+      sent: localVerification.sent,
+      recv: localVerification.recv,
+      maskSecrets: payload.maskSecrets === true,
+      recentCount: payload.recentCount ?? 10,
+      proven
+    }),
+    ...(queried.report ? { transferQuery: queried.report } : {})
+  });
+}
+
+function unknownProviderBody(providerId, path) {
+  return errorBody("PROVIDER_UNKNOWN", {
+    details: [
+      errorDetail(
+        "PROVIDER_UNKNOWN",
+        path,
+        `provider=${providerId}, available=${providers.list().map((entry) => entry.id).join(",")}`
+      )
+    ]
+  });
+}
+
+function verifyBatchItem(item, index, { defaultProvider, ...context }) {
+  const providerId = pickString(item, ["provider"]) ?? defaultProvider;
+  const provider = providers.get(providerId);
+  if (!provider) {
+    return { status: 404, json: unknownProviderBody(providerId, `/items/${index}/provider`) };
+  }
+  return runVerification(item, provider, { ...context, index });
+}
+
+async function handleVerifyBatch(req, res, { requestId, keyId }) {
+  const body = await readJsonBody(req, BATCH_MAX_BODY_BYTES);
+  const checked = checkBatchRequest(body, { maxItems: BATCH_MAX_ITEMS });
+  const key = keyId ? apiKeys.get(keyId) : undefined;
+  if (key) {
+    const cost = checked.ok ? Math.max(1, checked.payload.items.length) : 1;
+    const charged = chargeRateLimit(res, key, cost);
+    if (!charged.ok) return sendJson(res, charged.status, charged.json);
+  }
+  if (!checked.ok) return sendJson(res, checked.status, checked.json);
+
+  const { payload } = checked;
+  const context = {
+    headers: req.headers,
+    requestId,
+    keyId,
+    resolveNotary: createSharedNotaryResolver({
+      resolve: resolveNotaryPublicKey,
+      envPublicKeyPem: ENV_NOTARY_PUBLIC_KEY_PEM
+    }),
+    defaultProvider: pickString(payload, ["provider"]) ?? "wise"
+  };
+  const summary = await runBatch(payload.items, {
+    concurrency: BATCH_CONCURRENCY,
+    maxItemBytes: MAX_BODY_BYTES,
+    verifyItem: (item, index) => verifyBatchItem(item, index, context)
+  });
+  return sendJson(res, 200, summary);
+}
+
+function routeLabel(pathname) {
+  if (/^\/verify\/[^/]+$/.test(pathname)) return "/verify/:provider";
+  if (/^\/admin\/notaries\/[^/]+\/revoke$/.test(pathname)) return "/admin/notaries/:fingerprint/revoke";
+  const known = [
+    "/health",
+    "/metrics",
+    "/openapi.json",
+    "/signer",
+    "/providers",
+    "/inspect",
+    "/verify-batch",
+    "/verify-wise-attestation",
+    "/admin/notaries",
+    "/admin/webhooks/dead-letters",
+    "/admin/audit",
+    "/admin/audit/export",
+    "/admin/audit/verify"
+  ];
+  return known.includes(pathname) ? pathname : "other";
+}
+
+function resolveRequestId(header) {
+  const value = String(header || "").trim();
+  return /^[A-Za-z0-9._:-]{1,128}$/.test(value) ? value : crypto.randomUUID();
 }
 
 const server = http.createServer(async (req, res) => {
   setCorsHeaders(res);
   if (req.method === "OPTIONS") {
+    if (apiKeys.isKnownOrigin(req.headers.origin)) setCorsHeaders(res, req.headers.origin);
     res.statusCode = 204;
     res.end();
     return;
   }
 
   const url = new URL(req.url || "/", `http://${req.headers.host || "localhost"}`);
+  const startedAt = Date.now();
+  const route = routeLabel(url.pathname);
+  const requestId = resolveRequestId(req.headers["x-request-id"]);
+  let keyId = null;
+  res.setHeader("x-request-id", requestId);
+  res.on("finish", () => {
+    const failure = responseErrors.get(res);
+    httpRequests.inc({ route, method: req.method, status: res.statusCode, outcome: statusOutcome(res.statusCode) });
+    logger.info("request", {
+      requestId,
+      method: req.method,
+      route,
+      status: res.statusCode,
+      latencyMs: Date.now() - startedAt,
+      keyId,
+      errorCategory: res.statusCode >= 400 ? errorCategory(failure?.code, res.statusCode) : null,
+      error: failure?.error,
+      code: failure?.code
+    });
+  });
 
   try {
+    if (req.method === "POST" && /^\/(?:inspect|verify(?:-batch|-wise-attestation|\/[^/]+))$/.test(url.pathname)) {
+      const auth = authenticateRequest(req, res, { cost: url.pathname === "/verify-batch" ? 0 : 1 });
+      keyId = auth.keyId ?? null;
+      if (!auth.ok) {
+        return sendJson(res, auth.status, auth.json);
+      }
+    }
     if (req.method === "GET" && url.pathname === "/health") {
-      return sendJson(res, 200, { ok: true, service: "tlsn-verifier" });
+      return sendJson(res, 200, {
+        ok: true,
+        service: "tlsn-verifier",
+        verifyPool: verifyPool?.stats() ?? null,
+        verifierBackends: verifierBackends.list()
+      });
+    }
+    if (req.method === "GET" && url.pathname === "/metrics") {
+      res.statusCode = 200;
+      res.setHeader("content-type", "text/plain; version=0.0.4; charset=utf-8");
+      res.setHeader("cache-control", "no-store");
+      return res.end(metrics.render());
+    }
+    if (req.method === "GET" && url.pathname === "/openapi.json") {
+      return sendJson(res, 200, openApiDocument);
+    }
+    if (req.method === "GET" && url.pathname === "/signer") {
+      if (!resultSigner) {
+        return sendJson(res, 404, errorBody("SIGNER_NOT_CONFIGURED"));
+      }
+      return sendJson(res, 200, resultSigner.describe());
+    }
+    if (req.method === "GET" && url.pathname === "/providers") {
+      return sendJson(res, 200, {
+        providers: providers.list().map((provider) => ({
+          id: provider.id,
+          label: provider.label,
+          allowedHostSuffixes: provider.allowedHostSuffixes,
+          requiredFields: provider.requiredFields,
+          receiptHashField: provider.receiptHashField
+        }))
+      });
+    }
+    if (url.pathname === "/admin/notaries" || url.pathname.startsWith("/admin/notaries/")) {
+      return await handleAdminNotaries(req, res, url);
+    }
+    if (url.pathname === "/admin/audit" || url.pathname.startsWith("/admin/audit/")) {
+      return await handleAdminAudit(req, res, url);
+    }
+    if (url.pathname.startsWith("/admin/webhooks/")) {
+      return await handleAdminWebhooks(req, res, url);
+    }
+    if (req.method === "POST" && url.pathname === "/inspect") {
+      return await handleInspect(req, res);
+    }
+    if (req.method === "POST" && url.pathname === "/verify-batch") {
+      return await handleVerifyBatch(req, res, { requestId, keyId });
     }
     if (req.method === "POST" && url.pathname === "/verify-wise-attestation") {
-      return await handleVerifyWiseAttestation(req, res);
+      return await handleVerifyAttestation(req, res, providers.get("wise"), { requestId, keyId });
     }
-    return sendJson(res, 404, { error: "not found" });
+    const verifyMatch = /^\/verify\/([^/]+)$/.exec(url.pathname);
+    if (req.method === "POST" && verifyMatch) {
+      const provider = providers.get(verifyMatch[1]);
+      if (!provider) {
+        return sendJson(res, 404, unknownProviderBody(verifyMatch[1], "/params/provider"));
+      }
+      return await handleVerifyAttestation(req, res, provider, { requestId, keyId });
+    }
+    return sendJson(res, 404, errorBody("NOT_FOUND"));
   } catch (error) {
-    return sendJson(res, 500, { error: "internal error", detail: String(error?.message || error) });
+    if (ERROR_CODES[error?.code]?.status < 500) {
+      return sendJson(res, errorStatus(error.code), errorBody(error.code, { details: [errorDetail(error.code, "/", error.message)] }));
+    }
+    logger.error("unhandled error", { requestId, route, error: String(error?.stack || error) });
+    return sendJson(
+      res,
+      500,
+      errorBody("INTERNAL_ERROR", { details: [errorDetail("INTERNAL_ERROR", null, error?.message || error)] })
+    );
   }
 });
 
 server.listen(PORT, () => {
-  // eslint-disable-next-line no-console
-  console.log(`[tlsn-verifier] listening on :${PORT}`);
+  logger.info("listening", { port: PORT });
 });
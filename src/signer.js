@@ -0,0 +1,257 @@
+import crypto from "node:crypto";
+import { secp256k1 } from "@noble/curves/secp256k1.js";
+import { keccak_256 } from "@noble/hashes/sha3.js";
+import { parseAmount } from "./amount.js";
+import { normalizeHexString } from "./lib.js";
+
+export const RESULT_SIGNATURE_TYPES = {
+  EIP712Domain: [
+    { name: "name", type: "string" },
+    { name: "version", type: "string" },
+    { name: "chainId", type: "uint256" },
+    { name: "verifyingContract", type: "address" }
+  ],
+  VerifiedTransfer: [
+    { name: "amount", type: "uint256" },
+    { name: "amountExponent", type: "uint8" },
+    { name: "currency", type: "string" },
+    { name: "timestamp", type: "uint64" },
+    { name: "payerRef", type: "string" },
+    { name: "transferId", type: "string" },
+    { name: "sourceHost", type: "string" },
+    { name: "receiptHash", type: "bytes32" },
+    { name: "proofId", type: "string" },
+    { name: "keyId", type: "string" },
+    { name: "expiresAt", type: "uint64" }
+  ]
+};
+
+const PRIMARY_TYPE = "VerifiedTransfer";
+
+export function keccak(bytes) {
+  return Buffer.from(keccak_256(bytes));
+}
+
+function encodeType(primaryType, types) {
+  const fields = types[primaryType].map((field) => `${field.type} ${field.name}`).join(",");
+  return `${primaryType}(${fields})`;
+}
+
+export function encodeWord(type, value) {
+  if (type === "string") {
+    return keccak(Buffer.from(String(value ?? ""), "utf8"));
+  }
+  if (type === "bytes32") {
+    const hex = normalizeHexString(value);
+    if (!hex || hex.length !== 64) throw new Error(`invalid bytes32 value: ${value}`);
+    return Buffer.from(hex, "hex");
+  }
+  if (type === "address") {
+    const hex = normalizeHexString(value);
+    if (!hex || hex.length !== 40) throw new Error(`invalid address value: ${value}`);
+    return Buffer.concat([Buffer.alloc(12), Buffer.from(hex, "hex")]);
+  }
+  if (type.startsWith("uint")) {
+    const word = Buffer.alloc(32);
+    const big = BigInt(value ?? 0);
+    if (big < 0n || big >= 2n ** BigInt(Number(type.slice(4)) || 256)) throw new Error(`invalid ${type} value: ${value}`);
+    word.write(big.toString(16).padStart(64, "0"), "hex");
+    return word;
+  }
+  throw new Error(`unsupported eip712 type: ${type}`);
+}
+
+function hashStruct(primaryType, types, data) {
+  const typeHash = keccak(Buffer.from(encodeType(primaryType, types), "utf8"));
+  const words = types[primaryType].map((field) => encodeWord(field.type, data[field.name]));
+  return keccak(Buffer.concat([typeHash, ...words]));
+}
+
+function domainTypes(domain) {
+  return RESULT_SIGNATURE_TYPES.EIP712Domain.filter((field) => domain[field.name] !== undefined);
+}
+
+export function hashTypedData(domain, message) {
+  const types = { ...RESULT_SIGNATURE_TYPES, EIP712Domain: domainTypes(domain) };
+  const domainSeparator = hashStruct("EIP712Domain", types, domain);
+  const structHash = hashStruct(PRIMARY_TYPE, types, message);
+  return keccak(Buffer.concat([Buffer.from([0x19, 0x01]), domainSeparator, structHash]));
+}
+
+export function signableAmount(normalized) {
+  const amount = normalized.parsedAmount ?? parseAmount(normalized.amount, { currency: normalized.currency || undefined });
+  if (!amount || amount.minorUnits.startsWith("-")) {
+    throw new Error(`amount cannot be signed as unsigned minor units: ${normalized.amount}`);
+  }
+  return amount;
+}
+
+export function buildResultMessage({ normalized, receiptHash, proofId, keyId, expiresAt }) {
+  const amount = signableAmount(normalized);
+  return {
+    amount: amount.minorUnits,
+    amountExponent: amount.exponent,
+    currency: amount.currency,
+    timestamp: Math.trunc(Number(normalized.timestamp) || 0),
+    payerRef: String(normalized.payerRef ?? ""),
+    transferId: String(normalized.transferId ?? ""),
+    sourceHost: String(normalized.sourceHost ?? ""),
+    receiptHash: String(receiptHash ?? ""),
+    proofId: String(proofId ?? ""),
+    keyId: String(keyId ?? ""),
+    expiresAt: Math.trunc(Number(expiresAt) || 0)
+  };
+}
+
+function addressFromPublicKey(uncompressed) {
+  return `0x${keccak(uncompressed.slice(1)).subarray(12).toString("hex")}`;
+}
+
+function createEip712Signer({ privateKey, chainId, verifyingContract }) {
+  const secret = normalizeHexString(privateKey);
+  if (!secret || secret.length !== 64) {
+    throw new Error("eip712 signer requires a 32-byte hex private key");
+  }
+  const address = addressFromPublicKey(Buffer.from(secp256k1.getPublicKey(secret, false)));
+  if (chainId !== undefined && !Number.isSafeInteger(Number(chainId))) {
+    throw new Error(`invalid eip712 chainId: ${chainId}`);
+  }
+  if (verifyingContract && normalizeHexString(String(verifyingContract))?.length !== 40) {
+    throw new Error(`invalid eip712 verifyingContract address: ${verifyingContract}`);
+  }
+  const domain = {
+    name: "tlsn-verifier",
+    version: "1",
+    ...(chainId !== undefined ? { chainId: Number(chainId) } : {}),
+    ...(verifyingContract ? { verifyingContract: String(verifyingContract).toLowerCase() } : {})
+  };
+  hashStruct("EIP712Domain", { EIP712Domain: domainTypes(domain) }, domain);
+
+  return {
+    scheme: "eip712",
+    describe() {
+      return {
+        scheme: "eip712",
+        address,
+        domain,
+        primaryType: PRIMARY_TYPE,
+        types: { ...RESULT_SIGNATURE_TYPES, EIP712Domain: domainTypes(domain) }
+      };
+    },
+    sign(message) {
+      const digest = hashTypedData(domain, message);
+      const signature = secp256k1.sign(digest, secret);
+      const bytes = Buffer.concat([
+        Buffer.from(signature.toCompactRawBytes()),
+        Buffer.from([27 + signature.recovery])
+      ]);
+      return {
+        scheme: "eip712",
+        signer: address,
+        domain,
+        primaryType: PRIMARY_TYPE,
+        message,
+        digest: `0x${digest.toString("hex")}`,
+        signature: `0x${bytes.toString("hex")}`
+      };
+    }
+  };
+}
+
+function loadEd25519PrivateKey(privateKey) {
+  const text = String(privateKey || "").trim();
+  if (text.includes("BEGIN")) return crypto.createPrivateKey(text);
+  const seed = normalizeHexString(text);
+  if (!seed || seed.length !== 64) {
+    throw new Error("ed25519 signer requires a PEM or 32-byte hex seed");
+  }
+  const pkcs8Prefix = Buffer.from("302e020100300506032b657004220420", "hex");
+  return crypto.createPrivateKey({
+    key: Buffer.concat([pkcs8Prefix, Buffer.from(seed, "hex")]),
+    format: "der",
+    type: "pkcs8"
+  });
+}
+
+export function serializeEd25519Message(message) {
+  return JSON.stringify(RESULT_SIGNATURE_TYPES.VerifiedTransfer.map((field) => message[field.name]));
+}
+
+function createEd25519Signer({ privateKey }) {
+  const key = loadEd25519PrivateKey(privateKey);
+  const publicKeyObject = crypto.createPublicKey(key);
+  const publicKey = `0x${publicKeyObject.export({ format: "der", type: "spki" }).subarray(-32).toString("hex")}`;
+  const publicKeyPem = String(publicKeyObject.export({ format: "pem", type: "spki" }));
+
+  return {
+    scheme: "ed25519",
+    describe() {
+      return {
+        scheme: "ed25519",
+        publicKey,
+        publicKeyPem,
+        fields: RESULT_SIGNATURE_TYPES.VerifiedTransfer
+      };
+    },
+    sign(message) {
+      const signature = crypto.sign(null, Buffer.from(serializeEd25519Message(message), "utf8"), key);
+      return {
+        scheme: "ed25519",
+        signer: publicKey,
+        message,
+        signature: `0x${signature.toString("hex")}`
+      };
+    }
+  };
+}
+
+export function createResultSigner({ scheme, privateKey, chainId, verifyingContract, ttlSeconds = 3600 } = {}) {
+  if (!privateKey) return undefined;
+  const normalizedScheme = String(scheme || "eip712").trim().toLowerCase();
+  let signer;
+  if (normalizedScheme === "eip712") {
+    signer = createEip712Signer({ privateKey, chainId, verifyingContract });
+  } else if (normalizedScheme === "ed25519") {
+    signer = createEd25519Signer({ privateKey });
+  } else {
+    throw new Error(`unsupported signer scheme: ${normalizedScheme}`);
+  }
+
+  const ttl = Math.max(1, Math.trunc(Number(ttlSeconds) || 3600));
+  return {
+    scheme: signer.scheme,
+    describe: () => ({ ...signer.describe(), ttlSeconds: ttl }),
+    signResult({ normalized, receiptHash, proofId, keyId, now = Math.trunc(Date.now() / 1000) }) {
+      const message = buildResultMessage({ normalized, receiptHash, proofId, keyId, expiresAt: now + ttl });
+      return signer.sign(message);
+    }
+  };
+}
+
+export function recoverResultSigner(signed) {
+  if (signed?.scheme === "eip712") {
+    const digest = hashTypedData(signed.domain, signed.message);
+    const bytes = Buffer.from(normalizeHexString(signed.signature) || "", "hex");
+    if (bytes.length !== 65) throw new Error("invalid eip712 signature length");
+    const signature = secp256k1.Signature.fromCompact(bytes.subarray(0, 64)).addRecoveryBit(bytes[64] - 27);
+    const publicKey = Buffer.from(signature.recoverPublicKey(digest).toRawBytes(false));
+    return addressFromPublicKey(publicKey);
+  }
+  if (signed?.scheme === "ed25519") {
+    const raw = Buffer.from(normalizeHexString(signed.signer) || "", "hex");
+    const spkiPrefix = Buffer.from("302a300506032b6570032100", "hex");
+    const publicKey = crypto.createPublicKey({
+      key: Buffer.concat([spkiPrefix, raw]),
+      format: "der",
+      type: "spki"
+    });
+    const valid = crypto.verify(
+      null,
+      Buffer.from(serializeEd25519Message(signed.message), "utf8"),
+      publicKey,
+      Buffer.from(normalizeHexString(signed.signature) || "", "hex")
+    );
+    return valid ? signed.signer : undefined;
+  }
+  throw new Error(`unsupported signer scheme: ${signed?.scheme}`);
+}
@@ -0,0 +1,95 @@
+import fs from "node:fs";
+import path from "node:path";
+import { sha256Hex } from "./lib.js";
+
+export function transferSpentKey(providerId, transferId) {
+  const provider = String(providerId || "").trim().toLowerCase();
+  const id = String(transferId || "").trim();
+  if (!provider || !id) return undefined;
+  return `transfer:${provider}|${id}`;
+}
+
+export function presentationSpentKey(presentationHex) {
+  if (typeof presentationHex !== "string" || !presentationHex) return undefined;
+  return `presentation:${sha256Hex(Buffer.from(presentationHex, "hex"))}`;
+}
+
+export function buildSpentKeys({ providerId, transferId, presentationHex }) {
+  return [transferSpentKey(providerId, transferId), presentationSpentKey(presentationHex)].filter(Boolean);
+}
+
+function isSameClaim(existing, record) {
+  return (
+    Boolean(existing.proofId) &&
+    existing.proofId === record.proofId &&
+    existing.receiptHash === record.receiptHash
+  );
+}
+
+function createSpentRegistry(entries, persist) {
+  return {
+    async lookup(keys) {
+      for (const key of keys) {
+        const existing = entries.get(key);
+        if (existing) return { key, ...existing };
+      }
+      return undefined;
+    },
+
+    async claim(keys, record) {
+      for (const key of keys) {
+        const existing = entries.get(key);
+        if (!existing) continue;
+        if (isSameClaim(existing, record)) return { ok: true, replayed: true, record: existing };
+        return { ok: false, key, existing };
+      }
+
+      const entry = {
+        proofId: record.proofId ?? null,
+        receiptHash: record.receiptHash ?? null,
+        keyId: record.keyId ?? null,
+        usedAt: record.usedAt ?? Math.trunc(Date.now() / 1000),
+        keys
+      };
+      persist(entry);
+      for (const key of keys) entries.set(key, entry);
+      return { ok: true, replayed: false, record: entry };
+    }
+  };
+}
+
+export function createMemorySpentStore() {
+  return createSpentRegistry(new Map(), () => {});
+}
+
+export function createFileSpentStore(filePath) {
+  const entries = new Map();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  if (fs.existsSync(filePath)) {
+    const lines = fs.readFileSync(filePath, "utf8").split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (!entry || !Array.isArray(entry.keys)) continue;
+      for (const key of entry.keys) {
+        if (!entries.has(key)) entries.set(key, entry);
+      }
+    }
+  }
+
+  return createSpentRegistry(entries, (entry) => {
+    fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+  });
+}
+
+export function createSpentStore(kind, filePath) {
+  const normalized = String(kind || "file").trim().toLowerCase();
+  if (normalized === "memory") return createMemorySpentStore();
+  if (normalized === "file") return createFileSpentStore(filePath || ".data/spent.jsonl");
+  throw new Error(`unsupported spent store: ${normalized}`);
+}
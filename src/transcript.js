@@ -0,0 +1,260 @@
+import zlib from "node:zlib";
+
+const REQUEST_LINE = /^([A-Z]+) (\S+) HTTP\/(\d\.\d)$/;
+const STATUS_LINE = /^HTTP\/(\d\.\d) (\d{3})(?: (.*))?$/;
+const CRLF = Buffer.from("\r\n");
+const HEAD_END = Buffer.from("\r\n\r\n");
+const BARE_HEAD_END = Buffer.from("\n\n");
+const MAX_DECODED_BODY_BYTES = 16 * 1024 * 1024;
+
+function toBytes(transcript) {
+  if (Buffer.isBuffer(transcript)) return transcript;
+  if (transcript instanceof Uint8Array) return Buffer.from(transcript);
+  return Buffer.from(String(transcript || ""), "utf8");
+}
+
+function findHeadEnd(bytes, offset) {
+  const crlf = bytes.indexOf(HEAD_END, offset);
+  const lf = bytes.indexOf(BARE_HEAD_END, offset);
+  if (crlf >= 0 && (lf < 0 || crlf <= lf)) return { index: crlf, bodyStart: crlf + HEAD_END.length };
+  if (lf >= 0) return { index: lf, bodyStart: lf + BARE_HEAD_END.length };
+  return undefined;
+}
+
+function skipLineBreaks(bytes, offset) {
+  let cursor = offset;
+  while (cursor < bytes.length && (bytes[cursor] === 0x0d || bytes[cursor] === 0x0a)) cursor++;
+  return cursor;
+}
+
+export function parseHeaderLines(lines) {
+  const headers = {};
+  const rawHeaders = [];
+  for (const line of lines) {
+    if (!line || /^\0+$/.test(line)) continue;
+    const separator = line.indexOf(":");
+    if (separator <= 0) {
+      throw new Error(`malformed header line: ${JSON.stringify(line.slice(0, 80))}`);
+    }
+    const name = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim();
+    rawHeaders.push([name, value]);
+    const key = name.toLowerCase();
+    headers[key] = key in headers ? `${headers[key]}, ${value}` : value;
+  }
+  return { headers, rawHeaders };
+}
+
+export function parseHttpRequests(sent) {
+  const bytes = toBytes(sent);
+  const requests = [];
+  let offset = skipLineBreaks(bytes, 0);
+
+  while (offset < bytes.length) {
+    const headEnd = findHeadEnd(bytes, offset);
+    if (!headEnd) {
+      throw new Error(`incomplete request head at byte ${offset}`);
+    }
+    const lines = bytes.subarray(offset, headEnd.index).toString("utf8").split(/\r?\n/);
+    const match = REQUEST_LINE.exec(lines[0]);
+    if (!match) {
+      throw new Error(`unparseable request line at byte ${offset}: ${JSON.stringify(lines[0].slice(0, 80))}`);
+    }
+
+    const [, method, target, httpVersion] = match;
+    const { headers, rawHeaders } = parseHeaderLines(lines.slice(1));
+    const contentLength = Number(headers["content-length"] || 0);
+    if (!Number.isSafeInteger(contentLength) || contentLength < 0) {
+      throw new Error(`invalid request content-length: ${headers["content-length"]}`);
+    }
+    const bodyEnd = headEnd.bodyStart + contentLength;
+    if (bodyEnd > bytes.length) {
+      throw new Error(`request body truncated at byte ${bytes.length}`);
+    }
+
+    const queryIndex = target.indexOf("?");
+    requests.push({
+      method,
+      target,
+      path: queryIndex >= 0 ? target.slice(0, queryIndex) : target,
+      query: queryIndex >= 0 ? target.slice(queryIndex + 1) : "",
+      httpVersion,
+      headers,
+      rawHeaders,
+      body: bytes.subarray(headEnd.bodyStart, bodyEnd).toString("utf8"),
+      offset
+    });
+    offset = skipLineBreaks(bytes, bodyEnd);
+  }
+
+  return requests;
+}
+
+function readChunkedBody(bytes, start) {
+  const chunks = [];
+  let offset = start;
+  for (;;) {
+    const lineEnd = bytes.indexOf(CRLF, offset);
+    if (lineEnd < 0) {
+      throw new Error(`truncated chunk size line at byte ${offset}`);
+    }
+    const sizeText = bytes.subarray(offset, lineEnd).toString("latin1").split(";")[0].trim();
+    if (!/^[0-9a-fA-F]+$/.test(sizeText)) {
+      throw new Error(`invalid chunk size at byte ${offset}: ${JSON.stringify(sizeText.slice(0, 16))}`);
+    }
+    const size = parseInt(sizeText, 16);
+    offset = lineEnd + CRLF.length;
+
+    if (size === 0) {
+      if (bytes.subarray(offset, offset + CRLF.length).equals(CRLF)) {
+        return { body: Buffer.concat(chunks), end: offset + CRLF.length };
+      }
+      const trailerEnd = bytes.indexOf(HEAD_END, offset);
+      if (trailerEnd < 0) {
+        throw new Error(`truncated chunked trailer at byte ${offset}`);
+      }
+      return { body: Buffer.concat(chunks), end: trailerEnd + HEAD_END.length };
+    }
+
+    if (offset + size + CRLF.length > bytes.length) {
+      throw new Error(`truncated chunk at byte ${offset}`);
+    }
+    chunks.push(bytes.subarray(offset, offset + size));
+    offset += size;
+    if (!bytes.subarray(offset, offset + CRLF.length).equals(CRLF)) {
+      throw new Error(`missing chunk terminator at byte ${offset}`);
+    }
+    offset += CRLF.length;
+  }
+}
+
+function splitHeaderList(value) {
+  return String(value || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+export function decodeContentEncoding(body, contentEncoding) {
+  const options = { maxOutputLength: MAX_DECODED_BODY_BYTES };
+  let decoded = body;
+  for (const encoding of splitHeaderList(contentEncoding).reverse()) {
+    if (encoding === "identity") continue;
+    if (encoding === "gzip" || encoding === "x-gzip") {
+      decoded = zlib.gunzipSync(decoded, options);
+    } else if (encoding === "deflate") {
+      try {
+        decoded = zlib.inflateSync(decoded, options);
+      } catch {
+        decoded = zlib.inflateRawSync(decoded, options);
+      }
+    } else if (encoding === "br") {
+      decoded = zlib.brotliDecompressSync(decoded, options);
+    } else {
+      throw new Error(`unsupported content-encoding: ${encoding}`);
+    }
+  }
+  return decoded;
+}
+
+function hasNoBody(statusCode) {
+  return (statusCode >= 100 && statusCode < 200) || statusCode === 204 || statusCode === 304;
+}
+
+export function parseHttpResponses(recv) {
+  const bytes = toBytes(recv);
+  const responses = [];
+  let offset = skipLineBreaks(bytes, 0);
+
+  while (offset < bytes.length) {
+    const headEnd = findHeadEnd(bytes, offset);
+    if (!headEnd) {
+      throw new Error(`incomplete response head at byte ${offset}`);
+    }
+    const lines = bytes.subarray(offset, headEnd.index).toString("utf8").split(/\r?\n/);
+    const match = STATUS_LINE.exec(lines[0]);
+    if (!match) {
+      throw new Error(`unparseable status line at byte ${offset}: ${JSON.stringify(lines[0].slice(0, 80))}`);
+    }
+
+    const [, httpVersion, statusText, reason = ""] = match;
+    const statusCode = Number(statusText);
+    const { headers, rawHeaders } = parseHeaderLines(lines.slice(1));
+
+    let rawBody;
+    let bodyEnd;
+    if (hasNoBody(statusCode)) {
+      rawBody = Buffer.alloc(0);
+      bodyEnd = headEnd.bodyStart;
+    } else if (splitHeaderList(headers["transfer-encoding"]).includes("chunked")) {
+      const chunked = readChunkedBody(bytes, headEnd.bodyStart);
+      rawBody = chunked.body;
+      bodyEnd = chunked.end;
+    } else if (headers["content-length"] !== undefined) {
+      const contentLength = Number(headers["content-length"]);
+      if (!Number.isSafeInteger(contentLength) || contentLength < 0) {
+        throw new Error(`invalid response content-length: ${headers["content-length"]}`);
+      }
+      bodyEnd = headEnd.bodyStart + contentLength;
+      if (bodyEnd > bytes.length) {
+        throw new Error(`response body truncated at byte ${bytes.length}`);
+      }
+      rawBody = bytes.subarray(headEnd.bodyStart, bodyEnd);
+    } else {
+      bodyEnd = bytes.length;
+      rawBody = bytes.subarray(headEnd.bodyStart);
+    }
+
+    let body;
+    try {
+      body = decodeContentEncoding(rawBody, headers["content-encoding"]);
+    } catch (error) {
+      if (typeof recv !== "string") throw error;
+      const encoding = headers["content-encoding"];
+      throw new Error(`${encoding} body of a text transcript cannot be decoded without the raw recv bytes: ${error.message}`);
+    }
+    responses.push({
+      statusCode,
+      reason,
+      httpVersion,
+      headers,
+      rawHeaders,
+      body: body.toString("utf8"),
+      offset
+    });
+    offset = skipLineBreaks(bytes, bodyEnd);
+  }
+
+  return responses;
+}
+
+export function isJsonContentType(value) {
+  const mediaType = String(value || "").split(";")[0].trim().toLowerCase();
+  return mediaType === "application/json" || mediaType === "text/json" || /^application\/[^/]+\+json$/.test(mediaType);
+}
+
+export function parseJsonResponses(recv) {
+  const responses = [];
+  const parsed = parseHttpResponses(recv);
+  let exchange = -1;
+  for (let index = 0; index < parsed.length; index++) {
+    const response = parsed[index];
+    if (response.statusCode >= 100 && response.statusCode < 200) continue;
+    exchange++;
+    if (response.statusCode < 200 || response.statusCode > 299) {
+      throw new Error(`response ${index} has non-2xx status ${response.statusCode}`);
+    }
+    if (!response.body.trim()) continue;
+    if (!isJsonContentType(response.headers["content-type"])) {
+      throw new Error(`response ${index} has non-json content-type: ${response.headers["content-type"] ?? "missing"}`);
+    }
+    let json;
+    try {
+      json = JSON.parse(response.body);
+    } catch {
+      throw new Error(`response ${index} body is not valid json`);
+    }
+    responses.push({ ...response, index, exchange, json });
+  }
+  return responses;
+}
@@ -0,0 +1,174 @@
+import { compareAmounts, tryParseAmount } from "./amount.js";
+import { asRecord, isTransferConfirmed, toUnixSeconds } from "./lib.js";
+
+export const MATCH_FIELDS = ["transferId", "amount", "payerRef", "timestamp", "currency", "recipientRef", "status"];
+
+export const DEFAULT_MATCH_WEIGHTS = {
+  transferId: 100,
+  amount: 40,
+  payerRef: 25,
+  timestamp: 20,
+  currency: 10,
+  recipientRef: 10,
+  status: 5
+};
+
+function parseNumber(raw, name, fallback) {
+  if (raw === undefined || raw === null || String(raw).trim() === "") return fallback;
+  const value = Number(String(raw).trim());
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`invalid ${name} value: ${raw}`);
+  }
+  return value;
+}
+
+function parseFlag(raw, name, fallback) {
+  if (raw === undefined || String(raw).trim() === "") return fallback;
+  const value = String(raw).trim().toLowerCase();
+  if (value !== "true" && value !== "false") {
+    throw new Error(`invalid ${name} value: ${raw}`);
+  }
+  return value === "true";
+}
+
+export function parseMatchWeights(raw) {
+  const weights = { ...DEFAULT_MATCH_WEIGHTS };
+  for (const item of String(raw || "").split(",")) {
+    if (!item.trim()) continue;
+    const [field, value] = item.split("=").map((part) => part.trim());
+    if (!MATCH_FIELDS.includes(field)) throw new Error(`unknown match field in TLSN_MATCH_WEIGHTS: ${field}`);
+    weights[field] = parseNumber(value, `TLSN_MATCH_WEIGHTS ${field}`);
+  }
+  return weights;
+}
+
+export function parseMatchPolicy(env = process.env) {
+  return {
+    weights: parseMatchWeights(env.TLSN_MATCH_WEIGHTS),
+    minScore: parseNumber(env.TLSN_MATCH_MIN_SCORE, "TLSN_MATCH_MIN_SCORE", 60),
+    timestampToleranceSeconds: Math.trunc(
+      parseNumber(env.TLSN_MATCH_TIMESTAMP_TOLERANCE_SECONDS, "TLSN_MATCH_TIMESTAMP_TOLERANCE_SECONDS", 60)
+    ),
+    tieMargin: parseNumber(env.TLSN_MATCH_TIE_MARGIN, "TLSN_MATCH_TIE_MARGIN", 0),
+    nearMisses: Math.trunc(parseNumber(env.TLSN_MATCH_NEAR_MISSES, "TLSN_MATCH_NEAR_MISSES", 3)),
+    requireTransferDetails: parseFlag(env.TLSN_REQUIRE_TRANSFER_DETAILS, "TLSN_REQUIRE_TRANSFER_DETAILS", false)
+  };
+}
+
+function text(value) {
+  return value === undefined || value === null ? "" : String(value).trim();
+}
+
+function sameAmount(expected, row) {
+  const currency = text(row.currency) || undefined;
+  const lhs = tryParseAmount(expected, { currency });
+  const rhs = row.parsedAmount ?? tryParseAmount(row.amount, { currency });
+  if (!lhs || !rhs) return text(expected) === text(row.amount);
+  try {
+    return compareAmounts(lhs, rhs) === 0;
+  } catch {
+    return false;
+  }
+}
+
+function compareField(field, expected, row, policy) {
+  if (field === "timestamp") {
+    const want = toUnixSeconds(expected);
+    const actual = toUnixSeconds(row.timestamp);
+    if (!Number.isFinite(actual)) return { outcome: "missing", actual: null, reason: "row has no timestamp" };
+    const delta = Math.abs(actual - want);
+    return delta <= policy.timestampToleranceSeconds
+      ? { outcome: "match", actual, reason: `within ${delta}s of the selected timestamp` }
+      : {
+          outcome: "mismatch",
+          actual,
+          reason: `${delta}s from the selected timestamp (tolerance ${policy.timestampToleranceSeconds}s)`
+        };
+  }
+
+  const actual = text(row[field]);
+  if (!actual) return { outcome: "missing", actual: null, reason: `row has no ${field}` };
+  const caseInsensitive = field === "currency" || field === "status";
+  const matched =
+    field === "amount"
+      ? sameAmount(expected, row)
+      : caseInsensitive
+        ? actual.toUpperCase() === text(expected).toUpperCase()
+        : actual === text(expected);
+  return matched
+    ? { outcome: "match", actual, reason: `${field} matches` }
+    : { outcome: "mismatch", actual, reason: `${field} ${actual} does not match ${text(expected)}` };
+}
+
+export function scoreTransfer(row, selectedTransfer, policy) {
+  const selected = asRecord(selectedTransfer);
+  const record = asRecord(row);
+  const fields = [];
+  let score = 0;
+  let maxScore = 0;
+  for (const field of MATCH_FIELDS) {
+    const weight = policy.weights[field] ?? 0;
+    const expected = selected[field];
+    if (!weight || (field === "timestamp" ? !Number.isFinite(toUnixSeconds(expected)) : !text(expected))) continue;
+    const result = compareField(field, expected, record, policy);
+    const points = result.outcome === "match" ? weight : 0;
+    score += points;
+    maxScore += weight;
+    fields.push({
+      field,
+      outcome: result.outcome,
+      weight,
+      points,
+      expected: field === "timestamp" ? toUnixSeconds(expected) : text(expected),
+      actual: result.actual,
+      reason: result.reason
+    });
+  }
+  return { score, maxScore, fields };
+}
+
+function candidate(row, index, scored) {
+  return { index, score: scored.score, maxScore: scored.maxScore, row, fields: scored.fields };
+}
+
+export function matchSelectedTransfer(recentTransfers, selectedTransfer, policy) {
+  const ranked = recentTransfers
+    .map((row, index) => candidate(row, index, scoreTransfer(row, selectedTransfer, policy)))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+  const [best] = ranked;
+
+  if (!best || best.maxScore === 0 || best.score < policy.minScore) {
+    return {
+      ok: false,
+      code: "TRANSFER_NOT_FOUND",
+      minScore: policy.minScore,
+      message: best
+        ? `best candidate scored ${best.score} of ${best.maxScore}, below minScore ${policy.minScore}`
+        : "no recent transfers to match",
+      candidates: ranked.filter((item) => item.score > 0).slice(0, policy.nearMisses)
+    };
+  }
+
+  const tied = ranked.filter((item) => item.score >= policy.minScore && best.score - item.score <= policy.tieMargin);
+  if (tied.length > 1) {
+    return {
+      ok: false,
+      code: "TRANSFER_AMBIGUOUS",
+      minScore: policy.minScore,
+      message: `${tied.length} recent transfers scored within ${policy.tieMargin} of the best score ${best.score}`,
+      candidates: tied
+    };
+  }
+
+  if (policy.requireTransferDetails && !isTransferConfirmed(best.row)) {
+    return {
+      ok: false,
+      code: "TRANSFER_NOT_CONFIRMED",
+      minScore: policy.minScore,
+      message: `best candidate ${best.row.transferId || `at index ${best.index}`} is not confirmed by a transfer-details response`,
+      candidates: [best]
+    };
+  }
+
+  return { ok: true, match: { ...best, minScore: policy.minScore } };
+}
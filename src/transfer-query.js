@@ -0,0 +1,144 @@
+import { compareAmounts, tryParseAmount } from "./amount.js";
+import { errorDetail } from "./errors.js";
+import { sha256Hex, toUnixSeconds } from "./lib.js";
+import { canonicalizeJson } from "./receipt-hash.js";
+import { SCHEMA_ERROR_CODES } from "./schema.js";
+
+export const DEFAULT_QUERY_LIMIT = 20;
+export const MAX_QUERY_LIMIT = 100;
+
+const FILTER_KEYS = ["from", "to", "currency", "status", "minAmount", "maxAmount", "counterparty", "order"];
+
+function invalid(path, message) {
+  return {
+    ok: false,
+    code: "REQUEST_INVALID",
+    details: [errorDetail(SCHEMA_ERROR_CODES.format, `/query/${path}`, message)]
+  };
+}
+
+function text(value) {
+  return value === undefined || value === null ? "" : String(value).trim();
+}
+
+function parseFilters(query) {
+  const filters = { order: query.order === "asc" ? "asc" : "desc" };
+  for (const name of ["from", "to"]) {
+    if (query[name] === undefined) continue;
+    filters[name] = toUnixSeconds(query[name]);
+    if (filters[name] === undefined) return invalid(name, `${name} must be unix seconds or an ISO date`);
+  }
+  for (const name of ["minAmount", "maxAmount"]) {
+    if (query[name] === undefined) continue;
+    filters[name] = tryParseAmount(query[name], { currency: query.currency });
+    if (!filters[name]) return invalid(name, `${name} is not a parseable amount`);
+  }
+  if (query.currency) filters.currency = text(query.currency).toUpperCase();
+  if (query.status !== undefined) {
+    filters.status = (Array.isArray(query.status) ? query.status : [query.status]).map((value) => text(value).toUpperCase());
+  }
+  if (query.counterparty) filters.counterparty = text(query.counterparty).toLowerCase();
+  return { ok: true, filters };
+}
+
+function amountWithin(row, filters) {
+  const amount = row.parsedAmount ?? tryParseAmount(row.amount, { currency: row.currency || undefined });
+  if (!amount) return false;
+  try {
+    if (filters.minAmount && compareAmounts(amount, filters.minAmount) < 0) return false;
+    if (filters.maxAmount && compareAmounts(amount, filters.maxAmount) > 0) return false;
+  } catch {
+    return false;
+  }
+  return true;
+}
+
+export function transferMatchesQuery(row, filters) {
+  const timestamp = toUnixSeconds(row.timestamp);
+  if (filters.from !== undefined && !(timestamp >= filters.from)) return false;
+  if (filters.to !== undefined && !(timestamp < filters.to)) return false;
+  if (filters.currency && text(row.currency).toUpperCase() !== filters.currency) return false;
+  if (filters.status && !filters.status.includes(text(row.status).toUpperCase())) return false;
+  if ((filters.minAmount || filters.maxAmount) && !amountWithin(row, filters)) return false;
+  if (filters.counterparty) {
+    const parties = [row.payerRef, row.recipientRef].map((value) => text(value).toLowerCase());
+    if (!parties.includes(filters.counterparty)) return false;
+  }
+  return true;
+}
+
+export function sortTransfers(transfers, order = "desc") {
+  const direction = order === "asc" ? 1 : -1;
+  return transfers
+    .map((row, index) => ({ row, index, timestamp: toUnixSeconds(row.timestamp) }))
+    .sort((a, b) => {
+      const aMissing = !Number.isFinite(a.timestamp);
+      const bMissing = !Number.isFinite(b.timestamp);
+      if (aMissing !== bMissing) return aMissing ? 1 : -1;
+      return (aMissing ? 0 : (a.timestamp - b.timestamp) * direction) || a.index - b.index;
+    })
+    .map((item) => item.row);
+}
+
+function queryDigest(query, scope) {
+  const filters = Object.fromEntries(FILTER_KEYS.filter((key) => query[key] !== undefined).map((key) => [key, query[key]]));
+  return sha256Hex(canonicalizeJson({ scope, filters })).slice(2, 18);
+}
+
+export function encodeQueryCursor(offset, digest) {
+  return Buffer.from(JSON.stringify({ offset, digest })).toString("base64url");
+}
+
+function decodeQueryCursor(cursor, digest, matched) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (parsed?.digest === digest && Number.isInteger(parsed.offset) && parsed.offset >= 0 && parsed.offset <= matched) {
+      return parsed.offset;
+    }
+  } catch {
+    return undefined;
+  }
+  return undefined;
+}
+
+export function runTransferQuery(transfers, query, { scope = "" } = {}) {
+  const parsed = parseFilters(query);
+  if (!parsed.ok) return parsed;
+  const { filters } = parsed;
+
+  const matched = sortTransfers(
+    transfers.filter((row) => transferMatchesQuery(row, filters)),
+    filters.order
+  );
+  const digest = queryDigest(query, scope);
+  let offset = 0;
+  if (query.cursor !== undefined) {
+    offset = decodeQueryCursor(query.cursor, digest, matched.length);
+    if (offset === undefined) {
+      return {
+        ok: false,
+        code: "QUERY_CURSOR_INVALID",
+        details: [
+          errorDetail("QUERY_CURSOR_INVALID", "/query/cursor", "cursor does not belong to this presentation and query")
+        ]
+      };
+    }
+  }
+
+  const limit = Math.max(1, Math.min(MAX_QUERY_LIMIT, Math.trunc(Number(query.limit) || DEFAULT_QUERY_LIMIT)));
+  const rows = matched.slice(offset, offset + limit);
+  const next = offset + rows.length;
+  return {
+    ok: true,
+    all: matched,
+    result: {
+      total: transfers.length,
+      matched: matched.length,
+      offset,
+      count: rows.length,
+      order: filters.order,
+      rows,
+      nextCursor: next < matched.length ? encodeQueryCursor(next, digest) : null
+    }
+  };
+}
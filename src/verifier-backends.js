@@ -0,0 +1,102 @@
+import path from "node:path";
+import { asRecord, extractPresentationVersion } from "./lib.js";
+
+export const VERIFIER_BACKEND_ERROR_CODES = {
+  versionMissing: "PRESENTATION_VERSION_MISSING",
+  versionUnsupported: "PRESENTATION_VERSION_UNSUPPORTED",
+  presentationInvalid: "PRESENTATION_INVALID"
+};
+
+export const DEFAULT_VERIFIER_BACKENDS = [
+  { id: "tlsn-ts", module: "@dylan1951/tlsn-ts", versions: ["0.1.0-alpha.12"], default: true }
+];
+
+export function resolveVerifierModule(spec) {
+  return spec.startsWith(".") || path.isAbsolute(spec) ? path.resolve(spec) : spec;
+}
+
+function buildBackend(input, index) {
+  const record = asRecord(input);
+  const id = typeof record.id === "string" ? record.id.trim() : "";
+  if (!id) throw new Error(`invalid verifier backend at index ${index}: id is required`);
+  const module = typeof record.module === "string" ? record.module.trim() : "";
+  if (!module) throw new Error(`invalid verifier backend ${id}: module is required`);
+  const versions = record.versions ?? [];
+  if (!Array.isArray(versions) || versions.some((version) => typeof version !== "string" || !version.trim())) {
+    throw new Error(`invalid verifier backend ${id}: versions must be an array of strings`);
+  }
+  return {
+    id,
+    module,
+    modulePath: resolveVerifierModule(module),
+    versions: versions.map((version) => version.trim()),
+    default: record.default === true
+  };
+}
+
+export function parseVerifierBackends(raw) {
+  const text = String(raw || "").trim();
+  const parsed = Array.isArray(raw) ? raw : text ? JSON.parse(text) : DEFAULT_VERIFIER_BACKENDS;
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new Error("TLSN_VERIFIER_BACKENDS must be a non-empty JSON array");
+  }
+
+  const backends = parsed.map(buildBackend);
+  const ids = new Set();
+  const versions = new Map();
+  for (const backend of backends) {
+    if (ids.has(backend.id)) throw new Error(`duplicate verifier backend id: ${backend.id}`);
+    ids.add(backend.id);
+    for (const version of backend.versions) {
+      if (versions.has(version)) {
+        throw new Error(`presentation version ${version} is mapped to both ${versions.get(version)} and ${backend.id}`);
+      }
+      versions.set(version, backend.id);
+    }
+  }
+  if (backends.filter((backend) => backend.default).length > 1) {
+    throw new Error("only one verifier backend may be the default");
+  }
+  return backends;
+}
+
+export function createVerifierBackendRegistry(backends, { load }) {
+  const byVersion = new Map();
+  for (const backend of backends) {
+    for (const version of backend.versions) byVersion.set(version, backend);
+  }
+  const wildcard = byVersion.get("*");
+  const fallback = backends.find((backend) => backend.default);
+  const loaded = new Map();
+
+  function withVerifier(backend) {
+    if (!loaded.has(backend.id)) loaded.set(backend.id, load(backend));
+    return { ...backend, verifyPresentation: loaded.get(backend.id) };
+  }
+
+  return {
+    list() {
+      return backends.map(({ id, module, versions, default: isDefault }) => ({ id, module, versions, default: isDefault }));
+    },
+
+    resolve(attestation) {
+      const version = extractPresentationVersion(attestation) ?? null;
+      const backend = version ? (byVersion.get(version) ?? wildcard) : fallback;
+      if (backend) return { ok: true, version, backend: withVerifier(backend) };
+      if (!version) {
+        return {
+          ok: false,
+          version,
+          code: VERIFIER_BACKEND_ERROR_CODES.versionMissing,
+          message: "presentation has no version and no default verifier backend is configured"
+        };
+      }
+      return {
+        ok: false,
+        version,
+        code: VERIFIER_BACKEND_ERROR_CODES.versionUnsupported,
+        message: `no verifier backend for presentation version ${version}, supported: ${[...byVersion.keys()].join(", ")}`
+      };
+    }
+  };
+}
@@ -0,0 +1,228 @@
+import { errorBody, errorDetail } from "./errors.js";
+import { buildFreshnessReport, parseFreshnessPolicy, resolveFreshnessRules } from "./freshness.js";
+import {
+  asRecord,
+  buildVerifiedRecord,
+  DEFAULT_TIMESTAMP_SKEW_SECONDS,
+  evaluateExpected,
+  hostMatchesAllowedSuffix,
+  sha256Hex
+} from "./lib.js";
+import { computeReceiptHash, parseReceiptHashScheme } from "./receipt-hash.js";
+import { evaluateRequestPolicy } from "./request-policy.js";
+import { matchSelectedTransfer, parseMatchPolicy } from "./transfer-match.js";
+import { runTransferQuery } from "./transfer-query.js";
+
+export const VERIFY_PIPELINE_ERROR_CODES = {
+  fieldMissing: "FIELD_MISSING"
+};
+
+export function parseVerifyPolicy(env = process.env) {
+  const defaultTimestampSkewSeconds = Number(env.TLSN_DEFAULT_TIMESTAMP_SKEW_SECONDS || DEFAULT_TIMESTAMP_SKEW_SECONDS);
+  return {
+    expected: {
+      defaultTimestampSkewSeconds,
+      maxTimestampSkewSeconds: Number(env.TLSN_MAX_TIMESTAMP_SKEW_SECONDS || defaultTimestampSkewSeconds)
+    },
+    freshness: parseFreshnessPolicy(env),
+    match: parseMatchPolicy(env),
+    receiptHashScheme: parseReceiptHashScheme(env.TLSN_RECEIPT_HASH_SCHEME)
+  };
+}
+
+export function recentTransferCount(value, fallback = 5) {
+  return Math.max(1, Math.min(10, Math.trunc(Number(value) || fallback)));
+}
+
+export function missingFieldDetails(fields) {
+  return fields.map((field) =>
+    errorDetail(VERIFY_PIPELINE_ERROR_CODES.fieldMissing, `/normalized/${field}`, `${field} missing`)
+  );
+}
+
+export function hostNotAllowedBody(normalized, provider, availableKeys, allowedHostSuffixes = provider.allowedHostSuffixes) {
+  return errorBody("HOST_NOT_ALLOWED", {
+    error: `sourceHost is not an allowed ${provider.label} domain`,
+    details: [
+      errorDetail(
+        "HOST_NOT_ALLOWED",
+        "/normalized/sourceHost",
+        `sourceHost=${normalized.sourceHost}, allowed=${allowedHostSuffixes.join(",")}`
+      )
+    ],
+    availableKeys
+  });
+}
+
+export function constraintsMismatchBody(constraints, availableKeys) {
+  return errorBody("CONSTRAINTS_MISMATCH", {
+    details: constraints
+      .filter((result) => !result.ok)
+      .map((result) => errorDetail(result.code, `/expected/${result.constraint}`, result.message)),
+    constraints,
+    availableKeys
+  });
+}
+
+function freshnessFailedBody(freshness, availableKeys) {
+  return errorBody("FRESHNESS_FAILED", {
+    details: freshness.results
+      .filter((result) => !result.ok)
+      .map((result) => errorDetail(result.code, `/freshness/${result.rule}`, result.message)),
+    freshness,
+    availableKeys
+  });
+}
+
+export function receiptHashFor(options, availableKeys) {
+  try {
+    return { ok: true, receiptHash: computeReceiptHash(options) };
+  } catch (error) {
+    return {
+      ok: false,
+      json: errorBody("AMOUNT_UNSIGNABLE", {
+        details: [errorDetail("AMOUNT_UNSIGNABLE", "/normalized/amount", error?.message || error)],
+        availableKeys
+      })
+    };
+  }
+}
+
+export function queryTransfers(query, provenTransfers, scope) {
+  if (!query) return { ok: true, candidates: null, report: null };
+  const queried = runTransferQuery(provenTransfers, asRecord(query), { scope });
+  if (!queried.ok) return { ok: false, json: errorBody(queried.code, { details: queried.details }) };
+  return { ok: true, candidates: queried.all, report: queried.result };
+}
+
+export function matchPolicyFor(policy, requireTransferDetails) {
+  return { ...policy, requireTransferDetails: policy.requireTransferDetails || requireTransferDetails === true };
+}
+
+export function selectTransfer(recentTransfers, selectedTransfer, policy) {
+  if (!selectedTransfer) return { ok: true, row: null, match: null };
+  const result = matchSelectedTransfer(recentTransfers, selectedTransfer, policy);
+  if (!result.ok) {
+    return {
+      ok: false,
+      json: errorBody(result.code, {
+        details: [errorDetail(result.code, "/selectedTransfer", result.message)],
+        candidates: result.candidates,
+        minScore: result.minScore
+      })
+    };
+  }
+  return { ok: true, row: result.match.row, match: result.match };
+}
+
+export function runVerifyPipeline({
+  provider,
+  attestation,
+  localVerification,
+  request = {},
+  policy,
+  allowedHostSuffixes = provider.allowedHostSuffixes
+}) {
+  const attestationRaw = asRecord(attestation);
+  const report = { requests: null };
+  const fail = (json) => ({ ok: false, status: 400, json, report });
+
+  if (provider.endpoints) {
+    const requestCheck = evaluateRequestPolicy({
+      sent: localVerification.sent,
+      serverName: localVerification.serverName,
+      endpoints: provider.endpoints
+    });
+    if (!requestCheck.ok) {
+      return fail(errorBody(requestCheck.code, { error: requestCheck.error, details: requestCheck.details }));
+    }
+    report.requests = requestCheck.requests;
+  }
+
+  let provenTransfers;
+  try {
+    const requests = report.requests ?? undefined;
+    report.recentTransfers = provider.parseTranscript(
+      attestationRaw,
+      localVerification.recv,
+      recentTransferCount(request.recentCount),
+      requests
+    );
+    provenTransfers = provider.listTransfers(attestationRaw, localVerification.recv, requests);
+  } catch (error) {
+    return fail(
+      errorBody("RESPONSE_UNPARSEABLE", { details: [errorDetail("RESPONSE_UNPARSEABLE", "/recv", error?.message || error)] })
+    );
+  }
+  report.provenTransferCount = provenTransfers.length;
+
+  const queried = queryTransfers(request.query, provenTransfers, sha256Hex(localVerification.presentationHex));
+  if (!queried.ok) return fail(queried.json);
+  report.transferQuery = queried.report;
+
+  const matchPolicy = matchPolicyFor(policy.match, request.requireTransferDetails);
+  if (matchPolicy.requireTransferDetails && !request.selectedTransfer) {
+    return fail(
+      errorBody("TRANSFER_NOT_CONFIRMED", {
+        details: [
+          errorDetail(
+            "TRANSFER_NOT_CONFIRMED",
+            "/selectedTransfer",
+            "selectedTransfer is required when transfer-details confirmation is required"
+          )
+        ]
+      })
+    );
+  }
+  const selection = selectTransfer(queried.candidates ?? report.recentTransfers, request.selectedTransfer, matchPolicy);
+  if (!selection.ok) return fail(selection.json);
+  report.selectedMatched = Boolean(selection.row);
+  report.match = selection.match;
+
+  const raw = buildVerifiedRecord(attestationRaw, localVerification, selection.row);
+  const availableKeys = Object.keys(raw);
+  report.availableKeys = availableKeys;
+
+  const normalized = provider.normalize(raw);
+  report.normalized = normalized;
+  const missing = missingFieldDetails(provider.requiredFields.filter((field) => !normalized[field]));
+  if (missing.length > 0) {
+    return fail(
+      errorBody("FIELDS_MISSING", {
+        error: `verifier output missing required ${provider.label} fields`,
+        details: missing,
+        availableKeys
+      })
+    );
+  }
+  if (!hostMatchesAllowedSuffix(normalized.sourceHost, allowedHostSuffixes)) {
+    return fail(hostNotAllowedBody(normalized, provider, availableKeys, allowedHostSuffixes));
+  }
+
+  report.constraints = evaluateExpected(request.expected, normalized, policy.expected);
+  if (report.constraints.some((result) => !result.ok)) {
+    return fail(constraintsMismatchBody(report.constraints, availableKeys));
+  }
+
+  report.freshness = buildFreshnessReport(resolveFreshnessRules(policy.freshness, request.freshness), {
+    notarizedAt: localVerification.timestamp,
+    transferTimestamp: normalized.timestamp
+  });
+  if (!report.freshness.ok) return fail(freshnessFailedBody(report.freshness, availableKeys));
+
+  const receiptHashScheme = request.receiptHashScheme ?? policy.receiptHashScheme;
+  const receipt = receiptHashFor(
+    {
+      scheme: receiptHashScheme,
+      normalized,
+      domainTag: provider.receiptDomainTag,
+      presentationHex: localVerification.presentationHex,
+      attestation
+    },
+    availableKeys
+  );
+  if (!receipt.ok) return fail(receipt.json);
+  report.receiptHash = receipt.receiptHash;
+  report.receiptHashScheme = receiptHashScheme;
+  return { ok: true, report };
+}
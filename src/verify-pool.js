@@ -0,0 +1,181 @@
+import os from "node:os";
+import { Worker } from "node:worker_threads";
+
+export const VERIFY_POOL_ERROR_CODES = {
+  saturated: "VERIFY_POOL_SATURATED",
+  timeout: "VERIFY_TIMEOUT",
+  workerCrashed: "VERIFY_WORKER_CRASHED",
+  closed: "VERIFY_POOL_CLOSED"
+};
+
+export function defaultVerifyPoolSize() {
+  const cores = typeof os.availableParallelism === "function" ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, cores - 1);
+}
+
+const RESTART_BACKOFF_MS = 1000;
+
+function poolError(code, message, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+export function createVerifyPool({
+  size = defaultVerifyPoolSize(),
+  queueLimit = 64,
+  jobTimeoutMs = 30_000,
+  retryAfterSeconds = 2,
+  workerUrl = new URL("./verify-worker.js", import.meta.url),
+  modulePath
+} = {}) {
+  const poolSize = Math.max(1, Math.trunc(Number(size) || 1));
+  const maxQueued = Math.max(0, Math.trunc(Number(queueLimit) || 0));
+  const slots = [];
+  const queue = [];
+  let nextJobId = 1;
+  let closed = false;
+  const counters = { completed: 0, failed: 0, timedOut: 0, rejected: 0, restarts: 0 };
+
+  function spawn(slot) {
+    const worker = new Worker(workerUrl, { workerData: { modulePath } });
+    slot.worker = worker;
+    slot.job = undefined;
+
+    worker.on("message", (message) => {
+      if (slot.worker !== worker || !slot.job || slot.job.id !== message.id) return;
+      const job = slot.job;
+      settle(slot, job);
+      if (message.ok) {
+        counters.completed++;
+        job.resolve(message.result);
+      } else {
+        counters.failed++;
+        job.reject(new Error(message.error));
+      }
+      dispatch();
+    });
+    worker.on("error", (error) => recycle(slot, worker, String(error?.message || error)));
+    worker.on("exit", (code) => recycle(slot, worker, `exit code ${code}`));
+  }
+
+  function settle(slot, job) {
+    clearTimeout(job.timer);
+    slot.job = undefined;
+  }
+
+  function recycle(slot, worker, reason) {
+    if (slot.worker !== worker) return;
+    const job = slot.job;
+    slot.worker = undefined;
+    if (job) {
+      settle(slot, job);
+      counters.failed++;
+      job.reject(poolError(VERIFY_POOL_ERROR_CODES.workerCrashed, `verifier worker crashed: ${reason}`));
+    }
+    if (closed) return;
+    counters.restarts++;
+    slot.restartTimer = setTimeout(
+      () => {
+        slot.restartTimer = undefined;
+        spawn(slot);
+        dispatch();
+      },
+      job ? 0 : RESTART_BACKOFF_MS
+    );
+  }
+
+  function run(slot, job) {
+    slot.job = job;
+    job.timer = setTimeout(() => {
+      if (slot.job !== job) return;
+      const worker = slot.worker;
+      settle(slot, job);
+      counters.timedOut++;
+      job.reject(poolError(VERIFY_POOL_ERROR_CODES.timeout, `presentation verification timed out after ${jobTimeoutMs}ms`));
+      slot.worker = undefined;
+      worker.terminate().catch(() => {});
+      if (!closed) {
+        counters.restarts++;
+        spawn(slot);
+        dispatch();
+      }
+    }, jobTimeoutMs);
+    slot.worker.postMessage({
+      id: job.id,
+      presentationHex: job.presentationHex,
+      notaryPublicKeyPem: job.notaryPublicKeyPem,
+      modulePath: job.modulePath
+    });
+  }
+
+  function dispatch() {
+    for (const slot of slots) {
+      if (queue.length === 0) return;
+      if (slot.worker && !slot.job) run(slot, queue.shift());
+    }
+  }
+
+  for (let index = 0; index < poolSize; index++) {
+    const slot = { worker: undefined, job: undefined };
+    slots.push(slot);
+    spawn(slot);
+  }
+
+  return {
+    verifyPresentation(presentationHex, notaryPublicKeyPem, { modulePath: jobModulePath } = {}) {
+      if (closed) {
+        return Promise.reject(poolError(VERIFY_POOL_ERROR_CODES.closed, "verify pool is closed"));
+      }
+      const idle = slots.some((slot) => slot.worker && !slot.job);
+      if (!idle && queue.length >= maxQueued) {
+        counters.rejected++;
+        return Promise.reject(
+          poolError(VERIFY_POOL_ERROR_CODES.saturated, "verifier is at capacity", { retryAfterSeconds })
+        );
+      }
+      return new Promise((resolve, reject) => {
+        queue.push({
+          id: nextJobId++,
+          presentationHex,
+          notaryPublicKeyPem,
+          modulePath: jobModulePath,
+          resolve,
+          reject
+        });
+        dispatch();
+      });
+    },
+
+    stats() {
+      return {
+        size: poolSize,
+        busy: slots.filter((slot) => slot.job).length,
+        queued: queue.length,
+        queueLimit: maxQueued,
+        ...counters
+      };
+    },
+
+    async close() {
+      closed = true;
+      for (const job of queue.splice(0)) {
+        job.reject(poolError(VERIFY_POOL_ERROR_CODES.closed, "verify pool is closed"));
+      }
+      await Promise.all(
+        slots.map(async (slot) => {
+          const worker = slot.worker;
+          slot.worker = undefined;
+          clearTimeout(slot.restartTimer);
+          if (slot.job) {
+            const job = slot.job;
+            settle(slot, job);
+            job.reject(poolError(VERIFY_POOL_ERROR_CODES.closed, "verify pool is closed"));
+          }
+          if (worker) await worker.terminate();
+        })
+      );
+    }
+  };
+}
@@ -0,0 +1,29 @@
+import { createRequire } from "node:module";
+import { parentPort, workerData } from "node:worker_threads";
+
+const require = createRequire(import.meta.url);
+const verifiers = new Map();
+
+function loadVerifier(modulePath = workerData?.modulePath || "@dylan1951/tlsn-ts") {
+  if (!verifiers.has(modulePath)) verifiers.set(modulePath, require(modulePath).verify_presentation);
+  return verifiers.get(modulePath);
+}
+
+parentPort.on("message", async ({ id, presentationHex, notaryPublicKeyPem, modulePath }) => {
+  try {
+    const verifyPresentation = loadVerifier(modulePath);
+    const result = await Promise.resolve(verifyPresentation(presentationHex, notaryPublicKeyPem));
+    const plain = {
+      sent: result?.sent,
+      recv: result?.recv,
+      server_name: result?.server_name ?? result?.serverName,
+      time: result?.time ?? result?.timestamp
+    };
+    if (result && typeof result.free === "function") {
+      result.free();
+    }
+    parentPort.postMessage({ id, ok: true, result: plain });
+  } catch (error) {
+    parentPort.postMessage({ id, ok: false, error: String(error?.message || error) });
+  }
+});
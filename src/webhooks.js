@@ -0,0 +1,303 @@
+import crypto from "node:crypto";
+import dns from "node:dns";
+import fs from "node:fs";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+import path from "node:path";
+import { safeEqualText } from "./lib.js";
+import { createGuardedLookup, hostMatchesPattern, isBlockedAddress } from "./notary-fetch.js";
+
+export const WEBHOOK_SIGNATURE_HEADER = "x-tlsn-signature";
+export const WEBHOOK_EVENT_HEADER = "x-tlsn-event-id";
+
+export const CALLBACK_ERROR_CODES = {
+  invalidUrl: "CALLBACK_URL_INVALID",
+  schemeNotAllowed: "CALLBACK_SCHEME_NOT_ALLOWED",
+  hostNotAllowed: "CALLBACK_HOST_NOT_ALLOWED",
+  addressBlocked: "CALLBACK_ADDRESS_BLOCKED",
+  secretMissing: "WEBHOOK_SECRET_MISSING"
+};
+
+function nowSeconds() {
+  return Math.trunc(Date.now() / 1000);
+}
+
+function hmacHex(secret, timestamp, body) {
+  return crypto.createHmac("sha256", String(secret)).update(`${timestamp}.${body}`).digest("hex");
+}
+
+export function signWebhookPayload(secret, body, timestamp = nowSeconds()) {
+  return `t=${timestamp},v1=${hmacHex(secret, timestamp, body)}`;
+}
+
+export function verifyWebhookSignature(secret, body, header, { now = nowSeconds(), toleranceSeconds = 300 } = {}) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.trim().split("="))
+      .filter((pair) => pair.length === 2)
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now - timestamp) > toleranceSeconds) return false;
+  return safeEqualText(parts.v1, hmacHex(secret, timestamp, body));
+}
+
+export function webhookRetryDelaySeconds(attempt, { baseSeconds = 10, maxSeconds = 3600 } = {}) {
+  return Math.min(maxSeconds, baseSeconds * 2 ** Math.max(0, attempt - 1));
+}
+
+export function checkCallbackUrl(value, { allowedHosts = [], allowHttp = false, allowPrivateAddresses = false } = {}) {
+  let target;
+  try {
+    target = new URL(String(value));
+  } catch {
+    return { ok: false, code: CALLBACK_ERROR_CODES.invalidUrl, message: `invalid callback url: ${value}` };
+  }
+  if (target.protocol !== "https:" && !(allowHttp && target.protocol === "http:")) {
+    return { ok: false, code: CALLBACK_ERROR_CODES.schemeNotAllowed, message: `callback url scheme is not allowed: ${target.protocol}` };
+  }
+  if (target.username || target.password) {
+    return { ok: false, code: CALLBACK_ERROR_CODES.invalidUrl, message: "callback url must not contain credentials" };
+  }
+  const hostname = target.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (!allowedHosts.some((pattern) => hostMatchesPattern(hostname, pattern))) {
+    return { ok: false, code: CALLBACK_ERROR_CODES.hostNotAllowed, message: `callback host is not allowed: ${hostname}` };
+  }
+  if (net.isIP(hostname) && !allowPrivateAddresses && isBlockedAddress(hostname)) {
+    return { ok: false, code: CALLBACK_ERROR_CODES.addressBlocked, message: `callback address is blocked: ${hostname}` };
+  }
+  return { ok: true, url: target.toString() };
+}
+
+export function postWebhook(url, body, headers, { timeoutMs = 10_000, allowPrivateAddresses = false, lookup = dns.lookup } = {}) {
+  const target = new URL(url);
+  const client = target.protocol === "https:" ? https : http;
+  const hostname = target.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname) && !allowPrivateAddresses && isBlockedAddress(hostname)) {
+    return Promise.reject(new Error(`callback address is blocked: ${hostname}`));
+  }
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method: "POST",
+      headers: { "content-type": "application/json", "content-length": Buffer.byteLength(body), ...headers },
+      timeout: timeoutMs,
+      lookup: createGuardedLookup({ allowPrivateAddresses, lookup }),
+      agent: false
+    });
+    req.on("timeout", () => req.destroy(new Error(`webhook timed out after ${timeoutMs}ms`)));
+    req.on("error", reject);
+    req.on("response", (res) => {
+      res.resume();
+      res.on("end", () => resolve({ status: res.statusCode }));
+    });
+    req.end(body);
+  });
+}
+
+function tryParseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+function readOutboxRecords(filePath) {
+  const lines = fs.readFileSync(filePath, "utf8").split("\n");
+  const records = [];
+  for (const [index, line] of lines.entries()) {
+    if (!line.trim()) continue;
+    const record = tryParseJson(line);
+    if (record) {
+      records.push(record);
+    } else if (lines.slice(index + 1).some((rest) => rest.trim())) {
+      throw new Error(`webhook outbox ${filePath} is corrupt at line ${index + 1}`);
+    }
+  }
+  return records;
+}
+
+export function createWebhookOutbox({ filePath, deadRetentionSeconds = 7 * 86400, maxDeadLetters = 1000 } = {}) {
+  const events = new Map();
+  let journalLines = 0;
+
+  function compact() {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, [...events.values()].map((event) => `${JSON.stringify({ op: "put", event })}\n`).join(""));
+    fs.renameSync(tmpPath, filePath);
+    journalLines = events.size;
+  }
+
+  function write(record) {
+    if (!filePath) return;
+    if (journalLines >= Math.max(100, events.size * 2)) {
+      compact();
+      return;
+    }
+    fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`);
+    journalLines += 1;
+  }
+
+  if (filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const records = fs.existsSync(filePath) ? readOutboxRecords(filePath) : [];
+    for (const record of records) {
+      if (record.op === "delete") events.delete(record.id);
+      else if (record.event?.id) events.set(record.event.id, record.event);
+    }
+    compact();
+  }
+
+  function remove(id) {
+    events.delete(id);
+    write({ op: "delete", id });
+  }
+
+  return {
+    add(event) {
+      events.set(event.id, event);
+      write({ op: "put", event });
+      return event;
+    },
+
+    update(id, patch) {
+      const event = events.get(id);
+      if (!event) return undefined;
+      const updated = { ...event, ...patch };
+      if (updated.status === "delivered") {
+        remove(id);
+      } else {
+        events.set(id, updated);
+        write({ op: "put", event: updated });
+      }
+      return updated;
+    },
+
+    prune(now = nowSeconds()) {
+      const dead = [...events.values()].filter((event) => event.status === "dead").sort((a, b) => a.deadAt - b.deadAt);
+      const overflow = Math.max(0, dead.length - maxDeadLetters);
+      const pruned = dead.filter((event, index) => index < overflow || event.deadAt + deadRetentionSeconds <= now);
+      for (const event of pruned) remove(event.id);
+      return pruned.length;
+    },
+
+    get(id) {
+      return events.get(id);
+    },
+
+    list({ status } = {}) {
+      return [...events.values()].filter((event) => !status || event.status === status);
+    },
+
+    due(now = nowSeconds()) {
+      return [...events.values()]
+        .filter((event) => event.status === "pending" && event.nextAttemptAt <= now)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+    }
+  };
+}
+
+export function createWebhookDispatcher({
+  outbox,
+  secretFor,
+  post = postWebhook,
+  maxAttempts = 8,
+  baseDelaySeconds = 10,
+  maxDelaySeconds = 3600,
+  timeoutMs = 10_000,
+  allowPrivateAddresses = false,
+  now = nowSeconds,
+  onDelivery = () => {}
+}) {
+  let timer;
+  let running;
+
+  async function deliver(event) {
+    const secret = secretFor(event);
+    const body = JSON.stringify({ id: event.id, type: event.type, createdAt: event.createdAt, data: event.data });
+    const attempts = event.attempts + 1;
+    let error;
+    try {
+      if (!secret) throw new Error("webhook secret is not configured");
+      const response = await post(
+        event.url,
+        body,
+        { [WEBHOOK_SIGNATURE_HEADER]: signWebhookPayload(secret, body, now()), [WEBHOOK_EVENT_HEADER]: event.id },
+        { timeoutMs, allowPrivateAddresses }
+      );
+      if (response.status < 200 || response.status > 299) error = `receiver responded ${response.status}`;
+    } catch (failure) {
+      error = String(failure?.message || failure);
+    }
+
+    if (!error) {
+      onDelivery({ event, outcome: "delivered", attempts });
+      return outbox.update(event.id, { status: "delivered", attempts, deliveredAt: now(), lastError: null });
+    }
+    if (attempts >= maxAttempts) {
+      onDelivery({ event, outcome: "dead", attempts, error });
+      return outbox.update(event.id, { status: "dead", attempts, lastError: error, deadAt: now() });
+    }
+    onDelivery({ event, outcome: "retry", attempts, error });
+    return outbox.update(event.id, {
+      attempts,
+      lastError: error,
+      nextAttemptAt: now() + webhookRetryDelaySeconds(attempts, { baseSeconds: baseDelaySeconds, maxSeconds: maxDelaySeconds })
+    });
+  }
+
+  async function deliverDue() {
+    if (running) return running;
+    running = (async () => {
+      outbox.prune(now());
+      for (const event of outbox.due(now())) await deliver(event);
+    })();
+    try {
+      await running;
+    } finally {
+      running = undefined;
+    }
+  }
+
+  return {
+    enqueue({ url, type, data, keyId = null }) {
+      const event = outbox.add({
+        id: crypto.randomUUID(),
+        type,
+        url,
+        keyId,
+        data,
+        status: "pending",
+        attempts: 0,
+        createdAt: now(),
+        nextAttemptAt: now(),
+        lastError: null
+      });
+      deliverDue().catch(() => {});
+      return event;
+    },
+
+    deliverDue,
+
+    deadLetters() {
+      return outbox.list({ status: "dead" });
+    },
+
+    pending() {
+      return outbox.list({ status: "pending" });
+    },
+
+    start(intervalMs = 1000) {
+      if (timer) return;
+      timer = setInterval(() => deliverDue().catch(() => {}), intervalMs);
+      timer.unref?.();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = undefined;
+    }
+  };
+}
@@ -0,0 +1,66 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { compareAmounts, currencyExponent, formatAmount, parseAmount } from "../src/amount.js";
+
+test("parseAmount handles codes, symbols and thousands separators", () => {
+  assert.deepEqual(parseAmount("1,000.50 GBP"), { minorUnits: "100050", currency: "GBP", exponent: 2 });
+  assert.deepEqual(parseAmount("€12.00"), { minorUnits: "1200", currency: "EUR", exponent: 2 });
+  assert.deepEqual(parseAmount("GBP 1,000"), { minorUnits: "100000", currency: "GBP", exponent: 2 });
+  assert.deepEqual(parseAmount("- 10 GBP"), { minorUnits: "-1000", currency: "GBP", exponent: 2 });
+});
+
+test("parseAmount handles locale decimal commas", () => {
+  assert.deepEqual(parseAmount("1.000,50 EUR"), { minorUnits: "100050", currency: "EUR", exponent: 2 });
+  assert.deepEqual(parseAmount("12,50 €"), { minorUnits: "1250", currency: "EUR", exponent: 2 });
+  assert.deepEqual(parseAmount("1 000,50", { currency: "eur" }), { minorUnits: "100050", currency: "EUR", exponent: 2 });
+});
+
+test("parseAmount reads a lone 3-digit group by the currency's decimal separator", () => {
+  assert.deepEqual(parseAmount("1,000 GBP"), { minorUnits: "100000", currency: "GBP", exponent: 2 });
+  assert.deepEqual(parseAmount("$1,000"), { minorUnits: "100000", currency: "USD", exponent: 2 });
+  assert.throws(() => parseAmount("1.234 GBP"), /more precision/);
+  assert.deepEqual(parseAmount("0.500 GBP"), { minorUnits: "50", currency: "GBP", exponent: 2 });
+  assert.deepEqual(parseAmount("1.000 BRL"), { minorUnits: "100000", currency: "BRL", exponent: 2 });
+  assert.throws(() => parseAmount("1,234 BRL"), /more precision/);
+  assert.deepEqual(parseAmount("1,234 KWD"), { minorUnits: "1234000", currency: "KWD", exponent: 3 });
+  assert.throws(() => parseAmount("1.000 EUR"), /ambiguous amount, "\." may group thousands or mark decimals in EUR/);
+  assert.throws(() => parseAmount("€1,000"), /ambiguous amount/);
+  assert.deepEqual(parseAmount("0,500 EUR"), { minorUnits: "50", currency: "EUR", exponent: 2 });
+  assert.deepEqual(parseAmount("1.000.000 EUR"), { minorUnits: "100000000", currency: "EUR", exponent: 2 });
+  assert.deepEqual(parseAmount("1,000,000 USD"), { minorUnits: "100000000", currency: "USD", exponent: 2 });
+  assert.deepEqual(parseAmount(1.5, { currency: "EUR" }), { minorUnits: "150", currency: "EUR", exponent: 2 });
+  assert.throws(() => parseAmount(1.234, { currency: "EUR" }), /more precision/);
+  assert.throws(() => parseAmount("1.000"), /ambiguous amount/);
+  assert.throws(() => parseAmount("1,000"), /ambiguous amount/);
+  assert.deepEqual(parseAmount("1.50"), { minorUnits: "150", currency: "", exponent: 2 });
+});
+
+test("parseAmount uses ISO 4217 exponents", () => {
+  assert.equal(currencyExponent("JPY"), 0);
+  assert.equal(currencyExponent("KWD"), 3);
+  assert.equal(currencyExponent("GBP"), 2);
+  assert.deepEqual(parseAmount("¥1,000"), { minorUnits: "1000", currency: "JPY", exponent: 0 });
+  assert.deepEqual(parseAmount("1.234 KWD"), { minorUnits: "1234", currency: "KWD", exponent: 3 });
+  assert.throws(() => parseAmount("12.345 GBP"), /more precision/);
+  assert.throws(() => parseAmount("0.125 GBP"), /more precision/);
+});
+
+test("parseAmount accepts value/currency objects and bare numbers", () => {
+  assert.deepEqual(parseAmount({ value: 12.5, currency: "EUR" }), { minorUnits: "1250", currency: "EUR", exponent: 2 });
+  assert.deepEqual(parseAmount({ minorUnits: "1250", currency: "EUR" }), { minorUnits: "1250", currency: "EUR", exponent: 2 });
+  assert.deepEqual(parseAmount("1000000"), { minorUnits: "1000000", currency: "", exponent: 0 });
+  assert.equal(parseAmount(""), undefined);
+});
+
+test("parseAmount rejects unparseable input", () => {
+  assert.throws(() => parseAmount("abc"), /unparseable amount/);
+  assert.throws(() => parseAmount("1.2.3 GBP"), /unparseable amount/);
+  assert.throws(() => parseAmount("12 GBP", { currency: "EUR" }), /currency mismatch/);
+});
+
+test("compareAmounts scales exponents and refuses mixed currencies", () => {
+  assert.equal(compareAmounts(parseAmount("10"), parseAmount("10.00 GBP")), 0);
+  assert.equal(compareAmounts(parseAmount("10.01 GBP"), parseAmount("10 GBP")), 1);
+  assert.throws(() => compareAmounts(parseAmount("10 GBP"), parseAmount("10 EUR")), /currency mismatch/);
+  assert.equal(formatAmount(parseAmount("1,000.5 GBP")), "1000.50 GBP");
+});
@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { buildApiKeyEntry, createApiKeyRegistry, createRateLimiter, loadApiKeys } from "../src/api-keys.js";
+import { sha256Hex } from "../src/lib.js";
+
+test("buildApiKeyEntry hashes keys and fills rate limit defaults", () => {
+  const entry = buildApiKeyEntry({ id: "settlement", key: "secret-1" }, { defaultRequestsPerMinute: 30 });
+  assert.equal(entry.keyHash, sha256Hex("secret-1"));
+  assert.deepEqual(entry.rateLimit, { requestsPerMinute: 30, burst: 30 });
+  assert.deepEqual(entry.origins, []);
+  assert.equal(entry.webhook, null);
+
+  const webhookPolicy = { allowedHosts: ["*.example"] };
+  const hook = (webhook, policy = webhookPolicy) => buildApiKeyEntry({ id: "hooks", key: "x", webhook }, { webhookPolicy: policy });
+  assert.deepEqual(hook({ url: "https://backend.example/tlsn", secret: "s" }).webhook, {
+    url: "https://backend.example/tlsn",
+    secret: "s"
+  });
+  assert.throws(() => hook({}), /webhook requires a url/);
+  assert.throws(() => hook({ url: "https://evil.test/tlsn", secret: "s" }), /callback host is not allowed: evil\.test/);
+  assert.throws(() => hook({ url: "http://backend.example/tlsn", secret: "s" }), /callback url scheme is not allowed/);
+  assert.throws(
+    () => hook({ url: "https://10.0.0.1/tlsn", secret: "s" }, { allowedHosts: ["10.0.0.1"] }),
+    /callback address is blocked/
+  );
+  assert.throws(() => hook({ url: "https://backend.example/tlsn" }), /requires a secret when TLSN_WEBHOOK_SECRET is not set/);
+  assert.equal(hook({ url: "https://backend.example/tlsn" }, { ...webhookPolicy, secret: "global" }).webhook.secret, null);
+
+  assert.throws(() => buildApiKeyEntry({ id: "bad id", key: "x" }), /invalid api key id/);
+  assert.throws(() => buildApiKeyEntry({ id: "nokey" }), /requires key or/);
+});
+
+test("loadApiKeys merges env and file keys and rejects duplicate ids", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "api-keys-"));
+  const filePath = path.join(dir, "keys.json");
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify({ keys: [{ id: "web", keyHash: sha256Hex("web-secret"), origins: ["https://app.example"] }] })
+  );
+
+  const entries = loadApiKeys({ raw: '[{"id":"settlement","key":"secret-1"}]', filePath });
+  assert.deepEqual(entries.map((entry) => entry.id), ["settlement", "web"]);
+  assert.throws(() => loadApiKeys({ raw: '[{"id":"web","key":"x"}]', filePath }), /duplicate api key id: web/);
+  assert.throws(() => loadApiKeys({ raw: '{"id":"web"}' }), /must be a JSON array/);
+});
+
+test("api key registry authenticates by secret and knows configured origins", () => {
+  const registry = createApiKeyRegistry(
+    loadApiKeys({ raw: '[{"id":"web","key":"web-secret","origins":["https://app.example"]}]' })
+  );
+  assert.equal(registry.enabled, true);
+  assert.equal(registry.authenticate("web-secret").id, "web");
+  assert.equal(registry.authenticate("wrong"), undefined);
+  assert.equal(registry.authenticate(undefined), undefined);
+  assert.equal(registry.isKnownOrigin("https://app.example"), true);
+  assert.equal(registry.isKnownOrigin("https://evil.example"), false);
+  assert.equal(createApiKeyRegistry([]).enabled, false);
+});
+
+test("rate limiter refills tokens over time", () => {
+  let now = 0;
+  const limiter = createRateLimiter({ now: () => now });
+  const limit = { requestsPerMinute: 60, burst: 2 };
+
+  assert.equal(limiter.take("a", limit).remaining, 1);
+  assert.equal(limiter.take("a", limit).ok, true);
+  const blocked = limiter.take("a", limit);
+  assert.equal(blocked.ok, false);
+  assert.equal(blocked.retryAfterSeconds, 1);
+  assert.equal(limiter.take("b", limit).ok, true);
+
+  now += 1000;
+  assert.equal(limiter.take("a", limit).ok, true);
+  assert.equal(limiter.take("a", limit).ok, false);
+});
+
+test("rate limiter charges a cost at once or not at all", () => {
+  let now = 0;
+  const limiter = createRateLimiter({ now: () => now });
+  const limit = { requestsPerMinute: 60, burst: 5 };
+
+  assert.equal(limiter.take("batch", limit).remaining, 4);
+  const charged = limiter.take("batch", limit, 3);
+  assert.equal(charged.ok, true);
+  assert.equal(charged.remaining, 1);
+
+  const rejected = limiter.take("batch", limit, 3);
+  assert.equal(rejected.ok, false);
+  assert.equal(rejected.remaining, 1);
+  assert.equal(rejected.retryAfterSeconds, 2);
+
+  now += 60_000;
+  assert.equal(limiter.take("batch", limit, 6).ok, false);
+  assert.equal(limiter.take("batch", limit, 5).ok, true);
+  assert.equal(limiter.take("batch", limit, 0).ok, true);
+});
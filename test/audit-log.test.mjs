@@ -0,0 +1,143 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { AUDIT_GENESIS_HASH, createAuditLog, createFileAuditLog, createMemoryAuditLog } from "../src/audit-log.js";
+
+function record(overrides = {}) {
+  return {
+    requestId: "req-1",
+    proofId: "proof-1",
+    keyId: "settlement",
+    provider: "wise",
+    status: 200,
+    outcome: "verified",
+    codes: [],
+    receiptHash: `0x${"ab".repeat(32)}`,
+    receiptHashScheme: "v1",
+    normalized: { amount: "10", transferId: "t1" },
+    presentationDigest: `0x${"cd".repeat(32)}`,
+    ...overrides
+  };
+}
+
+function tempFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "audit-")), "audit.jsonl");
+}
+
+test("entries are chained to the previous entry", async () => {
+  const log = createMemoryAuditLog();
+  const first = log.append(record(), new Date("2025-02-09T12:00:00Z"));
+  const second = log.append(record({ proofId: "proof-2", status: 409, outcome: "client_error", codes: ["TRANSFER_ALREADY_CLAIMED"] }));
+  assert.equal(first.seq, 1);
+  assert.equal(first.time, "2025-02-09T12:00:00.000Z");
+  assert.equal(first.prevHash, AUDIT_GENESIS_HASH);
+  assert.equal(second.prevHash, first.hash);
+  assert.match(second.hash, /^0x[0-9a-f]{64}$/);
+  assert.deepEqual(await log.verify(), { ok: true, entries: 2, headHash: second.hash });
+});
+
+test("entries can be found by proofId, receipt hash and time range", () => {
+  const log = createMemoryAuditLog();
+  log.append(record(), new Date("2025-02-09T12:00:00Z"));
+  log.append(record({ proofId: "proof-2", receiptHash: null }), new Date("2025-02-10T12:00:00Z"));
+  log.append(record({ requestId: "req-3" }), new Date("2025-02-11T12:00:00Z"));
+
+  assert.deepEqual(log.findByProofId("proof-1").map((entry) => entry.seq), [1, 3]);
+  assert.deepEqual(log.findByReceiptHash(`0x${"AB".repeat(32)}`).map((entry) => entry.seq), [1, 3]);
+  assert.deepEqual(log.findByProofId("missing"), []);
+  assert.deepEqual(
+    log.range({ from: "2025-02-10T00:00:00.000Z", to: "2025-02-11T12:00:00.000Z" }).map((entry) => entry.seq),
+    [2]
+  );
+});
+
+test("file audit log survives restarts and detects tampering", async () => {
+  const filePath = tempFile();
+  const log = createFileAuditLog(filePath);
+  log.append(record());
+  log.append(record({ proofId: "proof-2" }));
+
+  const reopened = createFileAuditLog(filePath);
+  const third = reopened.append(record({ proofId: "proof-3" }));
+  assert.equal(third.seq, 3);
+  assert.equal((await reopened.verify()).ok, true);
+  assert.deepEqual(reopened.findByProofId("proof-2").map((entry) => entry.seq), [2]);
+  assert.deepEqual(reopened.range().map((entry) => entry.seq), [1, 2, 3]);
+
+  const lines = fs.readFileSync(filePath, "utf8").trim().split("\n");
+  const tampered = JSON.parse(lines[1]);
+  tampered.normalized.amount = "1000";
+  lines[1] = JSON.stringify(tampered);
+  fs.writeFileSync(filePath, `${lines.join("\n")}\n`);
+
+  assert.deepEqual(await reopened.verify(), {
+    ok: false,
+    entries: 3,
+    brokenAt: 2,
+    reason: "entry hash does not match its contents"
+  });
+  assert.throws(() => createFileAuditLog(filePath), /corrupt at seq 2/);
+
+  fs.writeFileSync(filePath, `${[lines[0], lines[2]].join("\n")}\n`);
+  assert.equal((await reopened.verify()).reason, "expected seq 2, got 3");
+});
+
+test("file audit log sets a torn trailing line aside and keeps appending", async () => {
+  const filePath = tempFile();
+  const log = createFileAuditLog(filePath);
+  log.append(record());
+  const second = log.append(record({ proofId: "proof-2" }));
+  const intact = fs.readFileSync(filePath, "utf8");
+  fs.appendFileSync(filePath, JSON.stringify({ ...second, seq: 3 }).slice(0, 40));
+
+  const warnings = [];
+  const reopened = createFileAuditLog(filePath, { onWarning: (message, fields) => warnings.push({ message, ...fields }) });
+  assert.equal(warnings.length, 1);
+  assert.equal(warnings[0].message, "audit log had a torn trailing line");
+  assert.equal(warnings[0].bytes, 40);
+  assert.equal(fs.readFileSync(warnings[0].tornPath, "utf8").length, 40);
+  assert.equal(fs.readFileSync(filePath, "utf8"), intact);
+
+  const third = reopened.append(record({ proofId: "proof-3" }));
+  assert.equal(third.seq, 3);
+  assert.equal(third.prevHash, second.hash);
+  assert.deepEqual(await reopened.verify(), { ok: true, entries: 3, headHash: third.hash });
+  assert.deepEqual(reopened.findByProofId("proof-3").map((entry) => entry.seq), [3]);
+});
+
+test("file audit log keeps a complete last entry that lost its newline", async () => {
+  const filePath = tempFile();
+  const log = createFileAuditLog(filePath);
+  log.append(record());
+  const second = log.append(record({ proofId: "proof-2" }));
+  fs.writeFileSync(filePath, fs.readFileSync(filePath, "utf8").trimEnd());
+
+  const warnings = [];
+  const reopened = createFileAuditLog(filePath, { onWarning: (message) => warnings.push(message) });
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(reopened.findByProofId("proof-2").map((entry) => entry.hash), [second.hash]);
+  const third = reopened.append(record({ proofId: "proof-3" }));
+  assert.equal(third.seq, 3);
+  assert.equal((await reopened.verify()).ok, true);
+});
+
+test("file audit log still refuses to start on a break before the last line", () => {
+  const filePath = tempFile();
+  const log = createFileAuditLog(filePath);
+  log.append(record());
+  log.append(record({ proofId: "proof-2" }));
+  const lines = fs.readFileSync(filePath, "utf8").split("\n");
+  lines[0] = lines[0].slice(0, 20);
+  fs.writeFileSync(filePath, lines.join("\n"));
+  assert.throws(() => createFileAuditLog(filePath), /corrupt at seq 1: expected seq 1, got null/);
+});
+
+test("createAuditLog can be turned off", async () => {
+  const log = createAuditLog("off");
+  assert.equal(log.enabled, false);
+  assert.equal(log.append(record()), undefined);
+  assert.equal((await log.verify()).ok, true);
+  assert.throws(() => createAuditLog("s3"), /unsupported audit log/);
+});
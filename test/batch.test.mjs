@@ -0,0 +1,97 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { checkBatchRequest, createSharedNotaryResolver, mapWithConcurrency, runBatch } from "../src/batch.js";
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test("mapWithConcurrency keeps input order and never exceeds the limit", async () => {
+  let active = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([5, 1, 4, 2, 3, 0], 2, async (value, index) => {
+    active += 1;
+    peak = Math.max(peak, active);
+    for (let i = 0; i < value; i += 1) await tick();
+    active -= 1;
+    return `${index}:${value}`;
+  });
+  assert.deepEqual(results, ["0:5", "1:1", "2:4", "3:2", "4:3", "5:0"]);
+  assert.equal(peak, 2);
+  assert.deepEqual(await mapWithConcurrency([], 4, async () => assert.fail("not called")), []);
+});
+
+test("batch requests accept bare arrays and enforce the item limit", () => {
+  const bare = checkBatchRequest([{ a: 1 }], { maxItems: 2 });
+  assert.equal(bare.ok, true);
+  assert.deepEqual(bare.payload, { items: [{ a: 1 }] });
+
+  const empty = checkBatchRequest({ items: [] }, { maxItems: 2 });
+  assert.equal(empty.ok, false);
+  assert.equal(empty.status, 400);
+  assert.equal(empty.json.code, "BATCH_ITEMS_INVALID");
+
+  assert.equal(checkBatchRequest({ items: new Array(50).fill({}) }, { maxItems: 50 }).ok, true);
+  const tooMany = checkBatchRequest({ items: new Array(51).fill({}) }, { maxItems: 50 });
+  assert.equal(tooMany.ok, false);
+  assert.equal(tooMany.status, 400);
+  assert.equal(tooMany.json.code, "BATCH_TOO_MANY_ITEMS");
+  assert.match(tooMany.json.details[0].message, /items=51, limit=50/);
+});
+
+test("batch items fail in isolation", async () => {
+  const items = [{ ok: true }, "nope", { throws: true }, { padding: "x".repeat(200) }, { status: 422 }];
+  const summary = await runBatch(items, {
+    concurrency: 2,
+    maxItemBytes: 100,
+    verifyItem: async (item) => {
+      if (item.throws) throw new Error("boom");
+      return { status: item.status ?? 200, json: { ok: !item.status } };
+    }
+  });
+  assert.equal(summary.total, 5);
+  assert.equal(summary.succeeded, 1);
+  assert.equal(summary.failed, 4);
+  assert.deepEqual(
+    summary.results.map((result) => [result.index, result.status, result.ok]),
+    [
+      [0, 200, true],
+      [1, 400, false],
+      [2, 500, false],
+      [3, 413, false],
+      [4, 422, false]
+    ]
+  );
+  assert.equal(summary.results[1].body.code, "BATCH_ITEM_INVALID");
+  assert.equal(summary.results[2].body.code, "INTERNAL_ERROR");
+  assert.equal(summary.results[2].body.details[0].path, "/items/2");
+  assert.equal(summary.results[3].body.code, "BATCH_ITEM_TOO_LARGE");
+  assert.deepEqual(summary.results[4].body, { ok: false });
+});
+
+test("shared notary resolver fetches each notary URL once per batch", async () => {
+  const calls = [];
+  const resolve = async (attestation) => {
+    calls.push(attestation);
+    return "PEM";
+  };
+  const resolver = createSharedNotaryResolver({ resolve });
+  const first = { meta: { notaryUrl: "https://notary.example/" } };
+  const second = { notaryUrl: "https://notary.example" };
+  const other = { notaryUrl: "https://other.example" };
+  const [a, b, c] = await Promise.all([resolver(first), resolver(second), resolver(other)]);
+  assert.deepEqual([a, b, c], ["PEM", "PEM", "PEM"]);
+  assert.deepEqual(calls, [first, other]);
+
+  const embedded = { notaryUrl: "https://notary.example", notaryPublicKeyPem: "KEY" };
+  await resolver(embedded);
+  await resolver({});
+  assert.equal(calls.length, 4);
+
+  const envCalls = [];
+  const envResolver = createSharedNotaryResolver({
+    resolve: async (attestation) => envCalls.push(attestation),
+    envPublicKeyPem: "ENV"
+  });
+  await envResolver(first);
+  await envResolver(first);
+  assert.equal(envCalls.length, 2);
+});
@@ -0,0 +1,37 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { evaluateCapturePolicy, parseCapturePolicy } from "../src/capture-policy.js";
+import { extractBearerToken } from "../src/lib.js";
+
+test("parseCapturePolicy disables capture mode by default and requires an allowlist when on", () => {
+  assert.equal(parseCapturePolicy({}).enabled, false);
+  assert.equal(
+    parseCapturePolicy({ TLSN_BROWSER_CAPTURE: "on", TLSN_BROWSER_CAPTURE_KEY_IDS: "settlement" }).enabled,
+    true
+  );
+  assert.throws(() => parseCapturePolicy({ TLSN_BROWSER_CAPTURE: "on" }), /requires TLSN_BROWSER_CAPTURE_ORIGINS/);
+  assert.throws(() => parseCapturePolicy({ TLSN_BROWSER_CAPTURE: "maybe" }), /invalid TLSN_BROWSER_CAPTURE/);
+});
+
+test("evaluateCapturePolicy restricts capture mode to allowed origins or api key ids", () => {
+  const policy = parseCapturePolicy({
+    TLSN_BROWSER_CAPTURE: "on",
+    TLSN_BROWSER_CAPTURE_ORIGINS: "https://app.example",
+    TLSN_BROWSER_CAPTURE_KEY_IDS: "key-a,key-b"
+  });
+  assert.deepEqual(evaluateCapturePolicy(policy, { origin: "https://APP.example" }), { ok: true, via: "origin" });
+  assert.deepEqual(evaluateCapturePolicy(policy, { keyId: "key-b" }), { ok: true, via: "key-id" });
+  assert.equal(evaluateCapturePolicy(policy, { origin: "https://evil.example", keyId: "key-c" }).code, "CAPTURE_NOT_ALLOWED");
+  assert.equal(evaluateCapturePolicy(policy, {}).code, "CAPTURE_NOT_ALLOWED");
+  assert.deepEqual(evaluateCapturePolicy(parseCapturePolicy({ TLSN_BROWSER_CAPTURE: "off" }), { keyId: "key-a" }), {
+    ok: false,
+    code: "CAPTURE_DISABLED",
+    error: "browser capture mode is disabled"
+  });
+});
+
+test("extractBearerToken reads the authorization header", () => {
+  assert.equal(extractBearerToken("Bearer abc123"), "abc123");
+  assert.equal(extractBearerToken("Basic abc123"), undefined);
+  assert.equal(extractBearerToken(undefined), undefined);
+});
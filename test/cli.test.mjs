@@ -0,0 +1,177 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { CLI_EXIT_CODES, parseCliArgs, runCli } from "../src/cli.js";
+
+const PEM = "-----BEGIN PUBLIC KEY-----\nAAAA\n-----END PUBLIC KEY-----";
+
+function presentation({ host = "wise.com", path: requestPath = "/v1/profiles/1/activities" } = {}) {
+  const recv = [
+    "HTTP/1.1 200 OK",
+    "content-type: application/json",
+    "",
+    JSON.stringify({ activities: [{ id: "t1", amount: "10.00 EUR", timestamp: 1739102400, payer: "alice" }] })
+  ].join("\r\n");
+  const result = {
+    sent: `GET ${requestPath} HTTP/1.1\r\nHost: ${host}\r\n\r\n`,
+    recv,
+    server_name: host,
+    time: 1739102500
+  };
+  return Buffer.from(JSON.stringify(result)).toString("hex");
+}
+
+function fakeVerify(hex, pem) {
+  if (pem !== PEM) throw new Error("signature mismatch");
+  return JSON.parse(Buffer.from(hex, "hex").toString("utf8"));
+}
+
+function collector() {
+  let text = "";
+  return { write: (chunk) => (text += chunk), get text() { return text; } };
+}
+
+async function run(argv, input, env = {}) {
+  const stdout = collector();
+  const stderr = collector();
+  const exitCode = await runCli(argv, {
+    stdin: Readable.from([input]),
+    stdout,
+    stderr,
+    env,
+    verifyPresentation: fakeVerify
+  });
+  return { exitCode, stdout: stdout.text, stderr: stderr.text };
+}
+
+test("parseCliArgs merges expected flags over --expected", () => {
+  const options = parseCliArgs([
+    "verify",
+    "-",
+    "--expected",
+    '{"amount":"1","currency":"GBP"}',
+    "--amount",
+    "10",
+    "--status",
+    "COMPLETED"
+  ]);
+  assert.equal(options.command, "verify");
+  assert.deepEqual(options.expected, { amount: "10", currency: "GBP", status: ["COMPLETED"] });
+  assert.throws(() => parseCliArgs(["check", "-"]), /unknown command/);
+});
+
+test("cli verifies a request body and reports the receipt hash", async () => {
+  const body = JSON.stringify({
+    attestation: { presentation: presentation(), notaryPublicKeyPem: PEM },
+    selectedTransfer: { transferId: "t1" },
+    expected: { amount: "10 EUR" }
+  });
+  const { exitCode, stdout } = await run(["verify", "-"], body);
+  assert.equal(exitCode, CLI_EXIT_CODES.ok);
+  const report = JSON.parse(stdout);
+  assert.equal(report.ok, true);
+  assert.equal(report.normalized.transferId, "t1");
+  assert.equal(report.notary.source, "attestation");
+  assert.deepEqual(report.backend, { id: "tlsn-ts", version: null });
+  assert.match(report.receiptHash, /^0x[0-9a-f]{64}$/);
+  assert.equal(report.receiptHashScheme, "v1");
+  assert.equal(report.recentTransfers.length, 1);
+  assert.deepEqual(
+    [report.recentTransfers[0].source.exchange, report.recentTransfers[0].source.endpoint],
+    [0, "activities"]
+  );
+  assert.deepEqual([report.match.index, report.match.score, report.match.fields[0].reason], [0, 100, "transferId matches"]);
+
+  assert.equal(report.provenTransferCount, 1);
+  assert.equal(report.transferQuery, null);
+
+  const queried = JSON.parse((await run(["verify", "-", "--query", '{"currency":"EUR","minAmount":"5"}'], body)).stdout);
+  assert.deepEqual([queried.transferQuery.total, queried.transferQuery.matched], [1, 1]);
+  assert.equal(queried.transferQuery.rows[0].transferId, "t1");
+  const empty = await run(["verify", "-", "--query", '{"currency":"GBP"}'], body);
+  assert.equal(JSON.parse(empty.stdout).code, "TRANSFER_NOT_FOUND");
+  assert.equal((await run(["verify", "-", "--query", '{"limit":0}'], body)).exitCode, CLI_EXIT_CODES.usage);
+
+  const v3 = JSON.parse((await run(["verify", "-", "--receipt-scheme", "v3"], body)).stdout);
+  assert.equal(v3.receiptHashScheme, "v3");
+  assert.notEqual(v3.receiptHash, report.receiptHash);
+});
+
+test("cli separates verification failures from policy failures", async () => {
+  const rejected = await run(["verify", "-", `--notary-key=${PEM.replace("AAAA", "BBBB")}`], presentation());
+  assert.equal(rejected.exitCode, CLI_EXIT_CODES.verificationFailed);
+  assert.equal(JSON.parse(rejected.stdout).code, "TLS_VERIFICATION_FAILED");
+
+  const envelope = JSON.stringify({ version: "0.1.0-alpha.99", data: `0x${presentation()}` });
+  const unsupported = await run(["verify", "-", `--notary-key=${PEM}`], envelope);
+  assert.equal(unsupported.exitCode, CLI_EXIT_CODES.verificationFailed);
+  assert.equal(JSON.parse(unsupported.stdout).code, "PRESENTATION_VERSION_UNSUPPORTED");
+
+  const policy = ["verify", "-", `--notary-key=${PEM}`, "--select", "t1"];
+  const mismatch = await run([...policy, "--amount", "11 EUR"], presentation());
+  assert.equal(mismatch.exitCode, CLI_EXIT_CODES.policyFailed);
+  const report = JSON.parse(mismatch.stdout);
+  assert.equal(report.code, "CONSTRAINTS_MISMATCH");
+  assert.equal(report.details[0].code, "AMOUNT_MISMATCH");
+
+  const unmatched = await run(["verify", "-", `--notary-key=${PEM}`, "--select", "t9"], presentation());
+  assert.equal(unmatched.exitCode, CLI_EXIT_CODES.policyFailed);
+  assert.equal(JSON.parse(unmatched.stdout).code, "TRANSFER_NOT_FOUND");
+
+  const unconfirmed = await run([...policy, "--require-transfer-details"], presentation());
+  assert.equal(unconfirmed.exitCode, CLI_EXIT_CODES.policyFailed);
+  assert.equal(JSON.parse(unconfirmed.stdout).code, "TRANSFER_NOT_CONFIRMED");
+
+  const host = await run([...policy, "--allowed-hosts", "example.com"], presentation());
+  assert.equal(host.exitCode, CLI_EXIT_CODES.policyFailed);
+  assert.equal(JSON.parse(host.stdout).code, "HOST_NOT_ALLOWED");
+
+  const stale = await run([...policy, "--max-transfer-gap", "10"], presentation());
+  assert.equal(stale.exitCode, CLI_EXIT_CODES.policyFailed);
+  const freshness = JSON.parse(stale.stdout);
+  assert.equal(freshness.code, "FRESHNESS_FAILED");
+  assert.equal(freshness.details[0].code, "TRANSFER_GAP_EXCEEDED");
+  assert.equal(freshness.freshness.notarizedAt, 1739102500);
+  assert.equal(freshness.freshness.transferTimestamp, 1739102400);
+});
+
+test("cli inspect skips policy and prints a table", async () => {
+  const hex = presentation({ host: "example.com", path: "/anything" });
+  const { exitCode, stdout } = await run(["inspect", "-", `--notary-key=${PEM}`, "--format", "table"], `0x${hex}`);
+  assert.equal(exitCode, CLI_EXIT_CODES.ok);
+  assert.match(stdout, /^result\s+ok$/m);
+  assert.match(stdout, /serverName\s+example\.com/);
+  assert.match(stdout, /t1\s+10\.00 EUR/);
+});
+
+test("cli reads files and reports usage errors", async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "tlsn-cli-")), "presentation.hex");
+  fs.writeFileSync(file, presentation());
+  const missingKey = await run(["verify", file], "");
+  assert.equal(missingKey.exitCode, CLI_EXIT_CODES.usage);
+  assert.match(missingKey.stderr, /missing notary key/);
+
+  const verified = await run(["verify", file, `--notary-key=${PEM}`, "--select", "t1"], "");
+  assert.equal(verified.exitCode, CLI_EXIT_CODES.ok);
+
+  const missingFile = await run(["verify", `${file}.missing`], "");
+  assert.equal(missingFile.exitCode, CLI_EXIT_CODES.usage);
+});
+
+test("cli reports unreadable input and bad configuration as usage errors", async () => {
+  const directory = await run(["verify", os.tmpdir(), `--notary-key=${PEM}`], "");
+  assert.equal(directory.exitCode, CLI_EXIT_CODES.usage);
+  assert.match(directory.stderr, /^tlsn-verifier: unable to read .*EISDIR.*\n$/);
+
+  const backends = await run(["verify", "-", `--notary-key=${PEM}`], presentation(), { TLSN_VERIFIER_BACKENDS: "[bad" });
+  assert.equal(backends.exitCode, CLI_EXIT_CODES.usage);
+  assert.match(backends.stderr, /^tlsn-verifier: invalid TLSN_VERIFIER_BACKENDS: .*\n$/);
+  assert.equal(backends.stdout, "");
+
+  const policy = await run(["verify", "-", `--notary-key=${PEM}`], presentation(), { TLSN_MATCH_MIN_SCORE: "lots" });
+  assert.equal(policy.exitCode, CLI_EXIT_CODES.usage);
+  assert.match(policy.stderr, /invalid policy configuration: .*TLSN_MATCH_MIN_SCORE/);
+});
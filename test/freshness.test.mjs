@@ -0,0 +1,98 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildFreshnessReport,
+  evaluateFreshness,
+  parseFreshnessPolicy,
+  resolveFreshnessRules
+} from "../src/freshness.js";
+
+test("parseFreshnessPolicy defaults to rejecting transfers after notarization only", () => {
+  assert.deepEqual(parseFreshnessPolicy({}), {
+    maxNotarizationAgeSeconds: { default: null, cap: null },
+    maxTransferGapSeconds: { default: null, cap: null },
+    rejectTransferAfterNotarization: true,
+    transferClockSkewSeconds: 300
+  });
+  const policy = parseFreshnessPolicy({
+    TLSN_MAX_NOTARIZATION_AGE_SECONDS: "600",
+    TLSN_MAX_NOTARIZATION_AGE_CAP_SECONDS: "3600",
+    TLSN_MAX_TRANSFER_GAP_CAP_SECONDS: "86400",
+    TLSN_REJECT_TRANSFER_AFTER_NOTARIZATION: "false"
+  });
+  assert.deepEqual(policy.maxNotarizationAgeSeconds, { default: 600, cap: 3600 });
+  assert.deepEqual(policy.maxTransferGapSeconds, { default: 86400, cap: 86400 });
+  assert.equal(policy.rejectTransferAfterNotarization, false);
+  assert.throws(() => parseFreshnessPolicy({ TLSN_MAX_TRANSFER_GAP_SECONDS: "-1" }), /invalid TLSN_MAX_TRANSFER_GAP_SECONDS/);
+  assert.throws(
+    () => parseFreshnessPolicy({ TLSN_REJECT_TRANSFER_AFTER_NOTARIZATION: "yes" }),
+    /invalid TLSN_REJECT_TRANSFER_AFTER_NOTARIZATION/
+  );
+});
+
+test("resolveFreshnessRules keeps request overrides within server caps", () => {
+  const policy = parseFreshnessPolicy({
+    TLSN_MAX_NOTARIZATION_AGE_SECONDS: "600",
+    TLSN_MAX_NOTARIZATION_AGE_CAP_SECONDS: "3600",
+    TLSN_REJECT_TRANSFER_AFTER_NOTARIZATION: "false"
+  });
+  assert.equal(resolveFreshnessRules(policy).maxNotarizationAgeSeconds, 600);
+  assert.equal(resolveFreshnessRules(policy, { maxNotarizationAgeSeconds: 60 }).maxNotarizationAgeSeconds, 60);
+  assert.equal(resolveFreshnessRules(policy, { maxNotarizationAgeSeconds: 99999 }).maxNotarizationAgeSeconds, 3600);
+  assert.equal(resolveFreshnessRules(policy).maxTransferGapSeconds, null);
+  assert.equal(resolveFreshnessRules(policy, { maxTransferGapSeconds: 120 }).maxTransferGapSeconds, 120);
+  assert.equal(resolveFreshnessRules(policy).rejectTransferAfterNotarization, false);
+  assert.equal(
+    resolveFreshnessRules(policy, { rejectTransferAfterNotarization: true }).rejectTransferAfterNotarization,
+    true
+  );
+  assert.equal(
+    resolveFreshnessRules(parseFreshnessPolicy({}), { rejectTransferAfterNotarization: false })
+      .rejectTransferAfterNotarization,
+    true
+  );
+});
+
+test("evaluateFreshness reports each failed rule with a code", () => {
+  const rules = {
+    maxNotarizationAgeSeconds: 3600,
+    maxTransferGapSeconds: 600,
+    rejectTransferAfterNotarization: true,
+    transferClockSkewSeconds: 60
+  };
+  const now = 1739200000;
+  const fresh = evaluateFreshness(rules, { notarizedAt: now - 100, transferTimestamp: now - 400, now });
+  assert.ok(fresh.every((result) => result.ok));
+  assert.deepEqual(
+    fresh.map((result) => result.rule),
+    ["maxNotarizationAgeSeconds", "maxTransferGapSeconds", "rejectTransferAfterNotarization"]
+  );
+
+  const stale = evaluateFreshness(rules, { notarizedAt: now - 7200, transferTimestamp: now - 9000, now });
+  assert.deepEqual(
+    stale.filter((result) => !result.ok).map((result) => result.code),
+    ["NOTARIZATION_TOO_OLD", "TRANSFER_GAP_EXCEEDED"]
+  );
+
+  const ahead = evaluateFreshness(rules, { notarizedAt: now - 100, transferTimestamp: now, now });
+  assert.deepEqual(
+    ahead.filter((result) => !result.ok).map((result) => result.code),
+    ["TRANSFER_AFTER_NOTARIZATION"]
+  );
+
+  const missing = evaluateFreshness(rules, { notarizedAt: undefined, transferTimestamp: now, now });
+  assert.deepEqual(
+    missing.map((result) => result.code),
+    ["NOTARIZATION_TIME_MISSING", "NOTARIZATION_TIME_MISSING"]
+  );
+});
+
+test("buildFreshnessReport includes both times", () => {
+  const rules = resolveFreshnessRules(parseFreshnessPolicy({}));
+  const report = buildFreshnessReport(rules, { notarizedAt: 1739102500, transferTimestamp: "1739102400", now: 1739200000 });
+  assert.equal(report.ok, true);
+  assert.equal(report.notarizedAt, 1739102500);
+  assert.equal(report.transferTimestamp, 1739102400);
+  assert.equal(report.checkedAt, 1739200000);
+  assert.equal(report.results.length, 1);
+});
@@ -0,0 +1,82 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { extractProvenTransfers, findRedactedRanges, inspectTranscript, maskSecretHeaders } from "../src/inspect.js";
+
+const SENT = "GET /v1/profiles/1/activities HTTP/1.1\r\nHost: wise.com\r\nCookie: \0\0\0\0\r\nAuthorization: Bearer abc\r\n\r\n";
+const RECV = [
+  "HTTP/1.1 200 OK",
+  "content-type: application/json",
+  "set-cookie: session=xyz",
+  "",
+  JSON.stringify({ activities: [{ id: "t1", amount: "10.00 EUR", payer: "alice" }] })
+].join("\r\n");
+
+test("findRedactedRanges reports byte ranges of unrevealed data", () => {
+  assert.deepEqual(findRedactedRanges("ab\0\0c\0"), [
+    { start: 2, end: 4 },
+    { start: 5, end: 6 }
+  ]);
+  assert.deepEqual(findRedactedRanges("é\0"), [{ start: 2, end: 3 }]);
+  assert.deepEqual(findRedactedRanges(""), []);
+});
+
+test("maskSecretHeaders hides secret header values without moving offsets", () => {
+  const masked = maskSecretHeaders(SENT);
+  assert.equal(masked.length, SENT.length);
+  assert.match(masked, /Authorization: \*{10}\r\n/);
+  assert.match(masked, /Cookie: \0{4}\r\n/);
+  assert.match(masked, /Host: wise\.com/);
+});
+
+test("maskSecretHeaders keeps byte offsets for non-ASCII header values", () => {
+  const sent = "GET / HTTP/1.1\r\nCookie: sé€😀=\0\0\r\nX-Note: naïve\r\n\r\nbody\0";
+  const masked = maskSecretHeaders(sent);
+  assert.equal(Buffer.byteLength(masked, "utf8"), Buffer.byteLength(sent, "utf8"));
+  assert.match(masked, /Cookie: \*{11}\0{2}\r\n/);
+  assert.match(masked, /X-Note: naïve/);
+  assert.deepEqual(findRedactedRanges(masked), findRedactedRanges(sent));
+  assert.equal(Buffer.from(masked, "utf8").indexOf("X-Note"), Buffer.from(sent, "utf8").indexOf("X-Note"));
+
+  const result = inspectTranscript({ attestation: {}, sent, recv: "", maskSecrets: true });
+  assert.deepEqual(result.sent.redacted, findRedactedRanges(sent));
+  assert.equal(result.sent.length, Buffer.byteLength(sent, "utf8"));
+});
+
+test("inspectTranscript returns parsed exchanges, json bodies and transfers", () => {
+  const result = inspectTranscript({ attestation: {}, sent: SENT, recv: RECV, maskSecrets: true });
+  assert.deepEqual(result.sent.redacted, [{ start: 64, end: 68 }]);
+  assert.match(result.sent.text, /Cookie: ████/);
+  assert.equal(result.requests.length, 1);
+  assert.equal(result.requests[0].target, "/v1/profiles/1/activities");
+  assert.deepEqual(result.requests[0].headers[2], { name: "Authorization", value: "**********" });
+  assert.equal(result.responses[0].statusCode, 200);
+  assert.deepEqual(result.responses[0].headers[1], { name: "set-cookie", value: "***********" });
+  assert.equal(result.jsonBodies[0].response, 0);
+  assert.equal(result.recentTransfers[0].transferId, "t1");
+  assert.equal(result.provenTransferCount, result.recentTransfers.length);
+  assert.deepEqual(result.warnings, []);
+});
+
+test("inspectTranscript reports parse problems as warnings", () => {
+  const result = inspectTranscript({ attestation: {}, sent: "garbage", recv: "HTTP/1.1 500 Error\r\n\r\n" });
+  assert.equal(result.requests.length, 0);
+  assert.equal(result.responses[0].statusCode, 500);
+  assert.equal(result.recentTransfers.length, 0);
+  assert.equal(result.provenTransferCount, 0);
+  assert.equal(result.warnings.length, 2);
+});
+
+test("proven transfer extraction failures are reported as warnings", () => {
+  const recv = "HTTP/1.1 200 OK\r\ncontent-type: application/json\r\n\r\n{";
+  const proven = extractProvenTransfers({}, recv);
+  assert.deepEqual(proven.transfers, []);
+  assert.match(proven.warning, /^unable to extract proven transfers: /);
+  const result = inspectTranscript({ attestation: {}, sent: "", recv, proven: { ...proven, error: "query rows failed" } });
+  assert.ok(result.warnings.includes(proven.warning));
+  assert.deepEqual(inspectTranscript({ attestation: {}, sent: "", recv, proven }).warnings, [
+    "response 0 body is not valid json",
+    "unable to extract transfers: response 0 body is not valid json"
+  ]);
+  assert.equal(result.provenTransferCount, 0);
+  assert.deepEqual(extractProvenTransfers({}, RECV).warning, null);
+});
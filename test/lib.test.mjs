@@ -1,15 +1,21 @@
 import test from "node:test";
 import assert from "node:assert/strict";
+import zlib from "node:zlib";
 import {
   buildWiseReceiptHash,
+  evaluateExpected,
   extractNotaryPublicKeyPem,
   extractNotaryUrl,
   extractPublicKeyFromNotaryInfo,
   extractRecentTransfers,
+  extractTransfers,
   extractPresentationHex,
+  extractPresentationVersion,
   hostMatchesAllowedSuffix,
+  isTransferConfirmed,
   normalizeVerifierData,
   parseAllowedHostSuffixes,
+  validateExpected,
   verifyPresentationLocally
 } from "../src/lib.js";
 
@@ -60,6 +66,20 @@ test("extractPresentationHex supports tlsn-js presentation envelope", () => {
   assert.equal(value, "deadbeef");
 });
 
+test("extractPresentationVersion reads the version of the envelope holding the presentation", () => {
+  assert.equal(extractPresentationVersion({ version: "0.1.0-alpha.12", data: "0xdeadbeef" }), "0.1.0-alpha.12");
+  assert.equal(
+    extractPresentationVersion({ version: "2", presentation: { version: "0.1.0-alpha.13", data: "0xdeadbeef" } }),
+    "0.1.0-alpha.13"
+  );
+  assert.equal(
+    extractPresentationVersion({ meta: { presentation: '{"version":"0.1.0-alpha.12","data":"0xdeadbeef"}' } }),
+    "0.1.0-alpha.12"
+  );
+  assert.equal(extractPresentationVersion({ version: "2", presentation: { data: "0xdeadbeef" } }), undefined);
+  assert.equal(extractPresentationVersion("0xdeadbeef"), undefined);
+});
+
 test("extractNotaryPublicKeyPem prefers attestation key then env fallback", () => {
   const keyA = extractNotaryPublicKeyPem(
     { notaryKeyPem: "-----BEGIN PUBLIC KEY-----\nA\n-----END PUBLIC KEY-----" },
@@ -88,6 +108,28 @@ test("verifyPresentationLocally returns normalized local verify output", async (
   assert.match(result.recv, /200/);
 });
 
+test("verifyPresentationLocally passes recv bytes through so compressed bodies decode", async () => {
+  const body = zlib.gzipSync(Buffer.from(JSON.stringify({ activities: [{ id: "t1", amount: "10 EUR" }] })));
+  const recv = Buffer.concat([
+    Buffer.from("HTTP/1.1 200 OK\r\nContent-Type: application/json\r\nContent-Encoding: gzip\r\n\r\n"),
+    body
+  ]);
+  const verify = (transcript) =>
+    verifyPresentationLocally({
+      attestation: { presentation: "0xabc123" },
+      notaryPublicKeyPem: "-----BEGIN PUBLIC KEY-----\nX\n-----END PUBLIC KEY-----",
+      verifyPresentation: () => ({ sent: "GET / HTTP/1.1", recv: transcript, time: 1739102400n, server_name: "wise.com" })
+    });
+
+  const bytes = await verify(new Uint8Array(recv));
+  assert.ok(Buffer.isBuffer(bytes.recv));
+  assert.deepEqual(extractTransfers({}, bytes.recv).map((transfer) => transfer.transferId), ["t1"]);
+
+  const text = await verify(recv.toString("utf8"));
+  assert.equal(typeof text.recv, "string");
+  assert.throws(() => extractTransfers({}, text.recv), /cannot be decoded without the raw recv bytes/);
+});
+
 test("extractNotaryUrl picks url from meta first", () => {
   const url = extractNotaryUrl({
     notaryUrl: "https://ignored.notary",
@@ -135,3 +177,208 @@ test("extractRecentTransfers parses top 5 transfers from recv json", () => {
   assert.equal(recent[0].transferId, "t1");
   assert.equal(recent[4].transferId, "t5");
 });
+
+test("extractTransfers returns every proven row beyond the recent cap", () => {
+  const transactions = Array.from({ length: 15 }, (_, index) => ({
+    id: `t${index + 1}`,
+    amount: "10",
+    timestamp: index + 1,
+    payer: "a"
+  }));
+  const recv = ["HTTP/1.1 200 OK", "content-type: application/json", "", JSON.stringify({ transactions })].join("\r\n");
+  assert.equal(extractTransfers({}, recv).length, 15);
+  assert.equal(extractRecentTransfers({}, recv, 50).length, 10);
+});
+
+test("extractTransfers binds rows to their exchange and merges transfer details", () => {
+  const response = (json) => {
+    const body = JSON.stringify(json);
+    return `HTTP/1.1 200 OK\r\ncontent-type: application/json\r\ncontent-length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+  };
+  const recv = [
+    response({
+      activities: [
+        { id: "t1", amount: "10", timestamp: 1, payer: "alice" },
+        { id: "t2", amount: "20", timestamp: 2, payer: "bob" }
+      ]
+    }),
+    response({ id: "t1", amount: { value: 10, currency: "EUR" }, status: "COMPLETED", recipientName: "carol" }),
+    response({ id: "t2", amount: "25", timestamp: 2, payer: "bob" })
+  ].join("");
+  const requests = [
+    { endpoint: "activities", method: "GET", path: "/v1/profiles/1/activities", details: false },
+    { endpoint: "transfer-details", method: "GET", path: "/v1/transfers/t1", details: true },
+    { endpoint: "transfer-details", method: "GET", path: "/v1/transfers/t2", details: true }
+  ];
+  const rows = extractTransfers({}, recv, undefined, { requests });
+
+  assert.deepEqual(
+    rows.map((row) => [row.transferId, row.amount, row.source.exchange]),
+    [
+      ["t1", "10", 0],
+      ["t2", "20", 0],
+      ["t2", "25", 2]
+    ]
+  );
+  assert.equal(rows[0].status, "COMPLETED");
+  assert.equal(rows[0].recipientRef, "carol");
+  assert.equal(rows[0].currency, "EUR");
+  assert.deepEqual(rows[0].parsedAmount, { minorUnits: "1000", currency: "EUR", exponent: 2 });
+  assert.deepEqual(rows[0].source, {
+    origin: "response",
+    exchange: 0,
+    endpoint: "activities",
+    method: "GET",
+    path: "/v1/profiles/1/activities",
+    details: false,
+    confirmedBy: { exchange: 1, endpoint: "transfer-details", method: "GET", path: "/v1/transfers/t1" }
+  });
+  assert.deepEqual(rows.map(isTransferConfirmed), [true, false, true]);
+});
+
+test("extractTransfers ignores a details response for another transfer than the one requested", () => {
+  const response = (json) => {
+    const body = JSON.stringify(json);
+    return `HTTP/1.1 200 OK\r\ncontent-type: application/json\r\ncontent-length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+  };
+  const recv = [
+    response({ activities: [{ id: "t1", amount: "10", timestamp: 1, payer: "alice" }] }),
+    response({ id: "t1", amount: "10", currency: "EUR", status: "COMPLETED" }),
+    response({ id: "t9", amount: "99", timestamp: 9, payer: "mallory" })
+  ].join("");
+  const requests = [
+    { endpoint: "activities", method: "GET", path: "/v1/profiles/1/activities", details: false, transferId: null },
+    { endpoint: "transfer-details", method: "GET", path: "/v1/transfers/t2", details: true, transferId: "t2" },
+    { endpoint: "transfer-details", method: "GET", path: "/v1/transfers/t3", details: true, transferId: "t3" }
+  ];
+  const rows = extractTransfers({}, recv, undefined, { requests });
+  assert.deepEqual(rows.map((row) => row.transferId), ["t1"]);
+  assert.equal(isTransferConfirmed(rows[0]), false);
+  assert.equal(rows[0].status, "");
+
+  requests[1].transferId = "t1";
+  const matched = extractTransfers({}, recv, undefined, { requests });
+  assert.equal(isTransferConfirmed(matched[0]), true);
+  assert.equal(matched[0].status, "COMPLETED");
+});
+
+test("extractRecentTransfers reads chunked recv bodies via the transcript parser", () => {
+  const body = JSON.stringify({ transactions: [{ id: "t1", amount: "10", timestamp: 1, payer: "a" }] });
+  const recv = [
+    "HTTP/1.1 200 OK",
+    "content-type: application/json",
+    "transfer-encoding: chunked",
+    "",
+    Buffer.byteLength(body).toString(16),
+    body,
+    "0",
+    "",
+    ""
+  ].join("\r\n");
+
+  const recent = extractRecentTransfers({}, recv, 5);
+  assert.equal(recent.length, 1);
+  assert.equal(recent[0].transferId, "t1");
+  assert.throws(() => extractRecentTransfers({}, "HTTP/1.1 500 Error\r\n\r\n", 5), /non-2xx/);
+});
+
+test("validateExpected compares amounts in minor units across formats", () => {
+  const normalized = normalizeVerifierData({ amount: "1,000.50 GBP", transferId: "tx-1" });
+  assert.deepEqual(normalized.parsedAmount, { minorUnits: "100050", currency: "GBP", exponent: 2 });
+  assert.deepEqual(validateExpected({ amount: "£1000.50" }, normalized), []);
+  assert.deepEqual(validateExpected({ amount: { value: 1000.5, currency: "GBP" } }, normalized), []);
+  assert.deepEqual(validateExpected({ amount: "1000.49 GBP" }, normalized), [
+    "amount mismatch: expected=1000.49 GBP, actual=1000.50 GBP"
+  ]);
+  assert.match(validateExpected({ amount: "1000.50 EUR" }, normalized)[0], /currency mismatch/);
+});
+
+test("validateExpected fails explicitly on unparseable amounts", () => {
+  assert.match(validateExpected({ amount: "lots" }, { amount: "10" })[0], /expected amount unparseable/);
+  assert.match(validateExpected({ amount: "10" }, { amount: "ten pounds" })[0], /^amount unparseable/);
+  assert.match(validateExpected({ amount: "10" }, {})[0], /^amount unparseable/);
+});
+
+test("extractRecentTransfers parses amount objects into minor units", () => {
+  const recv = [
+    "HTTP/1.1 200 OK",
+    "content-type: application/json",
+    "",
+    JSON.stringify({ activities: [{ id: "t1", amount: { value: 12.5, currency: "EUR" }, payer: "a" }] })
+  ].join("\r\n");
+  const [row] = extractRecentTransfers({}, recv, 5);
+  assert.equal(row.amount, "12.5");
+  assert.equal(row.currency, "EUR");
+  assert.deepEqual(row.parsedAmount, { minorUnits: "1250", currency: "EUR", exponent: 2 });
+});
+
+test("evaluateExpected reports every constraint individually", () => {
+  const normalized = normalizeVerifierData({
+    amount: "99.50 GBP",
+    timestamp: 1739102400,
+    payerRef: "alice",
+    transferId: "tx-1",
+    status: "completed",
+    recipient: "bob"
+  });
+  const results = evaluateExpected(
+    {
+      minAmount: "100 GBP",
+      currency: "gbp",
+      status: ["COMPLETED"],
+      recipientRef: "carol",
+      transferId: "tx-1"
+    },
+    normalized
+  );
+  assert.deepEqual(
+    results.map((result) => [result.constraint, result.ok]),
+    [
+      ["minAmount", false],
+      ["currency", true],
+      ["transferId", true],
+      ["recipientRef", false],
+      ["status", true]
+    ]
+  );
+  assert.equal(results[0].message, "amount below minimum: minimum=100.00 GBP, actual=99.50 GBP");
+  assert.equal(results[3].message, "recipientRef mismatch: expected=carol, actual=bob");
+  assert.deepEqual(
+    results.filter((result) => !result.ok).map((result) => result.code),
+    ["AMOUNT_BELOW_MINIMUM", "RECIPIENT_MISMATCH"]
+  );
+});
+
+test("evaluateExpected attaches stable codes to failures", () => {
+  const codes = (expected, normalized) =>
+    evaluateExpected(expected, normalized)
+      .filter((result) => !result.ok)
+      .map((result) => result.code);
+  const normalized = normalizeVerifierData({ amount: "10.00 EUR", timestamp: 1000, status: "PENDING" });
+  assert.deepEqual(codes({ amount: "11 EUR" }, normalized), ["AMOUNT_MISMATCH"]);
+  assert.deepEqual(codes({ amount: "10 GBP" }, normalized), ["CURRENCY_MISMATCH"]);
+  assert.deepEqual(codes({ amount: "lots" }, normalized), ["EXPECTED_INVALID"]);
+  assert.deepEqual(codes({ timestamp: 99999 }, normalized), ["TIMESTAMP_OUT_OF_RANGE"]);
+  assert.deepEqual(codes({ status: "COMPLETED", recipientRef: "bob" }, normalized), ["RECIPIENT_MISSING", "STATUS_NOT_ALLOWED"]);
+});
+
+test("evaluateExpected applies amount tolerance and status allowlist", () => {
+  const normalized = { amount: "10.02", currency: "EUR", status: "PENDING" };
+  assert.deepEqual(validateExpected({ amount: "10.00 EUR", amountTolerance: "0.05" }, normalized), []);
+  assert.match(validateExpected({ amount: "10.00 EUR", amountTolerance: "0.01" }, normalized)[0], /out of tolerance/);
+  assert.deepEqual(validateExpected({ status: "COMPLETED" }, normalized), [
+    "status not allowed: expected=COMPLETED, actual=PENDING"
+  ]);
+  assert.deepEqual(validateExpected({ currency: "GBP" }, {}), ["currency missing: expected=GBP"]);
+});
+
+test("evaluateExpected lets requests override timestamp skew within the server cap", () => {
+  const normalized = { timestamp: 1000 };
+  const options = { defaultTimestampSkewSeconds: 60, maxTimestampSkewSeconds: 300 };
+  assert.equal(validateExpected({ timestamp: 1100 }, normalized, options).length, 1);
+  assert.deepEqual(validateExpected({ timestamp: 1100, maxTimestampSkewSeconds: 200 }, normalized, options), []);
+  const [capped] = evaluateExpected({ timestamp: 1500, maxTimestampSkewSeconds: 3600 }, normalized, options);
+  assert.equal(capped.ok, false);
+  assert.equal(capped.expected, "1500±300s");
+  assert.equal(validateExpected({ timestamp: 1000 + 30 * 60 }, normalized).length, 0);
+});
@@ -0,0 +1,30 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createLogger, maskValue } from "../src/logger.js";
+
+test("maskValue keeps only the edges of longer values", () => {
+  assert.equal(maskValue("alice-payer-123"), "al***23");
+  assert.equal(maskValue("bob"), "***");
+  assert.equal(maskValue(""), "");
+});
+
+test("logger writes one json line per entry and honours the level", () => {
+  const lines = [];
+  const logger = createLogger({
+    level: "info",
+    write: (line) => lines.push(line),
+    now: () => new Date("2025-02-09T12:00:00Z")
+  });
+  logger.debug("hidden");
+  logger.info("request", { requestId: "r1", status: 200, skipped: undefined });
+
+  assert.equal(lines.length, 1);
+  assert.ok(lines[0].endsWith("\n"));
+  assert.deepEqual(JSON.parse(lines[0]), {
+    time: "2025-02-09T12:00:00.000Z",
+    level: "info",
+    msg: "request",
+    requestId: "r1",
+    status: 200
+  });
+});
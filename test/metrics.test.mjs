@@ -0,0 +1,36 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMetricsRegistry } from "../src/metrics.js";
+
+test("metrics registry renders counters with escaped labels", () => {
+  const metrics = createMetricsRegistry();
+  const requests = metrics.counter("requests_total", "Requests", ["route", "status"]);
+  requests.inc({ route: "/verify/:provider", status: 200 });
+  requests.inc({ route: "/verify/:provider", status: 200 });
+  requests.inc({ route: 'a"b', status: 500 }, 3);
+
+  const text = metrics.render();
+  assert.match(text, /^# HELP requests_total Requests\n# TYPE requests_total counter\n/);
+  assert.match(text, /requests_total\{route="\/verify\/:provider",status="200"\} 2\n/);
+  assert.match(text, /requests_total\{route="a\\"b",status="500"\} 3\n/);
+});
+
+test("metrics registry renders cumulative histogram buckets and gauges", () => {
+  const metrics = createMetricsRegistry();
+  const latency = metrics.histogram("latency_seconds", "Latency", ["provider"], [0.1, 1]);
+  latency.observe({ provider: "wise" }, 0.05);
+  latency.observe({ provider: "wise" }, 0.5);
+  latency.observe({ provider: "wise" }, 5);
+  metrics.gauge("queued", "Queued jobs", () => 4);
+  metrics.gauge("disabled", "Not collected", () => undefined);
+
+  const text = metrics.render();
+  assert.match(text, /latency_seconds_bucket\{provider="wise",le="0.1"\} 1\n/);
+  assert.match(text, /latency_seconds_bucket\{provider="wise",le="1"\} 2\n/);
+  assert.match(text, /latency_seconds_bucket\{provider="wise",le="\+Inf"\} 3\n/);
+  assert.match(text, /latency_seconds_sum\{provider="wise"\} 5.55\n/);
+  assert.match(text, /latency_seconds_count\{provider="wise"\} 3\n/);
+  assert.match(text, /# TYPE queued gauge\nqueued 4\n/);
+  assert.doesNotMatch(text, /^disabled /m);
+  assert.throws(() => metrics.counter("queued", "again"), /duplicate metric/);
+});
@@ -0,0 +1,141 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import {
+  createNotaryFetcher,
+  hostMatchesPattern,
+  isBlockedAddress,
+  NOTARY_FETCH_ERROR_CODES
+} from "../src/notary-fetch.js";
+
+async function withServer(handler, run) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  try {
+    return await run(`http://127.0.0.1:${port}`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+function localFetcher(options = {}) {
+  return createNotaryFetcher({
+    allowedHosts: ["127.0.0.1"],
+    allowHttp: true,
+    allowPrivateAddresses: true,
+    ...options
+  });
+}
+
+async function rejectsWithCode(promise, code) {
+  await assert.rejects(promise, (error) => {
+    assert.equal(error.code, code);
+    return true;
+  });
+}
+
+test("isBlockedAddress covers private, loopback, link-local and mapped addresses", () => {
+  const blocked = ["127.0.0.1", "10.1.2.3", "172.20.0.1", "192.168.1.1", "169.254.169.254", "::1", "fe80::1", "fd00::1", "::ffff:10.0.0.1"];
+  for (const address of blocked) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  for (const address of ["93.184.216.34", "2606:4700::1111", "::ffff:93.184.216.34"]) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test("hostMatchesPattern supports exact hosts and wildcard subdomains", () => {
+  assert.equal(hostMatchesPattern("notary.pse.dev", "notary.pse.dev"), true);
+  assert.equal(hostMatchesPattern("a.notary.pse.dev", "*.notary.pse.dev"), true);
+  assert.equal(hostMatchesPattern("notary.pse.dev", "*.notary.pse.dev"), false);
+  assert.equal(hostMatchesPattern("evilnotary.pse.dev", "*.notary.pse.dev"), false);
+});
+
+test("notary fetcher rejects disallowed schemes, hosts and literal addresses", async () => {
+  const fetcher = createNotaryFetcher({ allowedHosts: ["notary.example", "127.0.0.1"] });
+  await rejectsWithCode(fetcher.fetchPublicKey("http://notary.example"), NOTARY_FETCH_ERROR_CODES.schemeNotAllowed);
+  await rejectsWithCode(fetcher.fetchPublicKey("https://other.example"), NOTARY_FETCH_ERROR_CODES.hostNotAllowed);
+  await rejectsWithCode(fetcher.fetchPublicKey("https://127.0.0.1"), NOTARY_FETCH_ERROR_CODES.addressBlocked);
+  await rejectsWithCode(fetcher.fetchPublicKey("not a url"), NOTARY_FETCH_ERROR_CODES.invalidUrl);
+});
+
+test("notary fetcher blocks hosts that resolve to private addresses", async () => {
+  const fetcher = createNotaryFetcher({
+    allowedHosts: ["notary.example"],
+    lookup: (hostname, options, callback) => callback(null, [{ address: "10.0.0.7", family: 4 }])
+  });
+  await rejectsWithCode(fetcher.fetchPublicKey("https://notary.example"), NOTARY_FETCH_ERROR_CODES.addressBlocked);
+});
+
+test("notary fetcher reads the public key from /info", async () => {
+  await withServer(
+    (req, res) => {
+      assert.equal(req.url, "/info");
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify({ publicKey: "-----BEGIN PUBLIC KEY-----\nabc\n-----END PUBLIC KEY-----" }));
+    },
+    async (baseUrl) => {
+      const key = await localFetcher().fetchPublicKey(baseUrl);
+      assert.match(key, /BEGIN PUBLIC KEY/);
+    }
+  );
+});
+
+test("notary fetcher enforces the response size cap and timeout", async () => {
+  await withServer(
+    (req, res) => {
+      if (req.url === "/big/info") {
+        res.end(JSON.stringify({ publicKey: "x".repeat(4096) }));
+      }
+    },
+    async (baseUrl) => {
+      await rejectsWithCode(
+        localFetcher({ maxBytes: 1024 }).fetchPublicKey(`${baseUrl}/big`),
+        NOTARY_FETCH_ERROR_CODES.responseTooLarge
+      );
+      await rejectsWithCode(
+        localFetcher({ timeoutMs: 100 }).fetchPublicKey(`${baseUrl}/slow`),
+        NOTARY_FETCH_ERROR_CODES.timeout
+      );
+    }
+  );
+});
+
+test("notary fetcher caches failures", async () => {
+  let hits = 0;
+  await withServer(
+    (req, res) => {
+      hits++;
+      res.statusCode = 502;
+      res.end();
+    },
+    async (baseUrl) => {
+      const fetcher = localFetcher();
+      await rejectsWithCode(fetcher.fetchPublicKey(baseUrl), NOTARY_FETCH_ERROR_CODES.httpStatus);
+      await assert.rejects(fetcher.fetchPublicKey(baseUrl), /\(cached\)/);
+      assert.equal(hits, 1);
+    }
+  );
+});
+
+test("notary fetcher does not cache policy rejections", async () => {
+  let hits = 0;
+  const allowedHosts = [];
+  await withServer(
+    (req, res) => {
+      hits++;
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify({ publicKey: "-----BEGIN PUBLIC KEY-----\nAAAA\n-----END PUBLIC KEY-----" }));
+    },
+    async (baseUrl) => {
+      const fetcher = localFetcher({ allowedHosts: () => allowedHosts });
+      await rejectsWithCode(fetcher.fetchPublicKey(baseUrl), NOTARY_FETCH_ERROR_CODES.hostNotAllowed);
+      await rejectsWithCode(fetcher.fetchPublicKey(baseUrl), NOTARY_FETCH_ERROR_CODES.hostNotAllowed);
+      allowedHosts.push("127.0.0.1");
+      assert.match(await fetcher.fetchPublicKey(baseUrl), /BEGIN PUBLIC KEY/);
+      assert.equal(hits, 1);
+    }
+  );
+});
@@ -0,0 +1,129 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  buildTrustEntry,
+  createNotaryTrustStore,
+  createTtlCache,
+  notaryKeyFingerprint,
+  parseTrustedNotaries,
+  trustEntryStatus
+} from "../src/notary-trust.js";
+
+function generatePem() {
+  const { publicKey } = crypto.generateKeyPairSync("ec", { namedCurve: "secp256k1" });
+  return String(publicKey.export({ format: "pem", type: "spki" }));
+}
+
+test("notaryKeyFingerprint ignores PEM line wrapping", () => {
+  const pem = generatePem();
+  const rewrapped = pem.replace(/\n/g, "\r\n  ");
+  assert.match(notaryKeyFingerprint(pem), /^0x[0-9a-f]{64}$/);
+  assert.equal(notaryKeyFingerprint(rewrapped), notaryKeyFingerprint(pem));
+});
+
+test("buildTrustEntry validates fingerprints and validity windows", () => {
+  const pem = generatePem();
+  const entry = buildTrustEntry(
+    { publicKeyPem: pem, label: "primary", url: "https://notary.example/", validUntil: "2030-01-01T00:00:00Z" },
+    { now: 100 }
+  );
+  assert.equal(entry.fingerprint, notaryKeyFingerprint(pem));
+  assert.equal(entry.url, "https://notary.example");
+  assert.equal(entry.validUntil, 1893456000);
+  assert.equal(entry.addedAt, 100);
+
+  assert.throws(() => buildTrustEntry({ label: "nothing" }), /requires publicKeyPem/);
+  assert.throws(() => buildTrustEntry({ publicKeyPem: pem, fingerprint: `0x${"0".repeat(64)}` }), /does not match/);
+  assert.throws(() => buildTrustEntry({ publicKeyPem: pem, validFrom: "soon" }), /invalid validFrom/);
+});
+
+test("trustEntryStatus reports revoked, pending and expired keys", () => {
+  const entry = buildTrustEntry({ publicKeyPem: generatePem(), validFrom: 100, validUntil: 200 });
+  assert.equal(trustEntryStatus(entry, 50), "not-yet-valid");
+  assert.equal(trustEntryStatus(entry, 150), "active");
+  assert.equal(trustEntryStatus(entry, 250), "expired");
+  assert.equal(trustEntryStatus({ ...entry, revokedAt: 120 }, 150), "revoked");
+});
+
+test("trust store only accepts configured keys for their bound url", () => {
+  const pinned = generatePem();
+  const unbound = generatePem();
+  const store = createNotaryTrustStore({
+    seed: [
+      { publicKeyPem: pinned, url: "https://notary.example" },
+      { publicKeyPem: unbound, source: "env" }
+    ]
+  });
+
+  assert.equal(store.check(pinned, { url: "https://notary.example/" }).ok, true);
+  assert.equal(store.check(pinned, { url: "https://evil.example" }).reason, "notary key is only trusted for https://notary.example");
+  assert.equal(store.check(unbound, { url: "https://anywhere.example" }).ok, true);
+  assert.equal(store.check(unbound).entry.source, "env");
+  assert.equal(store.check(generatePem()).reason, "notary key is not trusted");
+  assert.equal(store.findByUrl("https://notary.example").publicKeyPem, pinned.trim());
+});
+
+test("trust store applies configured revocations and persists admin changes", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "notary-trust-"));
+  const filePath = path.join(dir, "notaries.json");
+  const first = generatePem();
+  const second = generatePem();
+
+  const store = createNotaryTrustStore({
+    filePath,
+    seed: [{ publicKeyPem: first }],
+    revokedFingerprints: [notaryKeyFingerprint(first)]
+  });
+  assert.equal(store.check(first).reason, "notary key is revoked");
+
+  const added = store.add({ publicKeyPem: second, label: "rotated" });
+  assert.equal(added.source, "admin");
+  assert.equal(store.check(second).ok, true);
+  store.revoke(added.fingerprint, "key compromise");
+  assert.equal(store.check(second).reason, "notary key is revoked");
+  assert.throws(() => store.add({ publicKeyPem: second }), /was revoked/);
+
+  const reloaded = createNotaryTrustStore({ filePath, seed: [{ publicKeyPem: first }] });
+  const entry = reloaded.get(added.fingerprint);
+  assert.equal(entry.label, "rotated");
+  assert.equal(entry.revocationReason, "key compromise");
+  assert.equal(reloaded.check(second).ok, false);
+  assert.equal(reloaded.check(first).ok, true);
+  assert.equal(createNotaryTrustStore({ filePath }).get(notaryKeyFingerprint(first)), undefined);
+});
+
+test("parseTrustedNotaries requires a json array", () => {
+  assert.deepEqual(parseTrustedNotaries(""), []);
+  assert.equal(parseTrustedNotaries('[{"fingerprint":"0x01"}]').length, 1);
+  assert.throws(() => parseTrustedNotaries('{"fingerprint":"0x01"}'), /must be a JSON array/);
+});
+
+test("ttl cache expires entries", () => {
+  let now = 1000;
+  const cache = createTtlCache({ ttlSeconds: 60, now: () => now });
+  cache.set("https://notary.example", "pem");
+  assert.equal(cache.get("https://notary.example"), "pem");
+  now += 60;
+  assert.equal(cache.get("https://notary.example"), undefined);
+});
+
+test("ttl cache evicts expired entries first, then the least recently used", () => {
+  let now = 1000;
+  const cache = createTtlCache({ ttlSeconds: 60, maxEntries: 3, now: () => now });
+  cache.set("a", 1);
+  now += 30;
+  cache.set("b", 2);
+  cache.set("c", 3);
+  now += 30;
+  cache.set("d", 4);
+  assert.equal(cache.size, 3);
+  assert.equal(cache.get("b"), 2);
+  cache.set("e", 5);
+  assert.equal(cache.size, 3);
+  assert.equal(cache.get("c"), undefined);
+  assert.deepEqual([cache.get("b"), cache.get("d"), cache.get("e")], [2, 4, 5]);
+});
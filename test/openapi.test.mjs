@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DETAIL_CODES, ERROR_CODES, errorBody, errorDetail, isErrorCode } from "../src/errors.js";
+import { FRESHNESS_ERROR_CODES } from "../src/freshness.js";
+import { EXPECTED_ERROR_CODES } from "../src/lib.js";
+import { NOTARY_FETCH_ERROR_CODES } from "../src/notary-fetch.js";
+import { NOTARY_TRUST_ERROR_CODES } from "../src/notary-trust.js";
+import { buildOpenApiDocument } from "../src/openapi.js";
+import { SCHEMA_ERROR_CODES, validateSchema } from "../src/schema.js";
+import { VERIFIER_BACKEND_ERROR_CODES } from "../src/verifier-backends.js";
+import { VERIFY_PIPELINE_ERROR_CODES } from "../src/verify-pipeline.js";
+import { VERIFY_POOL_ERROR_CODES } from "../src/verify-pool.js";
+import { CALLBACK_ERROR_CODES } from "../src/webhooks.js";
+
+test("openapi document lists every route and provider", () => {
+  const doc = buildOpenApiDocument({ version: "1.2.3", providers: [{ id: "wise" }] });
+  assert.equal(doc.openapi, "3.1.0");
+  assert.equal(doc.info.version, "1.2.3");
+  assert.deepEqual(Object.keys(doc.paths).sort(), [
+    "/admin/audit",
+    "/admin/audit/export",
+    "/admin/audit/verify",
+    "/admin/notaries",
+    "/admin/notaries/{fingerprint}/revoke",
+    "/admin/webhooks/dead-letters",
+    "/health",
+    "/inspect",
+    "/metrics",
+    "/openapi.json",
+    "/providers",
+    "/signer",
+    "/verify-batch",
+    "/verify-wise-attestation",
+    "/verify/{provider}"
+  ]);
+  assert.deepEqual(doc.paths["/verify/{provider}"].post.parameters[0].schema.enum, ["wise"]);
+});
+
+test("error bodies match the published error schema", () => {
+  const doc = buildOpenApiDocument();
+  const schema = doc.components.schemas.Error;
+  assert.deepEqual(schema.properties.code.enum, Object.keys(ERROR_CODES));
+  assert.deepEqual(schema.properties.details.items.properties.code.enum, [
+    ...Object.keys(ERROR_CODES),
+    ...Object.keys(DETAIL_CODES)
+  ]);
+
+  const body = errorBody("NOTARY_KEY_UNTRUSTED", {
+    details: [errorDetail("NOTARY_KEY_REVOKED", "/attestation/notaryPublicKeyPem", "notary key is revoked")]
+  });
+  assert.equal(body.error, "untrusted notary key");
+  assert.deepEqual(validateSchema(schema, body), []);
+  assert.throws(() => errorBody("NOPE"), /unknown error code/);
+});
+
+test("every exported module error code is in the catalog", () => {
+  const codes = [
+    CALLBACK_ERROR_CODES,
+    EXPECTED_ERROR_CODES,
+    FRESHNESS_ERROR_CODES,
+    NOTARY_FETCH_ERROR_CODES,
+    NOTARY_TRUST_ERROR_CODES,
+    SCHEMA_ERROR_CODES,
+    VERIFIER_BACKEND_ERROR_CODES,
+    VERIFY_PIPELINE_ERROR_CODES,
+    VERIFY_POOL_ERROR_CODES
+  ].flatMap((map) => Object.values(map));
+  assert.deepEqual(codes.filter((code) => !isErrorCode(code)), []);
+  assert.deepEqual(Object.keys(DETAIL_CODES).filter((code) => !codes.includes(code)), []);
+  assert.deepEqual(Object.keys(DETAIL_CODES).filter((code) => ERROR_CODES[code]), []);
+  assert.equal(isErrorCode("toString"), false);
+});
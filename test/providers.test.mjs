@@ -0,0 +1,126 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { buildReceiptHash, buildWiseReceiptHash } from "../src/lib.js";
+import {
+  browserCaptureDomainTag,
+  createDefaultProviderRegistry,
+  createProviderRegistry
+} from "../src/providers/index.js";
+
+test("default registry exposes wise with env host override", async () => {
+  const registry = await createDefaultProviderRegistry({ TLSN_ALLOWED_HOST_SUFFIXES: "wise.com" });
+  const wise = registry.get("Wise");
+  assert.equal(wise.id, "wise");
+  assert.deepEqual(wise.allowedHostSuffixes, ["wise.com"]);
+  assert.equal(wise.receiptHashField, "wiseReceiptHash");
+  assert.equal(wise.browserCaptureKind, "wise_browser_capture_v1");
+  assert.equal(registry.get("unknown"), undefined);
+});
+
+test("custom provider uses its own field aliases and transfer normalizer", () => {
+  const registry = createProviderRegistry([
+    {
+      id: "revolut",
+      label: "Revolut",
+      allowedHostSuffixes: ["revolut.com"],
+      fields: { transferId: ["legId"] },
+      normalizeTransferItem: (item) =>
+        item && item.legId ? { transferId: item.legId, amount: String(item.amount) } : undefined
+    }
+  ]);
+  const revolut = registry.get("revolut");
+  assert.equal(revolut.receiptDomainTag, "revolut");
+  assert.equal(revolut.receiptHashField, "receiptHash");
+
+  const normalized = revolut.normalize({ legId: "leg-1", amount: "5", id: "ignored" });
+  assert.equal(normalized.transferId, "leg-1");
+  assert.equal(normalized.amount, "5");
+
+  const recv = [
+    "HTTP/1.1 200 OK",
+    "content-type: application/json",
+    "",
+    JSON.stringify([{ legId: "leg-1", amount: 5 }])
+  ].join("\r\n");
+  const rows = revolut.parseTranscript({}, recv, 5);
+  assert.deepEqual(rows, [
+    {
+      transferId: "leg-1",
+      amount: "5",
+      source: { origin: "response", exchange: 0, endpoint: null, method: null, path: null, details: false }
+    }
+  ]);
+});
+
+test("provider registry rejects duplicate ids and domain tags", () => {
+  const registry = createProviderRegistry([{ id: "monzo", allowedHostSuffixes: ["monzo.com"] }]);
+  assert.throws(() => registry.register({ id: "monzo", allowedHostSuffixes: ["monzo.com"] }), /already registered/);
+  assert.throws(
+    () => registry.register({ id: "venmo", allowedHostSuffixes: ["venmo.com"], receiptDomainTag: "monzo" }),
+    /domain tag already in use/
+  );
+  assert.throws(() => registry.register({ id: "empty" }), /must declare allowed hosts/);
+});
+
+test("buildReceiptHash separates providers by domain tag", () => {
+  const normalized = {
+    amount: "1000000",
+    timestamp: 1739102400,
+    payerRef: "payer-a",
+    transferId: "tx-1",
+    sourceHost: "wise.com"
+  };
+  assert.equal(buildReceiptHash(normalized, {}, "wise"), buildWiseReceiptHash(normalized, {}));
+  assert.notEqual(buildReceiptHash(normalized, {}, "revolut"), buildWiseReceiptHash(normalized, {}));
+});
+
+test("browser capture receipt hashes use a separate domain tag", () => {
+  const normalized = {
+    amount: "10",
+    timestamp: 1739102400,
+    payerRef: "payer-a",
+    transferId: "tx-1",
+    sourceHost: "wise.com"
+  };
+  assert.equal(browserCaptureDomainTag("wise"), "wise:browser-capture");
+  assert.notEqual(buildReceiptHash(normalized, {}, browserCaptureDomainTag("wise")), buildWiseReceiptHash(normalized, {}));
+  assert.throws(
+    () => createProviderRegistry([{ id: "spoof", allowedHostSuffixes: ["wise.com"], receiptDomainTag: "wise:browser-capture" }]),
+    /invalid receipt domain tag/
+  );
+});
+
+test("default registry loads provider modules from TLSN_PROVIDER_MODULES", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "providers-"));
+  fs.writeFileSync(
+    path.join(dir, "monzo.mjs"),
+    `export default (env) => ({ id: "monzo", allowedHostSuffixes: [env.MONZO_HOST || "monzo.com"] });\n`
+  );
+  fs.writeFileSync(
+    path.join(dir, "pair.mjs"),
+    `export const providers = [
+  { id: "revolut", allowedHostSuffixes: ["revolut.com"] },
+  { id: "n26", allowedHostSuffixes: ["n26.com"] }
+];\n`
+  );
+  fs.writeFileSync(path.join(dir, "clash.mjs"), `export default { id: "wise", allowedHostSuffixes: ["wise.com"] };\n`);
+  fs.writeFileSync(path.join(dir, "bad-hook.mjs"), `export default { id: "bad", allowedHostSuffixes: ["bad.com"], normalize: 1 };\n`);
+  fs.writeFileSync(path.join(dir, "empty.mjs"), `export default null;\n`);
+
+  const registry = await createDefaultProviderRegistry(
+    { TLSN_PROVIDER_MODULES: `./monzo.mjs, ${path.join(dir, "pair.mjs")}`, MONZO_HOST: "api.monzo.com" },
+    { cwd: dir }
+  );
+  assert.deepEqual(registry.list().map((provider) => provider.id), ["wise", "monzo", "revolut", "n26"]);
+  assert.deepEqual(registry.get("monzo").allowedHostSuffixes, ["api.monzo.com"]);
+
+  const load = (modules) => createDefaultProviderRegistry({ TLSN_PROVIDER_MODULES: modules }, { cwd: dir });
+  await assert.rejects(load("./missing.mjs"), /provider module \.\/missing\.mjs failed to load/);
+  await assert.rejects(load("./clash.mjs"), /provider module \.\/clash\.mjs: provider already registered: wise/);
+  await assert.rejects(load("./bad-hook.mjs"), /provider bad normalize must be a function/);
+  await assert.rejects(load("./empty.mjs"), /must export a provider spec/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
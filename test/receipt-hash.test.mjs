@@ -0,0 +1,122 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { keccak_256 } from "@noble/hashes/sha3.js";
+import { buildReceiptHash } from "../src/lib.js";
+import {
+  buildReceiptV2Preimage,
+  buildReceiptV3Struct,
+  canonicalizeJson,
+  computeReceiptHash,
+  parseReceiptHashScheme
+} from "../src/receipt-hash.js";
+
+const normalized = {
+  amount: "1000000",
+  timestamp: 1739102400,
+  payerRef: "payer-a",
+  transferId: "tx-1",
+  sourceHost: "wise.com"
+};
+const presentationHex = "0xdeadbeef";
+
+test("canonicalizeJson follows RFC 8785 ordering and number formatting", () => {
+  assert.equal(canonicalizeJson({ b: [1, "x", null], a: { d: true, c: 1e21 } }), '{"a":{"c":1e+21,"d":true},"b":[1,"x",null]}');
+  assert.equal(canonicalizeJson({ "€": 1, "\r": 2, "1": 3 }), '{"\\r":2,"1":3,"€":1}');
+  assert.equal(canonicalizeJson({ a: undefined, b: 0.1 }), '{"b":0.1}');
+  assert.throws(() => canonicalizeJson({ a: Number.NaN }), /non-finite/);
+});
+
+test("parseReceiptHashScheme defaults to v1 and rejects unknown schemes", () => {
+  assert.equal(parseReceiptHashScheme(undefined), "v1");
+  assert.equal(parseReceiptHashScheme("", "v3"), "v3");
+  assert.equal(parseReceiptHashScheme("V2"), "v2");
+  assert.throws(() => parseReceiptHashScheme("v9"), /unsupported receipt hash scheme/);
+});
+
+test("v1 keeps the legacy receipt hash", () => {
+  const attestation = { presentation: presentationHex, meta: { b: 1, a: 2 } };
+  assert.equal(
+    computeReceiptHash({ scheme: "v1", normalized, domainTag: "wise", presentationHex, attestation }),
+    buildReceiptHash(normalized, attestation, "wise")
+  );
+});
+
+test("v2 hashes the presentation bytes regardless of attestation serialization", () => {
+  const a = computeReceiptHash({
+    scheme: "v2",
+    normalized,
+    domainTag: "wise",
+    presentationHex,
+    attestation: { presentation: presentationHex, meta: { a: 1, b: 2 } }
+  });
+  const b = computeReceiptHash({
+    scheme: "v2",
+    normalized,
+    domainTag: "wise",
+    presentationHex: "DEADBEEF",
+    attestation: { meta: { b: 2, a: 1 }, presentation: presentationHex, extra: true }
+  });
+  assert.equal(a, b);
+  assert.match(a, /^0x[0-9a-f]{64}$/);
+  assert.equal(
+    buildReceiptV2Preimage({ normalized, domainTag: "wise", presentationHex }),
+    '{"amount":"1000000","domainTag":"wise","payerRef":"payer-a","presentationSha256":"0x5f78c33274e43fa9de5659265c1d917e25c03722dcb0b8d27db8d5feaa813953","scheme":"v2","sourceHost":"wise.com","timestamp":1739102400,"transferId":"tx-1"}'
+  );
+  assert.notEqual(computeReceiptHash({ scheme: "v2", normalized, domainTag: "revolut", presentationHex }), a);
+});
+
+test("v3 is keccak256 of the abi-encoded receipt struct", () => {
+  const keccakHex = (bytes) => Buffer.from(keccak_256(bytes)).toString("hex");
+  assert.equal(keccakHex(Buffer.alloc(0)), "c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470");
+
+  const struct = buildReceiptV3Struct({ normalized, domainTag: "wise", presentationHex });
+  assert.equal(struct.domainTagHash, `0x${keccakHex(Buffer.from("wise"))}`);
+  assert.equal(struct.presentationHash, `0x${keccakHex(Buffer.from("deadbeef", "hex"))}`);
+
+  assert.equal(struct.amount, "1000000");
+  assert.equal(struct.amountExponent, 0);
+  assert.equal(struct.currencyHash, `0x${keccakHex(Buffer.alloc(0))}`);
+
+  const word = (value) => `0x${BigInt(value).toString(16).padStart(64, "0")}`;
+  const encoded = Buffer.from(
+    [
+      struct.domainTagHash,
+      struct.sourceHostHash,
+      struct.transferIdHash,
+      struct.payerRefHash,
+      word(struct.amount),
+      word(struct.amountExponent),
+      struct.currencyHash,
+      word(normalized.timestamp),
+      struct.presentationHash
+    ]
+      .map((word) => word.slice(2))
+      .join(""),
+    "hex"
+  );
+  assert.equal(encoded.length, 9 * 32);
+  assert.equal(
+    computeReceiptHash({ scheme: "v3", normalized, domainTag: "wise", presentationHex }),
+    `0x${keccakHex(encoded)}`
+  );
+});
+
+test("v3 hashes the parsed amount, not its display format", () => {
+  const hash = (amount) =>
+    computeReceiptHash({ scheme: "v3", normalized: { ...normalized, amount }, domainTag: "wise", presentationHex });
+  const grouped = hash("1,000.50 GBP");
+  assert.equal(hash("1000.50 GBP"), grouped);
+  assert.equal(hash("GBP 1000.5"), grouped);
+  assert.equal(
+    computeReceiptHash({
+      scheme: "v3",
+      normalized: { ...normalized, amount: "ignored", parsedAmount: { minorUnits: "100050", currency: "GBP", exponent: 2 } },
+      domainTag: "wise",
+      presentationHex
+    }),
+    grouped
+  );
+  assert.notEqual(hash("1000.50 EUR"), grouped);
+  assert.notEqual(hash("1000.51 GBP"), grouped);
+  assert.throws(() => hash("-5 GBP"), /cannot be signed as unsigned minor units/);
+});
@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { evaluateRequestPolicy, normalizeHostHeader } from "../src/request-policy.js";
+import { WISE_ENDPOINTS } from "../src/providers/wise.js";
+
+function request(line, host = "wise.com") {
+  return `${line} HTTP/1.1\r\nHost: ${host}\r\nCookie: \0\0\0\0\r\n\r\n`;
+}
+
+test("evaluateRequestPolicy reports the matched wise endpoint", () => {
+  const result = evaluateRequestPolicy({
+    sent: request("GET /gateway/v1/profiles/123/activities/list?size=10"),
+    serverName: "wise.com",
+    endpoints: WISE_ENDPOINTS
+  });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.requests, [
+    {
+      endpoint: "activities",
+      method: "GET",
+      path: "/gateway/v1/profiles/123/activities/list",
+      host: "wise.com",
+      details: false,
+      transferId: null
+    }
+  ]);
+
+  const details = evaluateRequestPolicy({
+    sent: request("GET /v1/profiles/123/transfers/tx%2042"),
+    serverName: "wise.com",
+    endpoints: WISE_ENDPOINTS
+  });
+  assert.equal(details.requests[0].details, true);
+  assert.equal(details.requests[0].transferId, "tx 42");
+});
+
+test("evaluateRequestPolicy rejects endpoints outside the allowlist", () => {
+  const wrongPath = evaluateRequestPolicy({
+    sent: request("GET /v1/profiles/123/balances"),
+    serverName: "wise.com",
+    endpoints: WISE_ENDPOINTS
+  });
+  assert.equal(wrongPath.ok, false);
+  assert.equal(wrongPath.error, "revealed request does not match an allowed endpoint");
+
+  const wrongMethod = evaluateRequestPolicy({
+    sent: request("POST /v1/transfers/42"),
+    serverName: "wise.com",
+    endpoints: WISE_ENDPOINTS
+  });
+  assert.equal(wrongMethod.ok, false);
+
+  const dotSegment = evaluateRequestPolicy({
+    sent: request("GET /v1/transfers/%2e%2e"),
+    serverName: "wise.com",
+    endpoints: WISE_ENDPOINTS
+  });
+  assert.equal(dotSegment.ok, false);
+});
+
+test("evaluateRequestPolicy requires the Host header to match serverName", () => {
+  const result = evaluateRequestPolicy({
+    sent: request("GET /v1/transfers/42", "evil.example"),
+    serverName: "wise.com",
+    endpoints: WISE_ENDPOINTS
+  });
+  assert.equal(result.ok, false);
+  assert.equal(result.error, "revealed request host does not match serverName");
+  assert.equal(result.code, "REQUEST_HOST_MISMATCH");
+  assert.equal(result.details[0].path, "/sent/0/headers/host");
+  assert.equal(normalizeHostHeader("Wise.com:443"), "wise.com");
+});
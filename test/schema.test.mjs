@@ -0,0 +1,39 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { validateSchema } from "../src/schema.js";
+import { BATCH_REQUEST_SCHEMA, TRUSTED_NOTARY_SCHEMA, VERIFY_REQUEST_SCHEMA } from "../src/schemas.js";
+
+test("validateSchema accepts a documented verify request", () => {
+  const errors = validateSchema(VERIFY_REQUEST_SCHEMA, {
+    proofId: "proof-123",
+    attestation: { presentationHex: "aa" },
+    recentCount: 5,
+    selectedTransfer: { transferId: "tx-1", amount: "1000000", timestamp: 1739102400, payerRef: "alice" },
+    expected: { amount: { value: 12.5, currency: "EUR" }, currency: "EUR", status: ["COMPLETED"], timestamp: 1739102400 }
+  });
+  assert.deepEqual(errors, []);
+});
+
+test("validateSchema reports codes and JSON pointer paths", () => {
+  const errors = validateSchema(VERIFY_REQUEST_SCHEMA, {
+    recentCount: "five",
+    expected: { currency: "EURO", timestamp: "yesterday", status: [1] }
+  });
+  assert.deepEqual(
+    errors.map((error) => [error.code, error.path]),
+    [
+      ["SCHEMA_REQUIRED", "/attestation"],
+      ["SCHEMA_ANY_OF", "/recentCount"],
+      ["SCHEMA_PATTERN", "/expected/currency"],
+      ["SCHEMA_TYPE", "/expected/timestamp"],
+      ["SCHEMA_ANY_OF", "/expected/status"]
+    ]
+  );
+  assert.deepEqual(validateSchema(VERIFY_REQUEST_SCHEMA, []).map((error) => error.path), ["/"]);
+});
+
+test("validateSchema enforces array bounds and additionalProperties", () => {
+  assert.equal(validateSchema(BATCH_REQUEST_SCHEMA, { items: [] })[0].code, "SCHEMA_MIN_ITEMS");
+  const errors = validateSchema(TRUSTED_NOTARY_SCHEMA, { publicKeyPem: "PEM", "a/b": true });
+  assert.deepEqual(errors, [{ code: "SCHEMA_ADDITIONAL_PROPERTIES", path: "/a~1b", message: "a/b is not allowed" }]);
+});
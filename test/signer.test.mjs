@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createResultSigner, recoverResultSigner, signableAmount } from "../src/signer.js";
+
+const normalized = {
+  amount: "1000000",
+  timestamp: 1739102400,
+  payerRef: "payer-a",
+  transferId: "tx-1",
+  sourceHost: "wise.com"
+};
+const receiptHash = `0x${"ab".repeat(32)}`;
+
+test("eip712 signer signs the normalized result with a recoverable address", () => {
+  const signer = createResultSigner({
+    privateKey: "0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318",
+    chainId: 8453,
+    verifyingContract: "0x1111111111111111111111111111111111111111",
+    ttlSeconds: 600
+  });
+  assert.equal(signer.describe().address, "0x2c7536e3605d9c16a7a3d7b1898e529396a65c23");
+
+  const signed = signer.signResult({ normalized, receiptHash, proofId: "proof-1", keyId: "settlement", now: 1000 });
+  assert.equal(signed.scheme, "eip712");
+  assert.equal(signed.message.expiresAt, 1600);
+  assert.equal(signed.message.proofId, "proof-1");
+  assert.equal(signed.message.keyId, "settlement");
+  assert.deepEqual([signed.message.amount, signed.message.amountExponent, signed.message.currency], ["1000000", 0, ""]);
+  assert.match(signed.signature, /^0x[0-9a-f]{130}$/);
+  assert.equal(recoverResultSigner(signed), signer.describe().address);
+
+  const tampered = { ...signed, message: { ...signed.message, amount: "2000000" } };
+  assert.notEqual(recoverResultSigner(tampered), signer.describe().address);
+  const rescaled = { ...signed, message: { ...signed.message, amountExponent: 2 } };
+  assert.notEqual(recoverResultSigner(rescaled), signer.describe().address);
+  const rekeyed = { ...signed, message: { ...signed.message, keyId: "other" } };
+  assert.notEqual(recoverResultSigner(rekeyed), signer.describe().address);
+  assert.ok(signer.describe().types.VerifiedTransfer.some((field) => field.name === "keyId" && field.type === "string"));
+});
+
+test("signed amounts are minor units with their exponent and currency", () => {
+  const signer = createResultSigner({ privateKey: "0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318" });
+  const signed = signer.signResult({ normalized: { ...normalized, amount: "1,000.50 GBP" }, receiptHash, proofId: "p" });
+  assert.deepEqual([signed.message.amount, signed.message.amountExponent, signed.message.currency], ["100050", 2, "GBP"]);
+  assert.equal(recoverResultSigner(signed), signer.describe().address);
+
+  const parsed = signer.signResult({
+    normalized: { ...normalized, parsedAmount: { minorUnits: "1250", currency: "EUR", exponent: 2 } },
+    receiptHash,
+    proofId: "p"
+  });
+  assert.equal(parsed.message.amount, "1250");
+  assert.throws(() => signableAmount({ amount: "-5 EUR" }), /cannot be signed/);
+  assert.throws(() => signableAmount({ amount: "lots" }), /unparseable amount/);
+  assert.throws(() => signableAmount({}), /cannot be signed/);
+});
+
+test("ed25519 signer publishes a raw public key that verifies the result", () => {
+  const signer = createResultSigner({ scheme: "ed25519", privateKey: "11".repeat(32) });
+  const { publicKey, publicKeyPem } = signer.describe();
+  assert.equal(publicKey, "0xd04ab232742bb4ab3a1368bd4615e4e6d0224ab71a016baf8520a332c9778737");
+  assert.match(publicKeyPem, /BEGIN PUBLIC KEY/);
+
+  const signed = signer.signResult({ normalized, receiptHash, proofId: null, keyId: "settlement" });
+  assert.equal(signed.message.proofId, "");
+  assert.equal(recoverResultSigner(signed), publicKey);
+  assert.equal(recoverResultSigner({ ...signed, message: { ...signed.message, keyId: "other" } }), undefined);
+  assert.equal(recoverResultSigner({ ...signed, message: { ...signed.message, transferId: "tx-2" } }), undefined);
+});
+
+test("createResultSigner is disabled without a key and rejects unknown schemes", () => {
+  assert.equal(createResultSigner({}), undefined);
+  assert.throws(() => createResultSigner({ scheme: "rsa", privateKey: "11".repeat(32) }), /unsupported signer scheme/);
+  assert.throws(() => createResultSigner({ privateKey: "0x1234" }), /32-byte hex private key/);
+  const privateKey = "0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318";
+  assert.throws(() => createResultSigner({ privateKey, verifyingContract: "0x1234" }), /invalid eip712 verifyingContract/);
+  assert.throws(() => createResultSigner({ privateKey, chainId: "base" }), /invalid eip712 chainId/);
+  assert.throws(() => createResultSigner({ privateKey, chainId: -1 }), /invalid uint256 value/);
+});
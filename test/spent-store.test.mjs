@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  buildSpentKeys,
+  createFileSpentStore,
+  createMemorySpentStore,
+  transferSpentKey
+} from "../src/spent-store.js";
+
+test("buildSpentKeys keys by provider transfer id and presentation digest", () => {
+  const keys = buildSpentKeys({ providerId: "Wise", transferId: "tx-1", presentationHex: "deadbeef" });
+  assert.equal(keys.length, 2);
+  assert.equal(keys[0], "transfer:wise|tx-1");
+  assert.match(keys[1], /^presentation:0x[0-9a-f]{64}$/);
+  assert.equal(transferSpentKey("wise", ""), undefined);
+});
+
+test("memory spent store rejects a second claim with the original proofId", async () => {
+  const store = createMemorySpentStore();
+  const keys = buildSpentKeys({ providerId: "wise", transferId: "tx-1", presentationHex: "aa" });
+  const first = await store.claim(keys, { proofId: "proof-1", receiptHash: "0x01", usedAt: 100 });
+  assert.equal(first.ok, true);
+
+  const otherPresentation = buildSpentKeys({ providerId: "wise", transferId: "tx-1", presentationHex: "bb" });
+  const second = await store.claim(otherPresentation, { proofId: "proof-2", receiptHash: "0x02" });
+  assert.equal(second.ok, false);
+  assert.equal(second.key, "transfer:wise|tx-1");
+  assert.equal(second.existing.proofId, "proof-1");
+  assert.equal(second.existing.usedAt, 100);
+});
+
+test("memory spent store treats a retry of the same claim as idempotent", async () => {
+  const store = createMemorySpentStore();
+  const keys = buildSpentKeys({ providerId: "wise", transferId: "tx-1", presentationHex: "aa" });
+  await store.claim(keys, { proofId: "proof-1", receiptHash: "0x01" });
+  const retry = await store.claim(keys, { proofId: "proof-1", receiptHash: "0x01" });
+  assert.equal(retry.ok, true);
+  assert.equal(retry.replayed, true);
+});
+
+test("file spent store persists claims across instances", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "spent-store-"));
+  const filePath = path.join(dir, "nested", "spent.jsonl");
+  const keys = buildSpentKeys({ providerId: "wise", transferId: "tx-9", presentationHex: "cc" });
+
+  const first = createFileSpentStore(filePath);
+  await first.claim(keys, { proofId: "proof-9", receiptHash: "0x09", usedAt: 42 });
+
+  const reopened = createFileSpentStore(filePath);
+  const existing = await reopened.lookup([keys[1]]);
+  assert.equal(existing.proofId, "proof-9");
+  assert.equal(existing.usedAt, 42);
+  const second = await reopened.claim(keys, { proofId: "proof-10", receiptHash: "0x10" });
+  assert.equal(second.ok, false);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,90 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import zlib from "node:zlib";
+import { isJsonContentType, parseHttpRequests, parseHttpResponses, parseJsonResponses } from "../src/transcript.js";
+
+test("parseHttpRequests parses request line, headers and query", () => {
+  const [request] = parseHttpRequests(
+    "GET /v1/profiles/1/activities?size=10 HTTP/1.1\r\nHost: wise.com\r\nAccept: application/json\r\n\r\n"
+  );
+  assert.equal(request.method, "GET");
+  assert.equal(request.path, "/v1/profiles/1/activities");
+  assert.equal(request.query, "size=10");
+  assert.equal(request.httpVersion, "1.1");
+  assert.equal(request.headers.host, "wise.com");
+  assert.equal(request.headers.accept, "application/json");
+});
+
+test("parseHttpRequests splits pipelined requests using content-length", () => {
+  const sent = [
+    "POST /v1/quotes HTTP/1.1\r\nHost: wise.com\r\nContent-Length: 2\r\n\r\n{}",
+    "GET /v1/transfers/42 HTTP/1.1\r\nHost: wise.com\r\n\r\n"
+  ].join("");
+  const requests = parseHttpRequests(sent);
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].body, "{}");
+  assert.equal(requests[1].path, "/v1/transfers/42");
+});
+
+test("parseHttpRequests rejects redacted request lines", () => {
+  assert.throws(() => parseHttpRequests("\0\0\0\0\0\0\0\r\nHost: wise.com\r\n\r\n"), /unparseable request line/);
+  assert.throws(() => parseHttpRequests("GET / HTTP/1.1\r\nHost: wise.com"), /incomplete request head/);
+});
+
+function chunk(text) {
+  return `${Buffer.byteLength(text).toString(16)}\r\n${text}\r\n`;
+}
+
+test("parseHttpResponses decodes chunked bodies and keeps pipelined responses apart", () => {
+  const first = JSON.stringify({ transactions: [{ id: "t1" }] });
+  const recv = [
+    "HTTP/1.1 200 OK\r\nContent-Type: application/json\r\nTransfer-Encoding: chunked\r\n\r\n",
+    chunk(first.slice(0, 10)),
+    chunk(first.slice(10)),
+    "0\r\n\r\n",
+    "HTTP/1.1 200 OK\r\nContent-Type: application/json\r\nContent-Length: 11\r\n\r\n{\"id\":\"t2\"}"
+  ].join("");
+  const responses = parseHttpResponses(recv);
+  assert.equal(responses.length, 2);
+  assert.equal(responses[0].statusCode, 200);
+  assert.deepEqual(JSON.parse(responses[0].body), { transactions: [{ id: "t1" }] });
+  assert.deepEqual(JSON.parse(responses[1].body), { id: "t2" });
+});
+
+test("parseHttpResponses decodes gzip, deflate and brotli bodies", () => {
+  const json = JSON.stringify({ id: "t1" });
+  const encoders = { gzip: zlib.gzipSync, deflate: zlib.deflateSync, br: zlib.brotliCompressSync };
+  for (const [encoding, encode] of Object.entries(encoders)) {
+    const body = encode(Buffer.from(json));
+    const recv = Buffer.concat([
+      Buffer.from(
+        `HTTP/1.1 200 OK\r\nContent-Type: application/json\r\nContent-Encoding: ${encoding}\r\nContent-Length: ${body.length}\r\n\r\n`
+      ),
+      body
+    ]);
+    const [response] = parseJsonResponses(recv);
+    assert.deepEqual(response.json, { id: "t1" }, encoding);
+  }
+});
+
+test("parseHttpResponses cannot recover a compressed body from a text transcript", () => {
+  const body = zlib.gzipSync(Buffer.from(JSON.stringify({ id: "t1" })));
+  const recv = Buffer.concat([
+    Buffer.from(`HTTP/1.1 200 OK\r\nContent-Type: application/json\r\nContent-Encoding: gzip\r\n\r\n`),
+    body
+  ]);
+  assert.throws(() => parseJsonResponses(recv.toString("utf8")), /gzip body of a text transcript cannot be decoded/);
+  assert.deepEqual(parseJsonResponses(recv)[0].json, { id: "t1" });
+});
+
+test("parseJsonResponses rejects non-2xx and non-json responses", () => {
+  assert.throws(
+    () => parseJsonResponses("HTTP/1.1 404 Not Found\r\nContent-Type: application/json\r\nContent-Length: 2\r\n\r\n{}"),
+    /non-2xx status 404/
+  );
+  assert.throws(
+    () => parseJsonResponses("HTTP/1.1 200 OK\r\nContent-Type: text/html\r\nContent-Length: 6\r\n\r\n<html>"),
+    /non-json content-type/
+  );
+  assert.equal(isJsonContentType("application/problem+json; charset=utf-8"), true);
+});
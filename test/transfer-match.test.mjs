@@ -0,0 +1,98 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_MATCH_WEIGHTS, matchSelectedTransfer, parseMatchPolicy, scoreTransfer } from "../src/transfer-match.js";
+
+const policy = parseMatchPolicy({});
+
+const rows = [
+  { transferId: "t1", amount: "10.00", currency: "EUR", timestamp: 1739102400, payerRef: "alice", status: "COMPLETED" },
+  { transferId: "t2", amount: "10.00", currency: "EUR", timestamp: 1739102900, payerRef: "bob", status: "COMPLETED" },
+  { transferId: "t3", amount: "25.00", currency: "EUR", timestamp: 1739103000, payerRef: "alice", status: "PENDING" }
+];
+
+test("parseMatchPolicy merges weight overrides over the defaults", () => {
+  assert.deepEqual(policy, {
+    weights: DEFAULT_MATCH_WEIGHTS,
+    minScore: 60,
+    timestampToleranceSeconds: 60,
+    tieMargin: 0,
+    nearMisses: 3,
+    requireTransferDetails: false
+  });
+  const custom = parseMatchPolicy({ TLSN_MATCH_WEIGHTS: "amount=50, status=0", TLSN_MATCH_MIN_SCORE: "70" });
+  assert.equal(custom.weights.amount, 50);
+  assert.equal(custom.weights.status, 0);
+  assert.equal(custom.weights.transferId, 100);
+  assert.equal(custom.minScore, 70);
+  assert.throws(() => parseMatchPolicy({ TLSN_MATCH_WEIGHTS: "iban=5" }), /unknown match field/);
+  assert.throws(() => parseMatchPolicy({ TLSN_MATCH_TIE_MARGIN: "-1" }), /invalid TLSN_MATCH_TIE_MARGIN/);
+  assert.equal(parseMatchPolicy({ TLSN_REQUIRE_TRANSFER_DETAILS: "true" }).requireTransferDetails, true);
+  assert.throws(() => parseMatchPolicy({ TLSN_REQUIRE_TRANSFER_DETAILS: "yes" }), /invalid TLSN_REQUIRE_TRANSFER_DETAILS/);
+});
+
+test("scoreTransfer explains each supplied field", () => {
+  const scored = scoreTransfer(rows[0], { amount: "10 EUR", timestamp: 1739102460, payerRef: "bob" }, policy);
+  assert.equal(scored.score, 60);
+  assert.equal(scored.maxScore, 85);
+  assert.deepEqual(
+    scored.fields.map(({ field, outcome, points }) => [field, outcome, points]),
+    [
+      ["amount", "match", 40],
+      ["payerRef", "mismatch", 0],
+      ["timestamp", "match", 20]
+    ]
+  );
+  assert.equal(scored.fields[1].reason, "payerRef alice does not match bob");
+  assert.equal(scored.fields[2].reason, "within 60s of the selected timestamp");
+});
+
+test("matchSelectedTransfer picks the best row with its reasons", () => {
+  const byId = matchSelectedTransfer(rows, { transferId: "t2" }, policy);
+  assert.equal(byId.ok, true);
+  assert.equal(byId.match.index, 1);
+  assert.equal(byId.match.row, rows[1]);
+  assert.equal(byId.match.fields[0].reason, "transferId matches");
+
+  const byPayer = matchSelectedTransfer(rows, { amount: "10", payerRef: "alice" }, policy);
+  assert.equal(byPayer.match.row.transferId, "t1");
+  assert.equal(byPayer.match.score, 65);
+});
+
+test("matchSelectedTransfer reports near misses and ambiguity", () => {
+  const missed = matchSelectedTransfer(rows, { transferId: "t9", amount: "25", payerRef: "carol" }, policy);
+  assert.equal(missed.ok, false);
+  assert.equal(missed.code, "TRANSFER_NOT_FOUND");
+  assert.match(missed.message, /best candidate scored 40 of 165, below minScore 60/);
+  assert.deepEqual(
+    missed.candidates.map((candidate) => [candidate.index, candidate.score]),
+    [[2, 40]]
+  );
+
+  const lenient = parseMatchPolicy({ TLSN_MATCH_MIN_SCORE: "50" });
+  const ambiguous = matchSelectedTransfer(rows, { amount: "10.00", currency: "eur", status: "COMPLETED" }, lenient);
+  assert.equal(ambiguous.ok, false);
+  assert.equal(ambiguous.code, "TRANSFER_AMBIGUOUS");
+  assert.deepEqual(
+    ambiguous.candidates.map((candidate) => candidate.row.transferId),
+    ["t1", "t2"]
+  );
+
+  const margin = parseMatchPolicy({ TLSN_MATCH_TIE_MARGIN: "30", TLSN_MATCH_MIN_SCORE: "40" });
+  assert.equal(matchSelectedTransfer(rows, { amount: "10", payerRef: "alice" }, margin).code, "TRANSFER_AMBIGUOUS");
+  assert.equal(matchSelectedTransfer([], { transferId: "t1" }, policy).message, "no recent transfers to match");
+});
+
+test("matchSelectedTransfer can require a transfer-details confirmation", () => {
+  const strict = parseMatchPolicy({ TLSN_REQUIRE_TRANSFER_DETAILS: "true" });
+  const listed = rows.map((row) => ({ ...row, source: { origin: "response", exchange: 0, details: false } }));
+  listed[1] = { ...listed[1], source: { ...listed[1].source, confirmedBy: { exchange: 1 } } };
+
+  const unconfirmed = matchSelectedTransfer(listed, { transferId: "t1" }, strict);
+  assert.equal(unconfirmed.ok, false);
+  assert.equal(unconfirmed.code, "TRANSFER_NOT_CONFIRMED");
+  assert.equal(unconfirmed.message, "best candidate t1 is not confirmed by a transfer-details response");
+  assert.deepEqual(unconfirmed.candidates.map((candidate) => candidate.index), [0]);
+
+  assert.equal(matchSelectedTransfer(listed, { transferId: "t2" }, strict).ok, true);
+  assert.equal(matchSelectedTransfer(listed, { transferId: "t1" }, policy).ok, true);
+});
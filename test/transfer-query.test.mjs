@@ -0,0 +1,61 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { runTransferQuery, sortTransfers, transferMatchesQuery } from "../src/transfer-query.js";
+
+const transfers = [
+  { transferId: "t1", amount: "10.00", currency: "EUR", timestamp: 1739102400, payerRef: "Alice", recipientRef: "", status: "COMPLETED" },
+  { transferId: "t2", amount: "25.00", currency: "EUR", timestamp: 1739188800, payerRef: "Bob", recipientRef: "", status: "PENDING" },
+  { transferId: "t3", amount: "40.00", currency: "GBP", timestamp: 1739016000, payerRef: "", recipientRef: "alice", status: "COMPLETED" },
+  { transferId: "t4", amount: "5.00", currency: "EUR", timestamp: undefined, payerRef: "Carol", recipientRef: "", status: "COMPLETED" },
+  { transferId: "t5", amount: "60.00", currency: "EUR", timestamp: 1739275200, payerRef: "alice", recipientRef: "", status: "completed" }
+];
+
+const ids = (rows) => rows.map((row) => row.transferId);
+
+test("sortTransfers orders by timestamp and keeps undated rows last", () => {
+  assert.deepEqual(ids(sortTransfers(transfers)), ["t5", "t2", "t1", "t3", "t4"]);
+  assert.deepEqual(ids(sortTransfers(transfers, "asc")), ["t3", "t1", "t2", "t5", "t4"]);
+});
+
+test("transferMatchesQuery applies every filter", () => {
+  const matching = (filters) => ids(transfers.filter((row) => transferMatchesQuery(row, filters)));
+  assert.deepEqual(matching({ from: 1739102400, to: 1739275200 }), ["t1", "t2"]);
+  assert.deepEqual(matching({ currency: "GBP" }), ["t3"]);
+  assert.deepEqual(matching({ status: ["COMPLETED"] }), ["t1", "t3", "t4", "t5"]);
+  assert.deepEqual(matching({ counterparty: "alice" }), ["t1", "t3", "t5"]);
+});
+
+test("runTransferQuery filters by amount range and reports totals", () => {
+  const queried = runTransferQuery(transfers, { currency: "eur", minAmount: "10", maxAmount: "50" });
+  assert.equal(queried.ok, true);
+  assert.deepEqual(ids(queried.all), ["t2", "t1"]);
+  assert.deepEqual(
+    { ...queried.result, rows: ids(queried.result.rows) },
+    { total: 5, matched: 2, offset: 0, count: 2, order: "desc", rows: ["t2", "t1"], nextCursor: null }
+  );
+
+  const invalid = runTransferQuery(transfers, { from: "yesterday" });
+  assert.equal(invalid.code, "REQUEST_INVALID");
+  assert.equal(invalid.details[0].path, "/query/from");
+  assert.equal(runTransferQuery(transfers, { minAmount: "ten" }).details[0].path, "/query/minAmount");
+});
+
+test("runTransferQuery pages through every match with a bound cursor", () => {
+  const query = { order: "asc", limit: 2 };
+  const first = runTransferQuery(transfers, query, { scope: "presentation-a" });
+  assert.deepEqual(ids(first.result.rows), ["t3", "t1"]);
+  assert.ok(first.result.nextCursor);
+
+  const second = runTransferQuery(transfers, { ...query, cursor: first.result.nextCursor }, { scope: "presentation-a" });
+  assert.deepEqual(ids(second.result.rows), ["t2", "t5"]);
+  assert.equal(second.result.offset, 2);
+  const third = runTransferQuery(transfers, { ...query, cursor: second.result.nextCursor }, { scope: "presentation-a" });
+  assert.deepEqual(ids(third.result.rows), ["t4"]);
+  assert.equal(third.result.nextCursor, null);
+
+  const otherPresentation = runTransferQuery(transfers, { ...query, cursor: first.result.nextCursor }, { scope: "presentation-b" });
+  assert.equal(otherPresentation.code, "QUERY_CURSOR_INVALID");
+  const otherFilters = runTransferQuery(transfers, { order: "desc", cursor: first.result.nextCursor }, { scope: "presentation-a" });
+  assert.equal(otherFilters.code, "QUERY_CURSOR_INVALID");
+  assert.equal(runTransferQuery(transfers, { cursor: "garbage" }).code, "QUERY_CURSOR_INVALID");
+});
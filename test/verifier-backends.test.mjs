@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import {
+  createVerifierBackendRegistry,
+  DEFAULT_VERIFIER_BACKENDS,
+  parseVerifierBackends,
+  resolveVerifierModule
+} from "../src/verifier-backends.js";
+
+const BACKENDS = JSON.stringify([
+  { id: "alpha12", module: "@dylan1951/tlsn-ts", versions: ["0.1.0-alpha.12"], default: true },
+  { id: "alpha13", module: "./vendor/tlsn-alpha13/index.cjs", versions: ["0.1.0-alpha.13"] }
+]);
+
+function registry(raw = BACKENDS) {
+  return createVerifierBackendRegistry(parseVerifierBackends(raw), { load: (backend) => () => backend.id });
+}
+
+test("parseVerifierBackends defaults to the pinned module and resolves relative paths", () => {
+  assert.deepEqual(
+    parseVerifierBackends(""),
+    DEFAULT_VERIFIER_BACKENDS.map((backend) => ({ ...backend, modulePath: backend.module }))
+  );
+  const [, alpha13] = parseVerifierBackends(BACKENDS);
+  assert.equal(alpha13.modulePath, path.resolve("vendor/tlsn-alpha13/index.cjs"));
+  assert.equal(alpha13.default, false);
+  assert.equal(resolveVerifierModule("/opt/tlsn/index.cjs"), "/opt/tlsn/index.cjs");
+});
+
+test("parseVerifierBackends rejects ambiguous configurations", () => {
+  assert.throws(() => parseVerifierBackends("[]"), /non-empty JSON array/);
+  assert.throws(() => parseVerifierBackends('[{"module":"x"}]'), /id is required/);
+  assert.throws(() => parseVerifierBackends('[{"id":"a"}]'), /module is required/);
+  assert.throws(() => parseVerifierBackends('[{"id":"a","module":"x","versions":"1"}]'), /versions must be an array/);
+  assert.throws(
+    () => parseVerifierBackends('[{"id":"a","module":"x","versions":["1"]},{"id":"b","module":"y","versions":["1"]}]'),
+    /mapped to both a and b/
+  );
+  assert.throws(
+    () => parseVerifierBackends('[{"id":"a","module":"x","default":true},{"id":"b","module":"y","default":true}]'),
+    /only one verifier backend/
+  );
+});
+
+test("registry selects the backend by presentation version", () => {
+  const backends = registry();
+  const alpha13 = backends.resolve({ presentation: { version: "0.1.0-alpha.13", data: "0xdeadbeef" } });
+  assert.equal(alpha13.ok, true);
+  assert.equal(alpha13.version, "0.1.0-alpha.13");
+  assert.equal(alpha13.backend.verifyPresentation(), "alpha13");
+
+  const enveloped = backends.resolve({ version: "0.1.0-alpha.12", data: "0xdeadbeef" });
+  assert.equal(enveloped.backend.id, "alpha12");
+
+  const bare = backends.resolve({ presentation: "0xdeadbeef" });
+  assert.deepEqual([bare.ok, bare.version, bare.backend.id], [true, null, "alpha12"]);
+});
+
+test("registry rejects unknown versions explicitly", () => {
+  const unknown = registry().resolve({ presentation: JSON.stringify({ version: "0.1.0-alpha.14", data: "0xdeadbeef" }) });
+  assert.equal(unknown.ok, false);
+  assert.equal(unknown.code, "PRESENTATION_VERSION_UNSUPPORTED");
+  assert.match(unknown.message, /0\.1\.0-alpha\.14.*supported: 0\.1\.0-alpha\.12, 0\.1\.0-alpha\.13/);
+
+  const noDefault = registry('[{"id":"a","module":"x","versions":["1"]}]').resolve({ presentation: "0xdeadbeef" });
+  assert.equal(noDefault.code, "PRESENTATION_VERSION_MISSING");
+
+  const catchAll = registry('[{"id":"a","module":"x","versions":["1"]},{"id":"any","module":"y","versions":["*"]}]');
+  assert.equal(catchAll.resolve({ version: "2", data: "0xaa" }).backend.id, "any");
+});
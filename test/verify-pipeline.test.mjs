@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createDefaultProviderRegistry } from "../src/providers/index.js";
+import { parseVerifyPolicy, runVerifyPipeline } from "../src/verify-pipeline.js";
+
+const wise = (await createDefaultProviderRegistry({})).get("wise");
+
+function localVerification({ host = "wise.com", requestPath = "/v1/profiles/1/activities" } = {}) {
+  return {
+    sent: `GET ${requestPath} HTTP/1.1\r\nHost: ${host}\r\n\r\n`,
+    recv: [
+      "HTTP/1.1 200 OK",
+      "content-type: application/json",
+      "",
+      JSON.stringify({ activities: [{ id: "t1", amount: "10.00 EUR", timestamp: 1739102400, payer: "alice" }] })
+    ].join("\r\n"),
+    serverName: host,
+    timestamp: 1739102500,
+    presentationHex: "ab"
+  };
+}
+
+function run(request, options = {}) {
+  return runVerifyPipeline({
+    provider: wise,
+    attestation: { presentation: "ab" },
+    localVerification: options.localVerification ?? localVerification(),
+    request,
+    policy: parseVerifyPolicy(options.env ?? {}),
+    allowedHostSuffixes: options.allowedHostSuffixes
+  });
+}
+
+test("verify pipeline selects, normalizes and hashes a proven transfer", () => {
+  const result = run({ selectedTransfer: { transferId: "t1" }, expected: { amount: "10 EUR" } });
+  assert.equal(result.ok, true);
+  const { report } = result;
+  assert.equal(report.requests.length, 1);
+  assert.equal(report.provenTransferCount, 1);
+  assert.equal(report.transferQuery, null);
+  assert.equal(report.selectedMatched, true);
+  assert.equal(report.normalized.transferId, "t1");
+  assert.deepEqual(
+    report.constraints.map((constraint) => [constraint.constraint, constraint.ok]),
+    [["amount", true]]
+  );
+  assert.equal(report.freshness.ok, true);
+  assert.equal(report.receiptHashScheme, "v1");
+  assert.match(report.receiptHash, /^0x[0-9a-f]{64}$/);
+
+  const v3 = run({ selectedTransfer: { transferId: "t1" }, receiptHashScheme: "v3" });
+  assert.equal(v3.report.receiptHashScheme, "v3");
+  assert.notEqual(v3.report.receiptHash, report.receiptHash);
+});
+
+test("verify pipeline stops at the first failing policy and keeps the partial report", () => {
+  const endpoint = run({}, { localVerification: localVerification({ requestPath: "/v1/other" }) });
+  assert.equal(endpoint.ok, false);
+  assert.equal(endpoint.json.code, "ENDPOINT_NOT_ALLOWED");
+
+  const unconfirmed = run({}, { env: { TLSN_REQUIRE_TRANSFER_DETAILS: "true" } });
+  assert.equal(unconfirmed.json.code, "TRANSFER_NOT_CONFIRMED");
+  assert.equal(unconfirmed.report.recentTransfers.length, 1);
+
+  const host = run({ selectedTransfer: { transferId: "t1" } }, { allowedHostSuffixes: ["example.com"] });
+  assert.equal(host.json.code, "HOST_NOT_ALLOWED");
+  assert.match(host.json.details[0].message, /allowed=example\.com/);
+
+  const mismatch = run({ selectedTransfer: { transferId: "t1" }, expected: { amount: "11 EUR" } });
+  assert.equal(mismatch.status, 400);
+  assert.equal(mismatch.json.code, "CONSTRAINTS_MISMATCH");
+  assert.equal(mismatch.report.normalized.transferId, "t1");
+
+  const stale = run({ selectedTransfer: { transferId: "t1" }, freshness: { maxTransferGapSeconds: 10 } }, {
+    env: { TLSN_MAX_TRANSFER_GAP_CAP_SECONDS: "60" }
+  });
+  assert.equal(stale.json.code, "FRESHNESS_FAILED");
+  assert.equal(stale.json.details[0].code, "TRANSFER_GAP_EXCEEDED");
+});
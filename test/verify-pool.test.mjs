@@ -0,0 +1,106 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createVerifyPool, VERIFY_POOL_ERROR_CODES } from "../src/verify-pool.js";
+
+function writeFakeVerifier() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "verify-pool-"));
+  const modulePath = path.join(dir, "fake-tlsn.cjs");
+  fs.writeFileSync(
+    modulePath,
+    `module.exports.verify_presentation = function (hex, pem) {
+  if (hex === "hang") for (;;) {}
+  if (hex === "crash") process.exit(3);
+  if (hex === "bad") throw new Error("bad signature");
+  return { sent: "GET / HTTP/1.1", recv: "HTTP/1.1 200 OK", server_name: pem, time: 1739102400n, free() {} };
+};
+`
+  );
+  return modulePath;
+}
+
+async function rejectsWithCode(promise, code) {
+  await assert.rejects(promise, (error) => {
+    assert.equal(error.code, code);
+    return true;
+  });
+}
+
+test("verify pool returns plain verifier results from a worker", async () => {
+  const pool = createVerifyPool({ size: 1, modulePath: writeFakeVerifier() });
+  try {
+    const result = await pool.verifyPresentation("aa", "wise.com");
+    assert.deepEqual(result, { sent: "GET / HTTP/1.1", recv: "HTTP/1.1 200 OK", server_name: "wise.com", time: 1739102400n });
+    await assert.rejects(pool.verifyPresentation("bad", "wise.com"), /bad signature/);
+    assert.equal(pool.stats().completed, 1);
+    assert.equal(pool.stats().failed, 1);
+  } finally {
+    await pool.close();
+  }
+});
+
+test("verify pool times out stuck jobs and keeps serving", async () => {
+  const pool = createVerifyPool({ size: 1, jobTimeoutMs: 200, modulePath: writeFakeVerifier() });
+  try {
+    await rejectsWithCode(pool.verifyPresentation("hang", "wise.com"), VERIFY_POOL_ERROR_CODES.timeout);
+    const result = await pool.verifyPresentation("aa", "wise.com");
+    assert.equal(result.server_name, "wise.com");
+    assert.equal(pool.stats().restarts, 1);
+  } finally {
+    await pool.close();
+  }
+});
+
+test("verify pool recycles crashed workers", async () => {
+  const pool = createVerifyPool({ size: 1, modulePath: writeFakeVerifier() });
+  try {
+    await rejectsWithCode(pool.verifyPresentation("crash", "wise.com"), VERIFY_POOL_ERROR_CODES.workerCrashed);
+    const result = await pool.verifyPresentation("aa", "wise.com");
+    assert.equal(result.server_name, "wise.com");
+  } finally {
+    await pool.close();
+  }
+});
+
+test("verify pool rejects work beyond the queue limit", async () => {
+  const pool = createVerifyPool({
+    size: 1,
+    queueLimit: 1,
+    jobTimeoutMs: 300,
+    retryAfterSeconds: 5,
+    modulePath: writeFakeVerifier()
+  });
+  try {
+    const running = pool.verifyPresentation("hang", "wise.com");
+    const queued = pool.verifyPresentation("aa", "wise.com");
+    await assert.rejects(pool.verifyPresentation("aa", "wise.com"), (error) => {
+      assert.equal(error.code, VERIFY_POOL_ERROR_CODES.saturated);
+      assert.equal(error.retryAfterSeconds, 5);
+      return true;
+    });
+    await rejectsWithCode(running, VERIFY_POOL_ERROR_CODES.timeout);
+    assert.equal((await queued).server_name, "wise.com");
+  } finally {
+    await pool.close();
+  }
+});
+
+test("verify pool runs jobs against the module each job names", async () => {
+  const modulePath = writeFakeVerifier();
+  const otherPath = path.join(path.dirname(modulePath), "other-tlsn.cjs");
+  fs.writeFileSync(otherPath, `module.exports.verify_presentation = () => ({ sent: "", recv: "", server_name: "other", time: 1 });\n`);
+  const pool = createVerifyPool({ size: 1, modulePath });
+  try {
+    assert.equal((await pool.verifyPresentation("aa", "wise.com")).server_name, "wise.com");
+    assert.equal((await pool.verifyPresentation("aa", "wise.com", { modulePath: otherPath })).server_name, "other");
+    await assert.rejects(
+      pool.verifyPresentation("aa", "wise.com", { modulePath: path.join(path.dirname(modulePath), "missing.cjs") }),
+      /Cannot find module/
+    );
+    assert.equal((await pool.verifyPresentation("aa", "wise.com")).server_name, "wise.com");
+  } finally {
+    await pool.close();
+  }
+});
@@ -0,0 +1,198 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import {
+  checkCallbackUrl,
+  createWebhookDispatcher,
+  createWebhookOutbox,
+  postWebhook,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  WEBHOOK_EVENT_HEADER,
+  WEBHOOK_SIGNATURE_HEADER,
+  webhookRetryDelaySeconds
+} from "../src/webhooks.js";
+
+async function withReceiver(statuses, run) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(received.length - 1, statuses.length - 1)];
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  try {
+    return await run(`http://127.0.0.1:${port}/hook`, received);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+function clock(start = 1_000_000) {
+  let current = start;
+  return { now: () => current, advance: (seconds) => (current += seconds) };
+}
+
+test("webhook signatures cover the timestamp and body", () => {
+  const header = signWebhookPayload("secret", '{"a":1}', 1000);
+  assert.match(header, /^t=1000,v1=[0-9a-f]{64}$/);
+  assert.equal(verifyWebhookSignature("secret", '{"a":1}', header, { now: 1100 }), true);
+  assert.equal(verifyWebhookSignature("secret", '{"a":2}', header, { now: 1100 }), false);
+  assert.equal(verifyWebhookSignature("other", '{"a":1}', header, { now: 1100 }), false);
+  assert.equal(verifyWebhookSignature("secret", '{"a":1}', header, { now: 2000 }), false);
+});
+
+test("webhookRetryDelaySeconds backs off exponentially up to the cap", () => {
+  const delays = [1, 2, 3, 4, 10].map((attempt) => webhookRetryDelaySeconds(attempt, { baseSeconds: 5, maxSeconds: 60 }));
+  assert.deepEqual(delays, [5, 10, 20, 40, 60]);
+});
+
+test("checkCallbackUrl enforces scheme and host allowlist", () => {
+  const options = { allowedHosts: ["*.backend.example"] };
+  assert.equal(checkCallbackUrl("https://api.backend.example/hook", options).ok, true);
+  assert.equal(checkCallbackUrl("http://api.backend.example/hook", options).code, "CALLBACK_SCHEME_NOT_ALLOWED");
+  assert.equal(checkCallbackUrl("https://evil.example/hook", options).code, "CALLBACK_HOST_NOT_ALLOWED");
+  assert.equal(checkCallbackUrl("https://u:p@api.backend.example/", options).code, "CALLBACK_URL_INVALID");
+  assert.equal(checkCallbackUrl("not a url", options).code, "CALLBACK_URL_INVALID");
+  const local = { allowedHosts: ["127.0.0.1"], allowHttp: true };
+  assert.equal(checkCallbackUrl("http://127.0.0.1:9/hook", local).code, "CALLBACK_ADDRESS_BLOCKED");
+  assert.equal(checkCallbackUrl("http://127.0.0.1:9/hook", { ...local, allowPrivateAddresses: true }).ok, true);
+});
+
+test("postWebhook refuses callbacks that resolve to blocked addresses", async () => {
+  await assert.rejects(postWebhook("http://127.0.0.1:9/hook", "{}", {}), /callback address is blocked: 127\.0\.0\.1/);
+  const lookup = (hostname, options, callback) => callback(null, [{ address: "10.0.0.5", family: 4 }]);
+  await assert.rejects(
+    postWebhook("http://hooks.backend.example/hook", "{}", {}, { lookup }),
+    /hooks\.backend\.example resolves to blocked address 10\.0\.0\.5/
+  );
+});
+
+test("dispatcher delivers a signed event to a local receiver", async () => {
+  await withReceiver([204], async (url, received) => {
+    const time = clock();
+    const outbox = createWebhookOutbox();
+    const dispatcher = createWebhookDispatcher({ outbox, secretFor: () => "secret", now: time.now, allowPrivateAddresses: true });
+    const event = dispatcher.enqueue({ url, type: "verification.succeeded", data: { proofId: "p1", receiptHash: "0xab" } });
+    await dispatcher.deliverDue();
+
+    assert.equal(received.length, 1);
+    const { headers, body } = received[0];
+    assert.equal(headers[WEBHOOK_EVENT_HEADER], event.id);
+    assert.equal(verifyWebhookSignature("secret", body, headers[WEBHOOK_SIGNATURE_HEADER], { now: time.now() }), true);
+    assert.deepEqual(JSON.parse(body), {
+      id: event.id,
+      type: "verification.succeeded",
+      createdAt: time.now(),
+      data: { proofId: "p1", receiptHash: "0xab" }
+    });
+    assert.equal(outbox.list().length, 0);
+  });
+});
+
+test("dispatcher retries with backoff and dead-letters after max attempts", async () => {
+  await withReceiver([500], async (url, received) => {
+    const time = clock();
+    const outcomes = [];
+    const dispatcher = createWebhookDispatcher({
+      outbox: createWebhookOutbox(),
+      secretFor: () => "secret",
+      maxAttempts: 3,
+      baseDelaySeconds: 10,
+      now: time.now,
+      allowPrivateAddresses: true,
+      onDelivery: ({ outcome }) => outcomes.push(outcome)
+    });
+    dispatcher.enqueue({ url, type: "verification.failed", data: { proofId: "p2" } });
+    await dispatcher.deliverDue();
+    assert.equal(received.length, 1);
+    assert.equal(dispatcher.pending()[0].nextAttemptAt, time.now() + 10);
+
+    await dispatcher.deliverDue();
+    assert.equal(received.length, 1);
+
+    time.advance(10);
+    await dispatcher.deliverDue();
+    time.advance(20);
+    await dispatcher.deliverDue();
+    assert.equal(received.length, 3);
+    assert.deepEqual(outcomes, ["retry", "retry", "dead"]);
+    assert.equal(dispatcher.pending().length, 0);
+    const [dead] = dispatcher.deadLetters();
+    assert.equal(dead.attempts, 3);
+    assert.equal(dead.lastError, "receiver responded 500");
+  });
+});
+
+test("outbox persists pending events across restarts", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+  const filePath = path.join(dir, "outbox.jsonl");
+  const time = clock();
+  const first = createWebhookDispatcher({
+    outbox: createWebhookOutbox({ filePath }),
+    secretFor: () => "secret",
+    now: time.now,
+    post: async () => {
+      throw new Error("connection refused");
+    }
+  });
+  const event = first.enqueue({ url: "http://127.0.0.1:9/hook", type: "verification.succeeded", data: {} });
+  await first.deliverDue();
+  assert.doesNotMatch(fs.readFileSync(filePath, "utf8"), /secret/);
+
+  await withReceiver([200], async (url, received) => {
+    const outbox = createWebhookOutbox({ filePath });
+    outbox.update(event.id, { url });
+    const second = createWebhookDispatcher({ outbox, secretFor: () => "secret", now: time.now, allowPrivateAddresses: true });
+    assert.equal(second.pending()[0].lastError, "connection refused");
+    time.advance(10);
+    await second.deliverDue();
+    assert.equal(received.length, 1);
+    assert.equal(second.pending().length, 0);
+  });
+  assert.deepEqual(createWebhookOutbox({ filePath }).list(), []);
+  assert.equal(fs.readFileSync(filePath, "utf8"), "");
+});
+
+test("outbox appends changes to a journal and compacts it on load", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+  const filePath = path.join(dir, "outbox.jsonl");
+  const outbox = createWebhookOutbox({ filePath });
+  outbox.add({ id: "a", status: "pending", attempts: 0 });
+  outbox.add({ id: "b", status: "pending", attempts: 0 });
+  outbox.update("a", { attempts: 1 });
+  outbox.update("b", { status: "delivered" });
+  const journal = fs.readFileSync(filePath, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(journal.map((record) => record.op), ["put", "put", "put", "delete"]);
+
+  fs.appendFileSync(filePath, '{"op":"put","event":{"id":"c"');
+  const reopened = createWebhookOutbox({ filePath });
+  assert.deepEqual(reopened.list(), [{ id: "a", status: "pending", attempts: 1 }]);
+  assert.equal(fs.readFileSync(filePath, "utf8").trim().split("\n").length, 1);
+
+  fs.writeFileSync(filePath, `${JSON.stringify({ events: [{ id: "legacy", status: "dead" }] }, null, 2)}\n`);
+  assert.throws(() => createWebhookOutbox({ filePath }), /corrupt at line 1/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("outbox prunes dead letters past retention or over the cap", () => {
+  const outbox = createWebhookOutbox({ deadRetentionSeconds: 100, maxDeadLetters: 2 });
+  outbox.add({ id: "old", status: "dead", deadAt: 1000 });
+  outbox.add({ id: "d1", status: "dead", deadAt: 1050 });
+  outbox.add({ id: "d2", status: "dead", deadAt: 1060 });
+  outbox.add({ id: "d3", status: "dead", deadAt: 1070 });
+  outbox.add({ id: "live", status: "pending", nextAttemptAt: 0 });
+  assert.equal(outbox.prune(1080), 2);
+  assert.deepEqual(outbox.list().map((event) => event.id), ["d2", "d3", "live"]);
+  assert.equal(outbox.prune(1165), 1);
+  assert.deepEqual(outbox.list().map((event) => event.id), ["d3", "live"]);
+});